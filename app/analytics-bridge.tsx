@@ -0,0 +1,43 @@
+'use client'
+
+import * as analytics from '@/lib/analytics'
+import * as interpolation from '@/lib/interpolation'
+import * as hotspots from '@/lib/hotspots'
+import * as geometry from '@/lib/geometry'
+import * as regions from '@/lib/regions'
+import * as nowcast from '@/lib/nowcast'
+import * as rules from '@/lib/rules'
+import * as sensors from '@/lib/sensors'
+import * as intensity from '@/lib/intensity'
+import * as landslide from '@/lib/landslide'
+import * as health from '@/lib/health'
+
+const FloodAnalytics = {
+  ...analytics,
+  ...interpolation,
+  ...hotspots,
+  ...geometry,
+  ...regions,
+  ...nowcast,
+  ...rules,
+  ...sensors,
+  ...intensity,
+  ...landslide,
+  ...health,
+}
+
+declare global {
+  interface Window {
+    FloodAnalytics: typeof FloodAnalytics
+  }
+}
+
+// public/app.js is a plain script, so the shared lib/ modules are handed to it
+// through a global. Assigned at module load, before afterInteractive scripts run.
+if (typeof window !== 'undefined') {
+  window.FloodAnalytics = FloodAnalytics
+}
+
+export default function AnalyticsBridge() {
+  return null
+}
@@ -0,0 +1,38 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, ALERT_LIFECYCLE_TABLE } from '@/lib/supabase'
+
+export const dynamic = 'force-dynamic'
+
+// Tracked flood reports: still-open ones by default, or everything first seen in [from, to]
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const status = searchParams.get('status') ?? 'active'
+  const from = searchParams.get('from')
+  const to = searchParams.get('to')
+  const limit = Number(searchParams.get('limit') ?? '500')
+
+  if (status !== 'active' && status !== 'all') {
+    return NextResponse.json({ error: 'status must be active or all' }, { status: 400 })
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return NextResponse.json({ error: 'limit must be an integer between 1 and 1000' }, { status: 400 })
+  }
+  for (const [key, value] of [['from', from], ['to', to]] as const) {
+    if (value && isNaN(Date.parse(value))) {
+      return NextResponse.json({ error: `Invalid ${key} date` }, { status: 400 })
+    }
+  }
+
+  let query = getSupabase().from(ALERT_LIFECYCLE_TABLE()).select('*')
+  if (status === 'active') query = query.is('cleared_at', null)
+  if (from) query = query.gte('first_seen_at', new Date(from).toISOString())
+  if (to) query = query.lte('first_seen_at', new Date(to).toISOString())
+
+  const { data, error } = await query.order('first_seen_at', { ascending: false }).limit(limit)
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json(data)
+}
@@ -0,0 +1,48 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, selectAllPages, ALERT_LIFECYCLE_TABLE } from '@/lib/supabase'
+import { summarizeAlertDurations } from '@/lib/lifecycle'
+import type { AlertLifecycleRow } from '@/lib/types'
+
+export const dynamic = 'force-dynamic'
+
+const DEFAULT_WINDOW_MS = 30 * 24 * 60 * 60 * 1000
+// Episodes read page by page; a range holding more asks for a narrower one
+const MAX_ROWS = 50000
+
+// Per-street flood persistence over [from, to] (default: the last 30 days)
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const from = searchParams.get('from') ?? new Date(Date.now() - DEFAULT_WINDOW_MS).toISOString()
+  const to = searchParams.get('to')
+
+  for (const [key, value] of [['from', from], ['to', to]] as const) {
+    if (value && isNaN(Date.parse(value))) {
+      return NextResponse.json({ error: `Invalid ${key} date` }, { status: 400 })
+    }
+  }
+
+  const { data, error } = await selectAllPages<AlertLifecycleRow>((start, end) => {
+    let query = getSupabase()
+      .from(ALERT_LIFECYCLE_TABLE())
+      .select('*')
+      .gte('first_seen_at', new Date(from).toISOString())
+    if (to) query = query.lte('first_seen_at', new Date(to).toISOString())
+    return query.order('first_seen_at', { ascending: true }).order('id', { ascending: true }).range(start, end)
+  }, MAX_ROWS)
+
+  if (error) {
+    return NextResponse.json({ error }, { status: 500 })
+  }
+  if (data.length > MAX_ROWS) {
+    return NextResponse.json(
+      { error: `More than ${MAX_ROWS} reports in range; narrow from/to` },
+      { status: 413 }
+    )
+  }
+
+  return NextResponse.json({
+    from: new Date(from).toISOString(),
+    to: to ? new Date(to).toISOString() : null,
+    ...summarizeAlertDurations(data),
+  })
+}
@@ -1,69 +1,30 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { getSupabase, TABLE } from '@/lib/supabase'
+import { getSupabase, TABLE, POLYGON_TABLE, STATION_TABLE, NOTABLE_TABLE } from '@/lib/supabase'
 
 export const dynamic = 'force-dynamic'
 import type { Station, Polygon, WazeAlert, RainResponse, WazeResponse } from '@/lib/types'
-
-const RAIN_URL = 'http://websempre.rio.rj.gov.br/json/chuvas'
-const POLYGONS_URL = 'https://octa-api-871238133710.us-central1.run.app/mongo/Polygons/latest'
-const WAZE_URL =
-  'https://www.waze.com/row-partnerhub-api/partners/11349199295/waze-feeds/c37c11ba-ff9d-4ad5-8ecc-4e4f12e91efb?format=1'
-
-const FETCH_HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-  Accept: 'application/json',
-}
-
-const SIX_HOURS = 6 * 60 * 60 * 1000
-
-function isPointInPolygon(lat: number, lng: number, ring: Array<[number, number]>): boolean {
-  let inside = false
-  const n = ring.length
-  for (let i = 0, j = n - 1; i < n; j = i++) {
-    const yi = ring[i][1] // lat
-    const xi = ring[i][0] // lng
-    const yj = ring[j][1]
-    const xj = ring[j][0]
-    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
-      inside = !inside
-    }
-  }
-  return inside
-}
-
-function countAlertsInAffectedAreas(wazeAlerts: WazeAlert[], polygons: Polygon[]): number {
-  const affected = polygons.filter((p) => p.status_code > 0 && p.geometry?.length > 0)
-  if (affected.length === 0) return 0
-
-  let count = 0
-  for (const alert of wazeAlerts) {
-    if (!alert.location) continue
-    const lat = alert.location.y
-    const lng = alert.location.x
-    for (const poly of affected) {
-      if (isPointInPolygon(lat, lng, poly.geometry[0])) {
-        count++
-        break
-      }
-    }
-  }
-  return count
-}
-
-function computeSeverity(
-  polygons: Polygon[],
-  wazeFloodCount: number,
-  affectedAreaCount: number,
-  alertsInAreasCount: number
-): number {
-  const maxPolygonSeverity =
-    polygons.length > 0 ? Math.max(...polygons.map((p) => p.status_code)) : 0
-
-  if (maxPolygonSeverity >= 3) return 3
-  if (alertsInAreasCount > 5 || affectedAreaCount > 10) return 2
-  if (affectedAreaCount > 0 || wazeFloodCount > 10) return 1
-  return 0
-}
+import {
+  checkRainGuard,
+  computeFloodMetrics,
+  computeRainStats,
+  detectNotableEvents,
+  filterFloodAlerts,
+} from '@/lib/analytics'
+import { metricsFromRow, toPolygonSnapshotRows, toStationReadingRows } from '@/lib/snapshots'
+import { closeQuietEvent, recordEventSnapshot } from '@/lib/events'
+import { buildNotifications, dispatchNotifications } from '@/lib/notifications'
+import { getUpstream } from '@/lib/upstream'
+import { samplePolygonRain } from '@/lib/interpolation'
+import { trackAlertLifecycle } from '@/lib/lifecycle'
+import { computePolygonCounts } from '@/lib/geometry'
+import { buildNowcast } from '@/lib/nowcast'
+import { evaluateSeverity } from '@/lib/rules'
+import { sensorTotals } from '@/lib/sensors'
+import { summarizeIntensity } from '@/lib/intensity'
+import { buildLandslideReport } from '@/lib/landslide'
+import { checkStationHealth } from '@/lib/health'
+import { loadActiveRules } from '@/lib/ruleStore'
+import { loadRecentStationReadings, scoreNowcasts, storeNowcasts } from '@/lib/verification'
 
 export async function GET(req: NextRequest) {
   // Auth check
@@ -72,68 +33,238 @@ export async function GET(req: NextRequest) {
     return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
   }
 
-  // Fetch all three upstream APIs in parallel
+  // Fetch all three upstream APIs in parallel through the shared cache
   const [rainRes, polygonsRes, wazeRes] = await Promise.allSettled([
-    fetch(RAIN_URL, { headers: FETCH_HEADERS }),
-    fetch(POLYGONS_URL, { headers: FETCH_HEADERS }),
-    fetch(WAZE_URL, { headers: FETCH_HEADERS }),
+    getUpstream<RainResponse>('rain'),
+    getUpstream<Polygon[]>('polygons'),
+    getUpstream<WazeResponse>('waze'),
   ])
 
-  if (rainRes.status === 'rejected' || polygonsRes.status === 'rejected') {
+  // A stale fallback would store old readings under a new timestamp
+  if (
+    rainRes.status === 'rejected' ||
+    polygonsRes.status === 'rejected' ||
+    rainRes.value.stale ||
+    polygonsRes.value.stale
+  ) {
     return NextResponse.json({ error: 'Upstream fetch failed (rain or polygons)' }, { status: 502 })
   }
 
-  const rainData: RainResponse = await rainRes.value.json()
-  const polygonsData: Polygon[] = await polygonsRes.value.json()
-  const wazeData: WazeResponse = wazeRes.status === 'fulfilled'
-    ? await wazeRes.value.json().catch(() => ({ alerts: [] }))
-    : { alerts: [] }
+  const rainData: RainResponse = rainRes.value.data
+  const polygonsData: Polygon[] = polygonsRes.value.data
+  const wazeOk = wazeRes.status === 'fulfilled' && !wazeRes.value.stale
+  const wazeData: WazeResponse = wazeOk ? wazeRes.value.data : { alerts: [] }
 
-  const stations: Station[] = rainData.objects || []
-  const polygons: Polygon[] = Array.isArray(polygonsData) ? polygonsData : []
+  // Every reading is stored, but gauges failing the health checks stay out of the aggregates
+  const stationHealth = checkStationHealth(rainData.objects)
+  const stations: Station[] = stationHealth.healthy
+  const polygons: Polygon[] = polygonsData
   const allAlerts: WazeAlert[] = wazeData.alerts || []
-  const floodAlerts = allAlerts.filter((a) => a.subtype === 'HAZARD_WEATHER_FLOOD')
+  const rejected = {
+    rain: rainRes.value.rejected,
+    polygons: polygonsRes.value.rejected,
+    waze: wazeRes.status === 'fulfilled' ? wazeRes.value.rejected : 0,
+  }
+  const floodAlerts = filterFloodAlerts(allAlerts)
 
-  // Rain guard: need at least 3 flood alerts started in the last 6 hours
-  const recentFlood = floodAlerts.filter((a) => a.pubMillis > Date.now() - SIX_HOURS)
-  if (recentFlood.length < 3) {
-    return NextResponse.json({ skipped: true, reason: 'rain_guard', recentFloodCount: recentFlood.length })
+  // Station readings are kept regardless of the rain guard; (name, read_at) dedupes repeats
+  const stationRows = toStationReadingRows(rainData.objects)
+  if (stationRows.length > 0) {
+    const { error: stationError } = await getSupabase()
+      .from(STATION_TABLE())
+      .upsert(stationRows, { onConflict: 'name,read_at', ignoreDuplicates: true })
+    if (stationError) {
+      console.error('Supabase station insert error:', stationError)
+      return NextResponse.json({ error: stationError.message }, { status: 500 })
+    }
+  }
+
+  // Alert lifecycle also runs outside the rain guard so reports are cleared when they drop out.
+  // Skipped when the feed failed, since an empty fallback would clear every open report.
+  const lifecycle = wazeOk
+    ? await trackAlertLifecycle(floodAlerts, new Date().toISOString())
+    : { error: null }
+  if (lifecycle.error) console.error('Supabase alert lifecycle error:', lifecycle.error)
+
+  // Nowcasts due now are scored against this run's data whatever the guard decides, so the
+  // ones issued before a dry spell are still scored. Failures are logged, not fatal.
+  const scoring = await scoreNowcasts(stations, polygons)
+  if (scoring.error) console.error('Nowcast scoring error:', scoring.error)
+
+  const guard = checkRainGuard(floodAlerts)
+  if (!guard.passed) {
+    const { closed, error: eventError } = await closeQuietEvent()
+    if (eventError) console.error('Supabase event close error:', eventError)
+    // Nothing new to announce, but earlier failed deliveries are still retried
+    const delivery = await dispatchNotifications([])
+    if (delivery.error) console.error('Notification dispatch error:', delivery.error)
+    return NextResponse.json({
+      skipped: true,
+      reason: 'rain_guard',
+      recentFloodCount: guard.recentFloodCount,
+      stations: stationRows.length,
+      rejected,
+      alert_lifecycle: lifecycle,
+      nowcast: { scored: scoring.scored, error: scoring.error },
+      notifications: delivery,
+      closed_event_id: closed,
+    })
   }
 
   // Compute metrics
-  const wazeFloodCount = floodAlerts.length
-  const affectedAreaCount = polygons.filter((p) => p.status_code > 0).length
-  const alertsInAreasCount = countAlertsInAffectedAreas(floodAlerts, polygons)
+  const metrics = computeFloodMetrics(floodAlerts, polygons)
+  const { wazeFloodCount, affectedAreaCount, alertsInAreasCount } = metrics
+
+  const rainStats = computeRainStats(stations)
+  const avg_rain = parseFloat(rainStats.avgRain.toFixed(2))
+  const max_rain = rainStats.maxRain
+  const intensity = summarizeIntensity(stations)
+  const landslide = buildLandslideReport(stations, polygons)
 
-  const totalRain = stations.reduce((sum, s) => sum + (s.data?.h01 || 0), 0)
-  const avg_rain = stations.length > 0 ? parseFloat((totalRain / stations.length).toFixed(2)) : 0
-  const max_rain = stations.length > 0 ? Math.max(...stations.map((s) => s.data?.h01 || 0)) : 0
+  // Severity from the active rule set; a failed load falls back to the built-in rules
+  const { ruleSet, error: rulesError } = await loadActiveRules()
+  if (rulesError) console.error('Severity rules load error:', rulesError)
 
-  const severity = computeSeverity(polygons, wazeFloodCount, affectedAreaCount, alertsInAreasCount)
+  // Latest stored snapshots: the newest drives escalation and convergence checks, and
+  // enough of them are read for the rules' downgrade hysteresis
+  const { data: recent } = await getSupabase()
+    .from(TABLE())
+    .select('waze_count, affected_areas, alerts_in_areas, severity, severity_raw')
+    .order('captured_at', { ascending: false })
+    .limit(Math.max(1, ruleSet.rules.hysteresis.downgradeAfter - 1))
+  const previous = recent?.[0] ?? null
+
+  const evaluation = evaluateSeverity(ruleSet.rules, { polygons, stations, metrics }, recent ?? [])
+  const severity = evaluation.severity
 
   // Insert into Supabase
-  const { error } = await getSupabase().from(TABLE()).insert({
-    waze_count: wazeFloodCount,
-    affected_areas: affectedAreaCount,
-    alerts_in_areas: alertsInAreasCount,
-    avg_rain,
-    max_rain,
-    severity,
-    raw: { waze: wazeData, polygons: polygonsData, rain: rainData },
-  })
+  const { data: snapshot, error } = await getSupabase()
+    .from(TABLE())
+    .insert({
+      waze_count: wazeFloodCount,
+      affected_areas: affectedAreaCount,
+      alerts_in_areas: alertsInAreasCount,
+      avg_rain,
+      max_rain,
+      severity,
+      severity_raw: evaluation.raw,
+      severity_condition: evaluation.condition,
+      rule_version: ruleSet.version,
+      sensor_totals: sensorTotals(polygons),
+      rain_intensity: intensity.max,
+      intensity_counts: intensity.counts,
+      landslide_risk_stations: intensity.landslideRisk,
+      landslide_index: landslide.max.index,
+      landslide_level: landslide.max.level,
+      landslide_elevated_stations: landslide.elevated,
+      raw: { waze: wazeData, polygons: polygonsData, rain: rainData },
+    })
+    .select('id, captured_at')
+    .single()
 
   if (error) {
     console.error('Supabase insert error:', error)
     return NextResponse.json({ error: error.message }, { status: 500 })
   }
 
+  // Per-polygon time series, with rain and landslide risk interpolated from the gauges at
+  // each centroid and the flood reports and gauges that fall inside each polygon
+  const polygonRows = toPolygonSnapshotRows(
+    polygons,
+    snapshot.id,
+    snapshot.captured_at,
+    samplePolygonRain(stations, polygons, 'h01'),
+    computePolygonCounts(polygons, floodAlerts, stations),
+    landslide.polygons
+  )
+  if (polygonRows.length > 0) {
+    const { error: polygonError } = await getSupabase().from(POLYGON_TABLE()).insert(polygonRows)
+    if (polygonError) {
+      console.error('Supabase polygon insert error:', polygonError)
+      return NextResponse.json({ error: polygonError.message }, { status: 500 })
+    }
+  }
+
+  // Storm episode tracking
+  const { eventId, error: eventError } = await recordEventSnapshot({
+    id: snapshot.id,
+    captured_at: snapshot.captured_at,
+    severity,
+    max_rain,
+    polygons,
+  })
+  if (eventError) {
+    console.error('Supabase event error:', eventError)
+    return NextResponse.json({ error: eventError }, { status: 500 })
+  }
+
+  // Notable moments against the previous stored snapshot
+  const notableRows = previous
+    ? detectNotableEvents(metricsFromRow(previous), metrics).map((e) => ({
+        snapshot_id: snapshot.id,
+        captured_at: snapshot.captured_at,
+        ...e,
+      }))
+    : []
+  if (notableRows.length > 0) {
+    const { error: notableError } = await getSupabase().from(NOTABLE_TABLE()).insert(notableRows)
+    if (notableError) {
+      console.error('Supabase notable insert error:', notableError)
+      return NextResponse.json({ error: notableError.message }, { status: 500 })
+    }
+  }
+
+  // New nowcasts; like notifications, failures are logged and reported without failing the snapshot
+  let history = {}
+  try {
+    history = await loadRecentStationReadings()
+  } catch (historyError) {
+    console.error('Nowcast station history error:', historyError)
+  }
+  const nowcast = buildNowcast(stations, polygons, history)
+  const storing = await storeNowcasts(nowcast, snapshot.id, snapshot.captured_at)
+  if (storing.error) console.error('Nowcast insert error:', storing.error)
+
+  // Notifications never fail the snapshot; problems are logged and reported
+  const notifications = buildNotifications({
+    snapshotId: snapshot.id,
+    capturedAt: snapshot.captured_at,
+    eventId,
+    severity,
+    metrics,
+    polygons,
+    previous: previous ? { severity: previous.severity, metrics: metricsFromRow(previous) } : null,
+  })
+  const delivery = await dispatchNotifications(notifications)
+  if (delivery.error) console.error('Notification dispatch error:', delivery.error)
+
   return NextResponse.json({
     ok: true,
+    snapshot_id: snapshot.id,
+    notable: notableRows.length,
+    rejected,
+    failing_stations: stationHealth.failing.length,
+    notifications: delivery,
+    alert_lifecycle: lifecycle,
+    nowcast: {
+      scored: scoring.scored,
+      stored: storing.stored,
+      escalations: nowcast.polygons.filter((p) => p.escalation).length,
+      error: scoring.error ?? storing.error,
+    },
+    event_id: eventId,
+    polygons: polygonRows.length,
+    stations: stationRows.length,
     waze_count: wazeFloodCount,
     affected_areas: affectedAreaCount,
     alerts_in_areas: alertsInAreasCount,
     avg_rain,
     max_rain,
+    rain_intensity: intensity.max,
+    landslide_risk_stations: intensity.landslideRisk,
+    landslide_level: landslide.max.level,
     severity,
+    severity_condition: evaluation.condition,
+    rule_version: ruleSet.version,
   })
 }
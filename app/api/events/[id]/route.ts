@@ -0,0 +1,37 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, EVENTS_TABLE, TABLE } from '@/lib/supabase'
+import { HISTORY_COLUMNS } from '@/lib/history'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(_req: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params
+  if (!/^\d+$/.test(id)) {
+    return NextResponse.json({ error: 'Invalid event id' }, { status: 400 })
+  }
+
+  const { data: event, error } = await getSupabase()
+    .from(EVENTS_TABLE())
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+  if (!event) {
+    return NextResponse.json({ error: 'Event not found' }, { status: 404 })
+  }
+
+  const { data: snapshots, error: snapshotsError } = await getSupabase()
+    .from(TABLE())
+    .select(`id, ${HISTORY_COLUMNS}`)
+    .in('id', event.snapshot_ids ?? [])
+    .order('captured_at', { ascending: true })
+
+  if (snapshotsError) {
+    return NextResponse.json({ error: snapshotsError.message }, { status: 500 })
+  }
+
+  return NextResponse.json({ ...event, snapshots })
+}
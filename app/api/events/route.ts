@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, EVENTS_TABLE } from '@/lib/supabase'
+import { EVENT_SUMMARY_COLUMNS } from '@/lib/events'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const from = searchParams.get('from')
+  const to = searchParams.get('to')
+  const limit = Number(searchParams.get('limit') ?? '50')
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return NextResponse.json({ error: 'limit must be an integer between 1 and 500' }, { status: 400 })
+  }
+  for (const [key, value] of [['from', from], ['to', to]] as const) {
+    if (value && isNaN(Date.parse(value))) {
+      return NextResponse.json({ error: `Invalid ${key} date` }, { status: 400 })
+    }
+  }
+
+  let query = getSupabase().from(EVENTS_TABLE()).select(EVENT_SUMMARY_COLUMNS)
+  // An event overlaps [from, to] when it started before `to` and had not ended by `from`
+  if (to) query = query.lte('started_at', new Date(to).toISOString())
+  if (from) query = query.or(`ended_at.is.null,ended_at.gte.${new Date(from).toISOString()}`)
+
+  const { data, error } = await query.order('started_at', { ascending: false }).limit(limit)
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json(data)
+}
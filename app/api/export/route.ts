@@ -0,0 +1,99 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, PAGE_SIZE } from '@/lib/supabase'
+import { getUpstream } from '@/lib/upstream'
+import {
+  EXPORT_CONTENT_TYPES,
+  EXPORT_DATASETS,
+  exportEncoder,
+  exportFilename,
+  parseExportQuery,
+} from '@/lib/export'
+import type { ExportDataset, ExportQuery } from '@/lib/export'
+import type { Ring } from '@/lib/geometry'
+import type { Polygon } from '@/lib/types'
+
+export const dynamic = 'force-dynamic'
+
+type Row = Record<string, unknown>
+
+function pageQuery(dataset: ExportDataset, q: ExportQuery, offset: number) {
+  let query = getSupabase().from(dataset.table()).select(dataset.columns.join(', '))
+  if (dataset.endColumn) {
+    query = query.lte(dataset.timeColumn, q.to).gte(dataset.endColumn, q.from)
+  } else {
+    query = query.gte(dataset.timeColumn, q.from).lte(dataset.timeColumn, q.to)
+  }
+  if (q.id) query = query.eq(dataset.idColumn, q.id)
+  return query
+    .order(dataset.timeColumn, { ascending: true })
+    .order(dataset.tiebreak, { ascending: true })
+    .range(offset, offset + PAGE_SIZE - 1)
+}
+
+// Polygon rows only store ids, so shapes come from the current polygon feed
+async function polygonGeometries(): Promise<Map<string, Ring[]>> {
+  try {
+    const { data } = await getUpstream<Polygon[]>('polygons')
+    return new Map(data.map((p) => [p._id, p.geometry]))
+  } catch (error) {
+    console.error('Export polygon geometry error:', error)
+    return new Map()
+  }
+}
+
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const q = parseExportQuery(searchParams)
+  if ('error' in q) {
+    return NextResponse.json({ error: q.error }, { status: 400 })
+  }
+  const dataset = EXPORT_DATASETS[q.dataset]
+
+  // The first page is read up front so a failing query still gets a proper error status
+  const first = await pageQuery(dataset, q, 0)
+  if (first.error) {
+    return NextResponse.json({ error: first.error.message }, { status: 500 })
+  }
+
+  const geometries = dataset.geometry === 'polygon' && q.format !== 'ndjson' ? await polygonGeometries() : undefined
+  const encoder = exportEncoder(q.format, dataset, geometries)
+  const text = new TextEncoder()
+
+  let rows: Row[] | null = (first.data ?? []) as unknown as Row[]
+  let offset = 0
+  let index = 0
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      controller.enqueue(text.encode(encoder.start))
+    },
+    // One page per pull, so a slow client holds back the next query
+    async pull(controller) {
+      if (!rows) {
+        controller.enqueue(text.encode(encoder.end))
+        controller.close()
+        return
+      }
+      controller.enqueue(text.encode(rows.map((row) => encoder.row(row, index++)).join('')))
+      if (rows.length < PAGE_SIZE) {
+        rows = null
+        return
+      }
+      offset += PAGE_SIZE
+      const { data, error } = await pageQuery(dataset, q, offset)
+      if (error) {
+        console.error('Export page error:', error)
+        controller.error(new Error(error.message))
+        return
+      }
+      rows = (data ?? []) as unknown as Row[]
+    },
+  })
+
+  return new NextResponse(stream, {
+    headers: {
+      'Content-Type': EXPORT_CONTENT_TYPES[q.format],
+      'Content-Disposition': `attachment; filename="${exportFilename(q)}"`,
+      'Cache-Control': 'no-store',
+    },
+  })
+}
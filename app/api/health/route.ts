@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server'
+import { dataSourceMode } from '@/lib/datasource'
+import type { DataSourceMode } from '@/lib/datasource'
+import { getUpstream } from '@/lib/upstream'
+import type { UpstreamResult, UpstreamSource } from '@/lib/upstream'
+import { HEALTH_CONFIG, checkStationHealth, feedState, worstFeedState } from '@/lib/health'
+import type { FeedState } from '@/lib/health'
+import type { RainResponse } from '@/lib/types'
+
+export const dynamic = 'force-dynamic'
+
+const SOURCES: UpstreamSource[] = ['rain', 'polygons', 'waze']
+
+// Feed and rain gauge health. Responds 503 when any feed has nothing to serve.
+export async function GET() {
+  const results = await Promise.allSettled(SOURCES.map((source) => getUpstream(source)))
+  const now = Date.now()
+
+  const feeds: Record<string, { status: FeedState } & Record<string, unknown>> = {}
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      feeds[SOURCES[i]] = { status: 'down', error: String(result.reason) }
+      return
+    }
+    const r = result.value
+    feeds[SOURCES[i]] = {
+      status: feedState({ ok: !r.error, stale: r.stale, ageMs: now - r.fetchedAt }),
+      origin: r.origin,
+      fetched_at: new Date(r.fetchedAt).toISOString(),
+      stale: r.stale,
+      rejected: r.rejected,
+      ...(r.error ? { error: r.error } : {}),
+    }
+  })
+
+  // A misconfigured DATA_SOURCE is reported as its own down feed rather than a 500
+  let mode: DataSourceMode | null = null
+  try {
+    mode = dataSourceMode()
+  } catch (error) {
+    feeds.datasource = { status: 'down', error: String(error) }
+  }
+
+  const rain = results[0].status === 'fulfilled' ? (results[0].value as UpstreamResult<RainResponse>) : null
+  const stations = rain ? checkStationHealth(rain.data.objects) : null
+
+  // A live feed can answer on time and still carry old readings; recorded fixtures always do
+  if (stations?.newestReadAt && mode === 'live') {
+    const lag = now - Date.parse(stations.newestReadAt)
+    if (lag > HEALTH_CONFIG.staleAfterMs && feeds.rain.status === 'ok') {
+      feeds.rain.status = 'degraded'
+      feeds.rain.error = `Latest reading is ${Math.round(lag / 60000)} min old`
+    }
+  }
+
+  const status = worstFeedState(Object.values(feeds).map((f) => f.status))
+  return NextResponse.json(
+    {
+      status,
+      checked_at: new Date(now).toISOString(),
+      feeds,
+      stations: stations
+        ? {
+            total: stations.healthy.length + stations.failing.length,
+            healthy: stations.healthy.length,
+            newest_read_at: stations.newestReadAt,
+            failing: stations.failing,
+          }
+        : null,
+    },
+    { status: status === 'down' ? 503 : 200 }
+  )
+}
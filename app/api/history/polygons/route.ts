@@ -0,0 +1,38 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, POLYGON_TABLE } from '@/lib/supabase'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const id = searchParams.get('id')
+  const limit = Number(searchParams.get('limit') ?? '500')
+
+  if (!id) {
+    return NextResponse.json({ error: 'Missing polygon id' }, { status: 400 })
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return NextResponse.json({ error: 'limit must be an integer between 1 and 1000' }, { status: 400 })
+  }
+
+  // Latest rows first so the limit keeps the most recent evolution, then back to chronological
+  const { data, error } = await getSupabase()
+    .from(POLYGON_TABLE())
+    .select(
+      'snapshot_id, captured_at, polygon_id, status_code, waze_flood_count, ' +
+        'acumulado_chuva_15_min_1, acumulado_chuva_15_min_2, acumulado_chuva_15_min_3, ' +
+        'acumulado_chuva_15_min_4, acumulado_chuva_15_min_5, ' +
+        'alagamento_count, enchente_count, alagamento_enchente_count, bolsao_count, lamina_count, ' +
+        'vazamento_count, sirene_count, camera_flood_count, est_rain_h01, alert_count, station_count, ' +
+        'landslide_index'
+    )
+    .eq('polygon_id', id)
+    .order('captured_at', { ascending: false })
+    .limit(limit)
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json((data ?? []).reverse())
+}
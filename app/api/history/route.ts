@@ -1,21 +1,70 @@
 import { NextRequest, NextResponse } from 'next/server'
 import { getSupabase, TABLE } from '@/lib/supabase'
+import { BUCKETS, HISTORY_COLUMNS, parseHistoryQuery, scanBuckets } from '@/lib/history'
+import type { HistoryQuery } from '@/lib/history'
+import type { SnapshotRow } from '@/lib/types'
 
 export const dynamic = 'force-dynamic'
 
+function buildQuery(q: HistoryQuery) {
+  let query = getSupabase().from(TABLE()).select(HISTORY_COLUMNS)
+  if (q.from) query = query.gte('captured_at', q.from)
+  if (q.to) query = query.lte('captured_at', q.to)
+  if (q.cursor) {
+    query = q.order === 'asc' ? query.gt('captured_at', q.cursor) : query.lt('captured_at', q.cursor)
+  }
+  return query.order('captured_at', { ascending: q.order === 'asc' })
+}
+
 export async function GET(req: NextRequest) {
   const { searchParams } = new URL(req.url)
-  const limit = parseInt(searchParams.get('limit') ?? '100')
+  const q = parseHistoryQuery(searchParams)
+  if ('error' in q) {
+    return NextResponse.json({ error: q.error }, { status: 400 })
+  }
 
-  const { data, error } = await getSupabase()
-    .from(TABLE())
-    .select('captured_at, waze_count, affected_areas, alerts_in_areas, avg_rain, max_rain, severity')
-    .order('captured_at', { ascending: true })
-    .limit(limit)
+  let rows: SnapshotRow[]
+  let nextCursor: string | null = null
 
-  if (error) {
-    return NextResponse.json({ error: error.message }, { status: 500 })
+  if (!q.bucket) {
+    const { data, error } = await buildQuery(q).limit(q.limit)
+    if (error) {
+      return NextResponse.json({ error: error.message }, { status: 500 })
+    }
+    rows = (data ?? []) as SnapshotRow[]
+    // A full page may be the last one. Asking for limit + 1 rows would not tell, since
+    // PostgREST caps a response at PAGE_SIZE, so one row past the page is looked up instead.
+    if (rows.length === q.limit) {
+      const last = rows[rows.length - 1].captured_at
+      const { data: more, error: moreError } = await buildQuery({ ...q, cursor: last }).limit(1)
+      if (moreError) {
+        return NextResponse.json({ error: moreError.message }, { status: 500 })
+      }
+      if (more && more.length > 0) nextCursor = last
+    }
+  } else {
+    let page
+    try {
+      page = await scanBuckets(
+        async (offset, size) => {
+          const { data, error } = await buildQuery(q).range(offset, offset + size - 1)
+          if (error) throw new Error(error.message)
+          return (data ?? []) as SnapshotRow[]
+        },
+        BUCKETS[q.bucket],
+        q.limit
+      )
+    } catch (error) {
+      return NextResponse.json({ error: (error as Error).message }, { status: 500 })
+    }
+    if ('error' in page) {
+      return NextResponse.json({ error: page.error }, { status: 413 })
+    }
+    rows = page.rows
+    nextCursor = page.nextCursor
   }
 
-  return NextResponse.json(data)
+  const res = NextResponse.json(rows)
+  if (nextCursor) res.headers.set('X-Next-Cursor', nextCursor)
+  return res
 }
@@ -0,0 +1,38 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, STATION_TABLE } from '@/lib/supabase'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const stations = searchParams.getAll('station').flatMap((s) => s.split(',')).filter(Boolean)
+  const from = searchParams.get('from')
+  const to = searchParams.get('to')
+  const limit = Number(searchParams.get('limit') ?? '1000')
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return NextResponse.json({ error: 'limit must be an integer between 1 and 1000' }, { status: 400 })
+  }
+  for (const [key, value] of [['from', from], ['to', to]] as const) {
+    if (value && isNaN(Date.parse(value))) {
+      return NextResponse.json({ error: `Invalid ${key} date` }, { status: 400 })
+    }
+  }
+
+  let query = getSupabase()
+    .from(STATION_TABLE())
+    .select('name, read_at, lat, lng, m05, m15, h01, h02, h03, h04, h24, h96, mes')
+
+  if (stations.length > 0) query = query.in('name', stations)
+  if (from) query = query.gte('read_at', new Date(from).toISOString())
+  if (to) query = query.lte('read_at', new Date(to).toISOString())
+
+  // Latest rows first so the limit keeps the most recent readings, then back to chronological
+  const { data, error } = await query.order('read_at', { ascending: false }).limit(limit)
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json((data ?? []).reverse())
+}
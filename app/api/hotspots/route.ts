@@ -0,0 +1,43 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getUpstream, upstreamHeaders } from '@/lib/upstream'
+import { filterFloodAlerts } from '@/lib/analytics'
+import { clusterFloodAlerts, HOTSPOT_DEFAULTS, HOTSPOT_LIMITS } from '@/lib/hotspots'
+import type { Polygon, WazeResponse } from '@/lib/types'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const radiusM = Number(searchParams.get('radius') ?? HOTSPOT_DEFAULTS.radiusM)
+  const minPoints = Number(searchParams.get('min_points') ?? HOTSPOT_DEFAULTS.minPoints)
+
+  const [minRadius, maxRadius] = HOTSPOT_LIMITS.radiusM
+  if (!Number.isFinite(radiusM) || radiusM < minRadius || radiusM > maxRadius) {
+    return NextResponse.json(
+      { error: `radius must be between ${minRadius} and ${maxRadius} meters` },
+      { status: 400 }
+    )
+  }
+  const [minMin, maxMin] = HOTSPOT_LIMITS.minPoints
+  if (!Number.isInteger(minPoints) || minPoints < minMin || minPoints > maxMin) {
+    return NextResponse.json(
+      { error: `min_points must be an integer between ${minMin} and ${maxMin}` },
+      { status: 400 }
+    )
+  }
+
+  try {
+    const [waze, polygons] = await Promise.all([
+      getUpstream<WazeResponse>('waze'),
+      getUpstream<Polygon[]>('polygons'),
+    ])
+    const floodAlerts = filterFloodAlerts(waze.data.alerts || [])
+    const hotspots = clusterFloodAlerts(floodAlerts, polygons.data, radiusM, minPoints)
+    return NextResponse.json(
+      { radius_m: radiusM, min_points: minPoints, flood_alerts: floodAlerts.length, hotspots },
+      { headers: upstreamHeaders(waze) }
+    )
+  } catch (error) {
+    return NextResponse.json({ error: String(error) }, { status: 502 })
+  }
+}
@@ -0,0 +1,39 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, NOTABLE_TABLE } from '@/lib/supabase'
+import { SEVERITY_THRESHOLDS } from '@/lib/analytics'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const from = searchParams.get('from')
+  const to = searchParams.get('to')
+  const limit = Number(searchParams.get('limit') ?? SEVERITY_THRESHOLDS.notableMaxEvents)
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return NextResponse.json({ error: 'limit must be an integer between 1 and 1000' }, { status: 400 })
+  }
+  for (const [key, value] of [['from', from], ['to', to]] as const) {
+    if (value && isNaN(Date.parse(value))) {
+      return NextResponse.json({ error: `Invalid ${key} date` }, { status: 400 })
+    }
+  }
+
+  let query = getSupabase()
+    .from(NOTABLE_TABLE())
+    .select('snapshot_id, captured_at, message, severity')
+  if (from) query = query.gte('captured_at', new Date(from).toISOString())
+  if (to) query = query.lte('captured_at', new Date(to).toISOString())
+
+  // Latest events first so the limit keeps the most recent, then back to chronological
+  const { data, error } = await query
+    .order('captured_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit)
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json((data ?? []).reverse())
+}
@@ -0,0 +1,102 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdmin } from '@/lib/auth'
+import { getSupabase, SUBSCRIPTIONS_TABLE } from '@/lib/supabase'
+
+export const dynamic = 'force-dynamic'
+
+function stringList(value: unknown): string[] | null {
+  if (value === undefined) return []
+  if (!Array.isArray(value) || !value.every((v) => typeof v === 'string')) return null
+  return value
+}
+
+export async function GET(req: NextRequest) {
+  if (!isAdmin(req)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const { data, error } = await getSupabase()
+    .from(SUBSCRIPTIONS_TABLE())
+    .select('*')
+    .order('id', { ascending: true })
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json(data)
+}
+
+export async function POST(req: NextRequest) {
+  if (!isAdmin(req)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const body = await req.json().catch(() => null)
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 })
+  }
+
+  const { name, channel, target, min_severity = 2, notify_convergence = true } = body
+  const polygon_ids = stringList(body.polygon_ids)
+  const neighborhoods = stringList(body.neighborhoods)
+
+  if (typeof name !== 'string' || !name) {
+    return NextResponse.json({ error: 'name is required' }, { status: 400 })
+  }
+  if (channel !== 'webhook' && channel !== 'email') {
+    return NextResponse.json({ error: 'channel must be webhook or email' }, { status: 400 })
+  }
+  if (typeof target !== 'string' || !target) {
+    return NextResponse.json({ error: 'target is required' }, { status: 400 })
+  }
+  if (![0, 1, 2, 3].includes(min_severity)) {
+    return NextResponse.json({ error: 'min_severity must be 0-3' }, { status: 400 })
+  }
+  if (!polygon_ids || !neighborhoods) {
+    return NextResponse.json({ error: 'polygon_ids and neighborhoods must be string arrays' }, { status: 400 })
+  }
+
+  const { data, error } = await getSupabase()
+    .from(SUBSCRIPTIONS_TABLE())
+    .insert({
+      name,
+      channel,
+      target,
+      min_severity,
+      polygon_ids,
+      neighborhoods,
+      notify_convergence: Boolean(notify_convergence),
+    })
+    .select('*')
+    .single()
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json(data, { status: 201 })
+}
+
+export async function DELETE(req: NextRequest) {
+  if (!isAdmin(req)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const id = new URL(req.url).searchParams.get('id')
+  if (!id || !/^\d+$/.test(id)) {
+    return NextResponse.json({ error: 'Invalid subscription id' }, { status: 400 })
+  }
+
+  // Deactivate rather than delete so the delivery log keeps its subscriber
+  const { error } = await getSupabase()
+    .from(SUBSCRIPTIONS_TABLE())
+    .update({ active: false })
+    .eq('id', id)
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json({ ok: true })
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server'
+import { getUpstream } from '@/lib/upstream'
+import { buildNowcast } from '@/lib/nowcast'
+import { checkStationHealth } from '@/lib/health'
+import { loadRecentStationReadings } from '@/lib/verification'
+import type { Polygon, RainResponse } from '@/lib/types'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET() {
+  let upstreams
+  try {
+    upstreams = await Promise.all([getUpstream<RainResponse>('rain'), getUpstream<Polygon[]>('polygons')])
+  } catch (error) {
+    return NextResponse.json({ error: String(error) }, { status: 502 })
+  }
+  const [rain, polygons] = upstreams
+
+  // Stored readings sharpen the station series; without them the nowcast uses each
+  // station's own windows
+  let history = {}
+  try {
+    history = await loadRecentStationReadings()
+  } catch (error) {
+    console.error('Nowcast station history error:', error)
+  }
+
+  return NextResponse.json({
+    issued_at: new Date(Math.min(rain.fetchedAt, polygons.fetchedAt)).toISOString(),
+    ...buildNowcast(checkStationHealth(rain.data.objects).healthy, polygons.data, history),
+  })
+}
@@ -0,0 +1,50 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, selectAllPages, NOWCASTS_TABLE } from '@/lib/supabase'
+import { summarizeScores } from '@/lib/verification'
+import type { ScoredRow } from '@/lib/verification'
+
+export const dynamic = 'force-dynamic'
+
+const DEFAULT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000
+// Scored nowcasts read page by page; a range holding more asks for a narrower one
+const MAX_ROWS = 20000
+
+// How the stored nowcasts issued in [from, to] (default: the last 7 days) compared with
+// what was observed
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const from = searchParams.get('from') ?? new Date(Date.now() - DEFAULT_WINDOW_MS).toISOString()
+  const to = searchParams.get('to')
+
+  for (const [key, value] of [['from', from], ['to', to]] as const) {
+    if (value && isNaN(Date.parse(value))) {
+      return NextResponse.json({ error: `Invalid ${key} date` }, { status: 400 })
+    }
+  }
+
+  const { data, error } = await selectAllPages<ScoredRow>((start, end) => {
+    let query = getSupabase()
+      .from(NOWCASTS_TABLE())
+      .select('id, scope, horizon_min, projected, confidence, observed, escalation, escalated')
+      .not('scored_at', 'is', null)
+      .gte('issued_at', new Date(from).toISOString())
+    if (to) query = query.lte('issued_at', new Date(to).toISOString())
+    return query.order('id', { ascending: true }).range(start, end)
+  }, MAX_ROWS)
+
+  if (error) {
+    return NextResponse.json({ error }, { status: 500 })
+  }
+  if (data.length > MAX_ROWS) {
+    return NextResponse.json(
+      { error: `More than ${MAX_ROWS} scored nowcasts in range; narrow from/to` },
+      { status: 413 }
+    )
+  }
+
+  return NextResponse.json({
+    from: new Date(from).toISOString(),
+    to: to ? new Date(to).toISOString() : null,
+    ...summarizeScores(data),
+  })
+}
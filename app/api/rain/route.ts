@@ -1,18 +1,12 @@
 import { NextResponse } from 'next/server'
+import { getUpstream, upstreamHeaders } from '@/lib/upstream'
 
-const UPSTREAM_URL = 'http://websempre.rio.rj.gov.br/json/chuvas'
+export const dynamic = 'force-dynamic'
 
 export async function GET() {
   try {
-    const res = await fetch(UPSTREAM_URL, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        Accept: 'application/json',
-      },
-      next: { revalidate: 0 },
-    })
-    const data = await res.json()
-    return NextResponse.json(data)
+    const result = await getUpstream('rain')
+    return NextResponse.json(result.data, { headers: upstreamHeaders(result) })
   } catch (error) {
     return NextResponse.json({ error: String(error) }, { status: 502 })
   }
@@ -0,0 +1,122 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, TABLE, POLYGON_TABLE } from '@/lib/supabase'
+import { getUpstream } from '@/lib/upstream'
+import { filterFloodAlerts } from '@/lib/analytics'
+import { samplePolygonRain } from '@/lib/interpolation'
+import {
+  aggregateRegionRows,
+  aggregateRegions,
+  rankRegions,
+  regionAssigner,
+  regionTrend,
+  REGION_SORTS,
+} from '@/lib/regions'
+import type { RegionAssigner, RegionSort, RegionTrend } from '@/lib/regions'
+import { loadZones } from '@/lib/zones'
+import { checkStationHealth } from '@/lib/health'
+import { loadActiveRules } from '@/lib/ruleStore'
+import { DEFAULT_RULE_SET } from '@/lib/rules'
+import type { Polygon, RainResponse, WazeResponse } from '@/lib/types'
+
+export const dynamic = 'force-dynamic'
+
+const MAX_TREND_MINUTES = 24 * 60
+
+// Region totals from the last stored snapshot at least `minutes` old. Best effort: without
+// history the ranking is still useful, so failures only drop the trends.
+async function loadPrevious(assigner: RegionAssigner, minutes: number) {
+  const none = { comparedTo: null, previous: new Map<string, RegionTrend>() }
+  if (minutes === 0) return none
+  try {
+    const before = new Date(Date.now() - minutes * 60 * 1000).toISOString()
+    const { data: snapshot, error } = await getSupabase()
+      .from(TABLE())
+      .select('id, captured_at')
+      .lte('captured_at', before)
+      .order('captured_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+    if (error) throw error
+    if (!snapshot) return none
+
+    const { data: rows, error: rowsError } = await getSupabase()
+      .from(POLYGON_TABLE())
+      .select('polygon_id, status_code, alert_count, est_rain_h01')
+      .eq('snapshot_id', snapshot.id)
+    if (rowsError) throw rowsError
+    return { comparedTo: snapshot.captured_at as string, previous: aggregateRegionRows(assigner, rows ?? []) }
+  } catch (error) {
+    console.error('Region trend lookup failed:', error)
+    return none
+  }
+}
+
+// Current regions ranked by `sort`, each with its change since the stored snapshot
+// `trend` minutes ago (null when there is none)
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+  const sort = (searchParams.get('sort') ?? 'severity') as RegionSort
+  const trendMinutes = Number(searchParams.get('trend') ?? '60')
+
+  if (!REGION_SORTS.includes(sort)) {
+    return NextResponse.json({ error: `sort must be one of ${REGION_SORTS.join(', ')}` }, { status: 400 })
+  }
+  if (!Number.isInteger(trendMinutes) || trendMinutes < 0 || trendMinutes > MAX_TREND_MINUTES) {
+    return NextResponse.json(
+      { error: `trend must be an integer between 0 and ${MAX_TREND_MINUTES} minutes` },
+      { status: 400 }
+    )
+  }
+
+  let zones
+  try {
+    zones = await loadZones()
+  } catch (error) {
+    return NextResponse.json({ error: `Could not load zones: ${String(error)}` }, { status: 500 })
+  }
+
+  let upstreams
+  try {
+    upstreams = await Promise.all([
+      getUpstream<RainResponse>('rain'),
+      getUpstream<Polygon[]>('polygons'),
+      getUpstream<WazeResponse>('waze'),
+    ])
+  } catch (error) {
+    return NextResponse.json({ error: String(error) }, { status: 502 })
+  }
+  const [rain, polygons, waze] = upstreams
+
+  // Regions are rated with the same active rule set as the city; like the trends, a lookup
+  // failure only falls back to the defaults
+  let ruleSet = DEFAULT_RULE_SET
+  try {
+    const active = await loadActiveRules()
+    if (active.error) console.error('Severity rules load error:', active.error)
+    ruleSet = active.ruleSet
+  } catch (error) {
+    console.error('Severity rules load error:', error)
+  }
+
+  // Failing gauges are left out like everywhere else (see lib/health.ts)
+  const stations = checkStationHealth(rain.data.objects).healthy
+  const assigner = regionAssigner(polygons.data, zones)
+  const regions = aggregateRegions(
+    assigner,
+    polygons.data,
+    filterFloodAlerts(waze.data.alerts || []),
+    stations,
+    samplePolygonRain(stations, polygons.data, 'h01'),
+    ruleSet.rules
+  )
+
+  const { comparedTo, previous } = await loadPrevious(assigner, trendMinutes)
+
+  return NextResponse.json({
+    mode: assigner.mode,
+    fetched_at: new Date(Math.min(rain.fetchedAt, polygons.fetchedAt, waze.fetchedAt)).toISOString(),
+    compared_to: comparedTo,
+    rule_version: ruleSet.version,
+    regions: rankRegions(regions, sort).map((r) => ({ ...r, trend: regionTrend(r, previous.get(r.id)) })),
+  })
+}
@@ -0,0 +1,54 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdmin } from '@/lib/auth'
+import { validateRules } from '@/lib/rules'
+import { listRuleVersions, loadActiveRules, saveRules } from '@/lib/ruleStore'
+
+export const dynamic = 'force-dynamic'
+
+// The active rules are public so the dashboard can apply them; ?versions=1 lists every
+// stored version and needs the admin token
+export async function GET(req: NextRequest) {
+  const { searchParams } = new URL(req.url)
+
+  if (searchParams.get('versions')) {
+    if (!isAdmin(req)) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+    const { data, error } = await listRuleVersions()
+    if (error) {
+      return NextResponse.json({ error: error.message }, { status: 500 })
+    }
+    return NextResponse.json(data)
+  }
+
+  const { ruleSet, error } = await loadActiveRules()
+  if (error) console.error('Severity rules load error:', error)
+  return NextResponse.json(ruleSet)
+}
+
+// Stores a new version, which becomes active on the next snapshot
+export async function PUT(req: NextRequest) {
+  if (!isAdmin(req)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const body = await req.json().catch(() => null)
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 })
+  }
+  if (body.note !== undefined && typeof body.note !== 'string') {
+    return NextResponse.json({ error: 'note must be a string' }, { status: 400 })
+  }
+
+  const checked = validateRules(body.rules)
+  if ('error' in checked) {
+    return NextResponse.json({ error: checked.error }, { status: 400 })
+  }
+
+  const { data, error } = await saveRules(checked.rules, body.note ?? '')
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+
+  return NextResponse.json(data, { status: 201 })
+}
@@ -0,0 +1,32 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getSupabase, TABLE } from '@/lib/supabase'
+import { HISTORY_COLUMNS } from '@/lib/history'
+
+export const dynamic = 'force-dynamic'
+
+// Full stored snapshot including the raw upstream payloads, used by the dashboard replay
+export async function GET(_req: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params
+  if (!/^\d+$/.test(id)) {
+    return NextResponse.json({ error: 'Invalid snapshot id' }, { status: 400 })
+  }
+
+  const { data, error } = await getSupabase()
+    .from(TABLE())
+    .select(
+      `id, ${HISTORY_COLUMNS}, severity_condition, rule_version, ` +
+        'rain_intensity, intensity_counts, landslide_risk_stations, landslide_index, landslide_level, ' +
+        'landslide_elevated_stations, raw'
+    )
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+  if (!data) {
+    return NextResponse.json({ error: 'Snapshot not found' }, { status: 404 })
+  }
+
+  return NextResponse.json(data)
+}
@@ -1,4 +1,5 @@
 import Script from 'next/script'
+import AnalyticsBridge from './analytics-bridge'
 
 export default function Home() {
   return (
@@ -19,6 +20,7 @@ export default function Home() {
           <div className="header-right">
             <div className="status-indicator">
               <div className="status-dot" id="statusDot"></div>
+              <span className="feed-dots" id="feedDots"></span>
               <span id="lastUpdate">Connecting...</span>
             </div>
             <div className="interval-selector">
@@ -26,6 +28,7 @@ export default function Home() {
               <button className="interval-btn" data-interval="60000">1m</button>
               <button className="interval-btn" data-interval="300000">5m</button>
             </div>
+            <button className="refresh-btn" id="replayBtn">Replay</button>
             <button className="refresh-btn" id="refreshBtn">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <path d="M23 4v6h-6M1 20v-6h6M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15" />
@@ -37,10 +40,28 @@ export default function Home() {
 
         {/* Left Column: Charts + Map */}
         <div className="left-column">
+          <div className="replay-bar hidden" id="replayBar">
+            <select className="replay-select" id="replayEvent"></select>
+            <button className="replay-btn" id="replayPrev" title="Previous snapshot">{'\u23EE'}</button>
+            <button className="replay-btn" id="replayPlay" title="Play / pause">{'\u25B6'}</button>
+            <button className="replay-btn" id="replayNext" title="Next snapshot">{'\u23ED'}</button>
+            <input type="range" className="replay-slider" id="replaySlider" min="0" max="0" defaultValue="0" />
+            <span className="replay-time" id="replayTime">-</span>
+            <select className="replay-select" id="replaySpeed" defaultValue="1">
+              <option value="0.5">0.5x</option>
+              <option value="1">1x</option>
+              <option value="2">2x</option>
+              <option value="4">4x</option>
+            </select>
+            <button className="replay-btn" id="replayExit">Live</button>
+          </div>
           <div className="charts-row">
             <div className="chart-panel">
               <div className="chart-header">
                 <span className="chart-label">Flood Evolution</span>
+                <button className="chart-tab" id="downloadFloodChart" title="Snapshots in the charted range (CSV)">
+                  Download
+                </button>
               </div>
               <div className="chart-canvas-wrap">
                 <canvas id="floodChart"></canvas>
@@ -52,7 +73,12 @@ export default function Home() {
                   <button className="chart-tab active" data-chart="rain">Rain</button>
                   <button className="chart-tab" data-chart="distribution">Distribution</button>
                   <button className="chart-tab" data-chart="top10">Top 10</button>
+                  <button className="chart-tab" data-chart="sensors">Sensors</button>
+                  <button className="chart-tab hidden" data-chart="station" id="stationChartTab">Station</button>
                 </div>
+                <button className="chart-tab" id="downloadRainChart" title="Readings behind the current chart (CSV)">
+                  Download
+                </button>
               </div>
               <div className="chart-canvas-wrap">
                 <canvas id="rainChart"></canvas>
@@ -61,6 +87,91 @@ export default function Home() {
           </div>
           <div className="map-section">
             <div id="map"></div>
+            <div className="map-controls">
+              <div className="map-controls-title">Layers</div>
+              <label className="map-filter">
+                Mode
+                <select className="map-select" id="mapMode" defaultValue="flood">
+                  <option value="flood">Flood status</option>
+                  <option value="landslide">Landslide risk</option>
+                </select>
+              </label>
+              <label className="map-toggle">
+                <input type="checkbox" id="layerPolygons" defaultChecked /> Polygons
+              </label>
+              <div className="map-subfilters">
+                <label className="map-toggle">
+                  <input type="checkbox" className="status-filter" data-status="1" defaultChecked /> Attention
+                </label>
+                <label className="map-toggle">
+                  <input type="checkbox" className="status-filter" data-status="2" defaultChecked /> Alert
+                </label>
+                <label className="map-toggle">
+                  <input type="checkbox" className="status-filter" data-status="3" defaultChecked /> Critical
+                </label>
+              </div>
+              <label className="map-toggle">
+                <input type="checkbox" id="layerWaze" defaultChecked /> Waze alerts
+              </label>
+              <div className="map-subfilters">
+                <label className="map-filter">
+                  Reliability &ge;
+                  <select className="map-select" id="wazeMinReliability" defaultValue="0">
+                    {[0, 2, 4, 6, 8, 10].map((v) => (
+                      <option key={v} value={v}>{v}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="map-filter">
+                  Confidence &ge;
+                  <select className="map-select" id="wazeMinConfidence" defaultValue="0">
+                    {[0, 1, 2, 3, 4, 5].map((v) => (
+                      <option key={v} value={v}>{v}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="map-filter">
+                  Age &le;
+                  <select className="map-select" id="wazeMaxAge" defaultValue="0">
+                    <option value="0">Any</option>
+                    <option value="1">1 h</option>
+                    <option value="3">3 h</option>
+                    <option value="6">6 h</option>
+                    <option value="24">24 h</option>
+                  </select>
+                </label>
+                <label className="map-toggle">
+                  <input type="checkbox" id="layerHotspots" defaultChecked /> Cluster hotspots
+                </label>
+                <label className="map-filter">
+                  Radius
+                  <select className="map-select" id="hotspotRadius" defaultValue="300">
+                    {[150, 300, 600, 1000].map((v) => (
+                      <option key={v} value={v}>{v} m</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <label className="map-toggle">
+                <input type="checkbox" id="layerStations" defaultChecked /> Stations
+              </label>
+              <label className="map-toggle">
+                <input type="checkbox" id="rainFieldToggle" /> Rain field
+              </label>
+              <select className="map-select" id="rainFieldWindow" defaultValue="h01">
+                <option value="m15">15 min</option>
+                <option value="h01">1 h</option>
+                <option value="h03">3 h</option>
+                <option value="h24">24 h</option>
+              </select>
+              <div className="map-controls-title">Download (GeoJSON)</div>
+              <div className="map-downloads">
+                <button className="chart-tab map-download" data-dataset="polygons">Polygons</button>
+                <button className="chart-tab map-download" data-dataset="alerts">Alerts</button>
+                <button className="chart-tab map-download" data-dataset="stations">Stations</button>
+              </div>
+            </div>
+            <div className="map-legend" id="mapLegend"></div>
           </div>
         </div>
 
@@ -94,6 +205,13 @@ export default function Home() {
                 <div className="summary-value" id="polygonAlerts">-</div>
                 <div className="summary-label">Areas Affected</div>
               </div>
+              <div className="summary-card wide" id="landslideCard">
+                <div className="summary-value" id="landslideLevel">-</div>
+                <div className="summary-label">
+                  Landslide Risk · <span id="landslideElevated">-</span>
+                </div>
+                <div className="hillside-list" id="landslideHillsides"></div>
+              </div>
             </div>
           </div>
 
@@ -110,6 +228,41 @@ export default function Home() {
             <div className="station-list" id="stationList"></div>
           </div>
 
+          <div className="panel">
+            <div className="panel-header">
+              <span className="panel-title">Regions</span>
+              <select className="map-select" id="regionSort" defaultValue="severity">
+                <option value="severity">By severity</option>
+                <option value="rain">By rain</option>
+                <option value="alerts">By reports</option>
+              </select>
+            </div>
+            <div className="station-list" id="regionList">
+              <div className="event-empty">Loading regions...</div>
+            </div>
+          </div>
+
+          <div className="panel">
+            <div className="panel-header">
+              <span className="panel-title">New Flood Reports</span>
+              <span className="panel-badge" id="newAlertCount">0</span>
+            </div>
+            <div className="alert-list" id="alertActivity">
+              <div className="event-empty">No new flood reports</div>
+            </div>
+          </div>
+
+          <div className="panel">
+            <div className="panel-header">
+              <span className="panel-title">Data Health</span>
+              <span className="panel-badge" id="failingStationCount">0</span>
+            </div>
+            <div id="healthFeeds"></div>
+            <div className="alert-list" id="healthStations">
+              <div className="event-empty">Checking stations...</div>
+            </div>
+          </div>
+
           <div className="panel" style={{ flex: 1 }}>
             <div className="panel-title">Notable Moments</div>
             <div className="timeline-list" id="notableTimeline">
@@ -119,6 +272,7 @@ export default function Home() {
         </div>
       </div>
 
+      <AnalyticsBridge />
       <Script src="/app.js" strategy="afterInteractive" />
     </>
   )
@@ -0,0 +1,93 @@
+import type { Station, Polygon, WazeAlert, FloodMetrics, NotableEvent } from './types'
+import { buildPolygonIndex, findPolygon } from './geometry'
+
+export const FLOOD_SUBTYPE = 'HAZARD_WEATHER_FLOOD'
+
+// Severity thresholds
+export const SEVERITY_THRESHOLDS = {
+  criticalPolygonStatus: 3,
+  alertAlertsInAreas: 5,
+  alertAffectedAreas: 10,
+  attentionWazeAlerts: 10,
+  notableAlertSpike: 5,
+  notableMaxEvents: 50,
+}
+
+// Rain guard: need at least 3 flood alerts started in the last 6 hours
+export const RAIN_GUARD = {
+  minRecentFloodAlerts: 3,
+  windowMs: 6 * 60 * 60 * 1000,
+}
+
+export const SEVERITY_LEVELS = [
+  { level: 0, label: 'Normal', color: '#22c55e' },
+  { level: 1, label: 'Attention', color: '#eab308' },
+  { level: 2, label: 'Alert', color: '#ea580c' },
+  { level: 3, label: 'Critical', color: '#dc2626' },
+] as const
+
+export type SeverityInfo = (typeof SEVERITY_LEVELS)[number]
+
+export function filterFloodAlerts(alerts: WazeAlert[]): WazeAlert[] {
+  return alerts.filter((a) => a.subtype === FLOOD_SUBTYPE)
+}
+
+export function countAlertsInAffectedAreas(wazeAlerts: WazeAlert[], polygons: Polygon[]): number {
+  const affected = polygons.filter((p) => p.status_code > 0)
+  if (affected.length === 0) return 0
+
+  const index = buildPolygonIndex(affected)
+  return wazeAlerts.filter((a) => a.location && findPolygon(index, a.location.y, a.location.x)).length
+}
+
+// Expects flood alerts only (see filterFloodAlerts)
+export function computeFloodMetrics(floodAlerts: WazeAlert[], polygons: Polygon[]): FloodMetrics {
+  return {
+    wazeFloodCount: floodAlerts.length,
+    affectedAreaCount: polygons.filter((p) => p.status_code > 0).length,
+    alertsInAreasCount: countAlertsInAffectedAreas(floodAlerts, polygons),
+  }
+}
+
+export function severityInfo(level: number): SeverityInfo {
+  return SEVERITY_LEVELS[Math.max(0, Math.min(3, level))]
+}
+
+export function checkRainGuard(floodAlerts: WazeAlert[], now: number = Date.now()) {
+  const recentFloodCount = floodAlerts.filter((a) => a.pubMillis > now - RAIN_GUARD.windowMs).length
+  return { passed: recentFloodCount >= RAIN_GUARD.minRecentFloodAlerts, recentFloodCount }
+}
+
+export function computeRainStats(stations: Station[]) {
+  const values = stations.map((s) => s.data?.h01 || 0)
+  const totalRain = values.reduce((sum, v) => sum + v, 0)
+  return {
+    activeStations: values.filter((v) => v > 0).length,
+    avgRain: stations.length > 0 ? totalRain / stations.length : 0,
+    maxRain: Math.max(0, ...values),
+  }
+}
+
+// Compares two consecutive metric points and describes what changed between them
+export function detectNotableEvents(prev: FloodMetrics, curr: FloodMetrics): NotableEvent[] {
+  const alertDelta = curr.wazeFloodCount - prev.wazeFloodCount
+  const areaDelta = curr.affectedAreaCount - prev.affectedAreaCount
+  const overlapDelta = curr.alertsInAreasCount - prev.alertsInAreasCount
+
+  if (alertDelta > 0 && areaDelta > 0 && overlapDelta > 0) {
+    return [
+      { message: 'Flood convergence — alerts, areas, and overlap all rising', severity: 'critical' },
+    ]
+  }
+
+  const events: NotableEvent[] = []
+  if (alertDelta >= SEVERITY_THRESHOLDS.notableAlertSpike) {
+    events.push({ message: `+${alertDelta} new flood alerts reported`, severity: 'alert' })
+  }
+  if (areaDelta > 0) {
+    events.push({ message: `${areaDelta} new area(s) entered affected status`, severity: 'attention' })
+  } else if (areaDelta < 0) {
+    events.push({ message: `${Math.abs(areaDelta)} area(s) returned to normal`, severity: 'normal' })
+  }
+  return events
+}
@@ -0,0 +1,8 @@
+// Bearer token check for the admin APIs, which change stored data and register outbound
+// targets. With ADMIN_SECRET unset every request is refused; a plain comparison would
+// accept the literal header "Bearer undefined".
+export function isAdmin(req: Request): boolean {
+  const secret = process.env.ADMIN_SECRET
+  if (!secret) return false
+  return req.headers.get('authorization') === `Bearer ${secret}`
+}
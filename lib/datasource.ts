@@ -0,0 +1,79 @@
+import { readFile, readdir } from 'fs/promises'
+import path from 'path'
+import type { UpstreamSource } from './upstream'
+
+// Where upstream payloads come from, chosen by DATA_SOURCE:
+//   live      the real upstream APIs (default)
+//   fixtures  one recorded set of files in DATA_FIXTURE_DIR (default data/sample)
+//   sequence  numbered sub-directories of DATA_FIXTURE_DIR, advancing one frame every
+//             DATA_SEQUENCE_STEP_MS and holding on the last frame
+export type DataSourceMode = 'live' | 'fixtures' | 'sequence'
+
+export const FIXTURE_FILES: Record<UpstreamSource, string> = {
+  rain: 'chuvas.json',
+  polygons: 'polygons.json',
+  waze: 'waze.json',
+}
+
+const DEFAULT_FIXTURE_DIR = 'data/sample'
+const DEFAULT_SEQUENCE_STEP_MS = 60 * 1000
+
+export function dataSourceMode(): DataSourceMode {
+  const mode = process.env.DATA_SOURCE || 'live'
+  if (mode !== 'live' && mode !== 'fixtures' && mode !== 'sequence') {
+    throw new Error(`Unknown DATA_SOURCE "${mode}"`)
+  }
+  return mode
+}
+
+function fixtureDir(): string {
+  return path.resolve(process.cwd(), process.env.DATA_FIXTURE_DIR || DEFAULT_FIXTURE_DIR)
+}
+
+let sequenceStartedAt: number | null = null
+
+export function resetSequence(startedAt: number | null = null) {
+  sequenceStartedAt = startedAt
+}
+
+async function sequenceFrameDir(now: number): Promise<string> {
+  const root = fixtureDir()
+  const frames = (await readdir(root, { withFileTypes: true }))
+    .filter((e) => e.isDirectory())
+    .map((e) => e.name)
+    .sort()
+  if (frames.length === 0) throw new Error(`No fixture frames in ${root}`)
+
+  if (sequenceStartedAt === null) sequenceStartedAt = now
+  const stepMs = Number(process.env.DATA_SEQUENCE_STEP_MS) || DEFAULT_SEQUENCE_STEP_MS
+  const index = Math.min(frames.length - 1, Math.floor((now - sequenceStartedAt) / stepMs))
+  return path.join(root, frames[index])
+}
+
+// Recorded Waze alerts are shifted so the feed ends "now"; otherwise the cron's rain guard,
+// which looks at the last six hours, would never pass on old recordings.
+function rebaseWaze(raw: unknown, now: number): unknown {
+  if (typeof raw !== 'object' || raw === null) return raw
+  const feed = raw as { endTimeMillis?: number; startTimeMillis?: number; alerts?: unknown[] }
+  if (!Number.isFinite(feed.endTimeMillis)) return raw
+  const offset = now - (feed.endTimeMillis as number)
+  return {
+    ...feed,
+    startTimeMillis: Number.isFinite(feed.startTimeMillis)
+      ? (feed.startTimeMillis as number) + offset
+      : feed.startTimeMillis,
+    endTimeMillis: now,
+    alerts: Array.isArray(feed.alerts)
+      ? feed.alerts.map((a) => {
+          const alert = a as { pubMillis?: number }
+          return Number.isFinite(alert?.pubMillis) ? { ...alert, pubMillis: alert.pubMillis! + offset } : a
+        })
+      : feed.alerts,
+  }
+}
+
+export async function readFixture(source: UpstreamSource, now: number = Date.now()): Promise<unknown> {
+  const dir = dataSourceMode() === 'sequence' ? await sequenceFrameDir(now) : fixtureDir()
+  const raw = JSON.parse(await readFile(path.join(dir, FIXTURE_FILES[source]), 'utf8'))
+  return source === 'waze' ? rebaseWaze(raw, now) : raw
+}
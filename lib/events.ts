@@ -0,0 +1,104 @@
+import { getSupabase, EVENTS_TABLE } from './supabase'
+import type { Polygon, StormEvent } from './types'
+
+// An open event is closed once the rain guard has not passed for this long
+export const EVENT_QUIET_PERIOD_MS = 2 * 60 * 60 * 1000
+
+export const EVENT_SUMMARY_COLUMNS =
+  'id, started_at, ended_at, last_active_at, peak_severity, peak_max_rain, affected_polygons'
+
+export interface EventSnapshot {
+  id: number
+  captured_at: string
+  severity: number
+  max_rain: number
+  polygons: Polygon[]
+}
+
+export function isQuiet(event: StormEvent, now: number): boolean {
+  return now - Date.parse(event.last_active_at) > EVENT_QUIET_PERIOD_MS
+}
+
+function affectedPolygonIds(polygons: Polygon[]): string[] {
+  return polygons.filter((p) => p.status_code > 0 && p._id).map((p) => p._id)
+}
+
+export function openEvent(snapshot: EventSnapshot): Omit<StormEvent, 'id'> {
+  const polygonIds = affectedPolygonIds(snapshot.polygons)
+  return {
+    started_at: snapshot.captured_at,
+    ended_at: null,
+    last_active_at: snapshot.captured_at,
+    peak_severity: snapshot.severity,
+    peak_max_rain: snapshot.max_rain,
+    affected_polygons: polygonIds.length,
+    polygon_ids: polygonIds,
+    snapshot_ids: [snapshot.id],
+  }
+}
+
+export function extendEvent(event: StormEvent, snapshot: EventSnapshot): Partial<StormEvent> {
+  const polygonIds = [...new Set([...event.polygon_ids, ...affectedPolygonIds(snapshot.polygons)])]
+  return {
+    last_active_at: snapshot.captured_at,
+    peak_severity: Math.max(event.peak_severity, snapshot.severity),
+    peak_max_rain: Math.max(event.peak_max_rain, snapshot.max_rain),
+    affected_polygons: polygonIds.length,
+    polygon_ids: polygonIds,
+    snapshot_ids: [...event.snapshot_ids, snapshot.id],
+  }
+}
+
+async function getOpenEvent(): Promise<{ event: StormEvent | null; error: string | null }> {
+  const { data, error } = await getSupabase()
+    .from(EVENTS_TABLE())
+    .select('*')
+    .is('ended_at', null)
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+  return { event: (data as StormEvent) ?? null, error: error?.message ?? null }
+}
+
+async function closeEvent(event: StormEvent): Promise<string | null> {
+  const { error } = await getSupabase()
+    .from(EVENTS_TABLE())
+    .update({ ended_at: event.last_active_at })
+    .eq('id', event.id)
+  return error?.message ?? null
+}
+
+// Called when the rain guard fails: closes the open event once it has been quiet long enough
+export async function closeQuietEvent(now: number = Date.now()) {
+  const { event, error } = await getOpenEvent()
+  if (error) return { closed: null, error }
+  if (!event || !isQuiet(event, now)) return { closed: null, error: null }
+  return { closed: event.id, error: await closeEvent(event) }
+}
+
+// Called for every stored snapshot: extends the open event, or opens a new one
+export async function recordEventSnapshot(snapshot: EventSnapshot) {
+  const { event, error } = await getOpenEvent()
+  if (error) return { eventId: null, error }
+
+  const now = Date.parse(snapshot.captured_at)
+  if (event && !isQuiet(event, now)) {
+    const { error: updateError } = await getSupabase()
+      .from(EVENTS_TABLE())
+      .update(extendEvent(event, snapshot))
+      .eq('id', event.id)
+    return { eventId: event.id, error: updateError?.message ?? null }
+  }
+
+  if (event) {
+    const closeError = await closeEvent(event)
+    if (closeError) return { eventId: null, error: closeError }
+  }
+
+  const { data, error: insertError } = await getSupabase()
+    .from(EVENTS_TABLE())
+    .insert(openEvent(snapshot))
+    .select('id')
+    .single()
+  return { eventId: (data?.id as number) ?? null, error: insertError?.message ?? null }
+}
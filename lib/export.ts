@@ -0,0 +1,195 @@
+import { ALERT_LIFECYCLE_TABLE, POLYGON_TABLE, STATION_TABLE, TABLE } from './supabase'
+import { parseDate } from './history'
+import type { Ring } from './geometry'
+
+// Datasets and encoders behind /api/export. Rows are written as they are read, so a large
+// range streams page by page instead of being held in memory.
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'geojson'] as const
+export type ExportFormat = (typeof EXPORT_FORMATS)[number]
+
+type Row = Record<string, unknown>
+
+export interface ExportDataset {
+  table: () => string
+  columns: string[]
+  // time column the range applies to
+  timeColumn: string
+  // when set, rows match if [timeColumn, endColumn] overlaps the range
+  endColumn?: string
+  // unique column that keeps the page order stable between equal timestamps
+  tiebreak: string
+  // column the optional id parameter filters on
+  idColumn: string
+  // point rows carry lat/lng; polygon rows are joined to the current polygon geometry
+  geometry: 'point' | 'polygon' | null
+}
+
+export const EXPORT_DATASETS: Record<string, ExportDataset> = {
+  snapshots: {
+    table: TABLE,
+    columns: [
+      'id', 'captured_at', 'waze_count', 'affected_areas', 'alerts_in_areas', 'avg_rain', 'max_rain',
+      'severity', 'severity_raw', 'severity_condition', 'rule_version', 'rain_intensity',
+      'landslide_risk_stations', 'landslide_index', 'landslide_level', 'landslide_elevated_stations',
+      'sensor_totals',
+    ],
+    timeColumn: 'captured_at',
+    tiebreak: 'id',
+    idColumn: 'id',
+    geometry: null,
+  },
+  stations: {
+    table: STATION_TABLE,
+    columns: [
+      'name', 'read_at', 'kind', 'lat', 'lng', 'm05', 'm15', 'h01', 'h02', 'h03', 'h04', 'h24', 'h96', 'mes',
+    ],
+    timeColumn: 'read_at',
+    tiebreak: 'id',
+    idColumn: 'name',
+    geometry: 'point',
+  },
+  polygons: {
+    table: POLYGON_TABLE,
+    columns: [
+      'snapshot_id', 'captured_at', 'polygon_id', 'status_code', 'waze_flood_count',
+      'acumulado_chuva_15_min_1', 'acumulado_chuva_15_min_2', 'acumulado_chuva_15_min_3',
+      'acumulado_chuva_15_min_4', 'acumulado_chuva_15_min_5', 'alagamento_count', 'enchente_count',
+      'alagamento_enchente_count', 'bolsao_count', 'lamina_count', 'vazamento_count', 'sirene_count',
+      'camera_flood_count', 'est_rain_h01', 'alert_count', 'station_count', 'landslide_index',
+    ],
+    timeColumn: 'captured_at',
+    tiebreak: 'id',
+    idColumn: 'polygon_id',
+    geometry: 'polygon',
+  },
+  alerts: {
+    table: ALERT_LIFECYCLE_TABLE,
+    columns: ['uuid', 'street', 'city', 'lat', 'lng', 'pub_millis', 'first_seen_at', 'last_seen_at', 'cleared_at'],
+    timeColumn: 'first_seen_at',
+    endColumn: 'last_seen_at',
+    tiebreak: 'id',
+    idColumn: 'uuid',
+    geometry: 'point',
+  },
+}
+
+export const DEFAULT_EXPORT_RANGE_MS = 24 * 60 * 60 * 1000
+
+export interface ExportQuery {
+  dataset: string
+  format: ExportFormat
+  from: string
+  to: string
+  id: string | null
+}
+
+export function parseExportQuery(params: URLSearchParams, now: number = Date.now()): ExportQuery | { error: string } {
+  const dataset = params.get('dataset') ?? ''
+  if (!(dataset in EXPORT_DATASETS)) {
+    return { error: `dataset must be one of ${Object.keys(EXPORT_DATASETS).join(', ')}` }
+  }
+
+  const format = (params.get('format') ?? 'csv') as ExportFormat
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }
+  }
+  if (format === 'geojson' && !EXPORT_DATASETS[dataset].geometry) {
+    return { error: `${dataset} has no geometry; use csv or ndjson` }
+  }
+
+  const from = parseDate(params.get('from'))
+  if (from === undefined) return { error: 'from must be an ISO date' }
+  const to = parseDate(params.get('to'))
+  if (to === undefined) return { error: 'to must be an ISO date' }
+
+  // Without a range the last day is exported
+  const end = to ?? new Date(now).toISOString()
+  const start = from ?? new Date(Date.parse(end) - DEFAULT_EXPORT_RANGE_MS).toISOString()
+  if (start > end) return { error: 'from must be before to' }
+
+  return { dataset, format, from: start, to: end, id: params.get('id') || null }
+}
+
+// Goes into a quoted Content-Disposition filename, so the free-form id is reduced to
+// characters that cannot end the quote or break the header line
+export function exportFilename(q: ExportQuery): string {
+  const stamp = (iso: string) => iso.slice(0, 16).replace(/:/g, '')
+  const id = q.id ? `-${q.id.replace(/[^A-Za-z0-9_-]/g, '_')}` : ''
+  return `${q.dataset}${id}-${stamp(q.from)}-${stamp(q.to)}.${q.format}`
+}
+
+export const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  geojson: 'application/geo+json',
+}
+
+function csvValue(value: unknown): string {
+  if (value === null || value === undefined) return ''
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function closeRing(ring: Ring): Ring {
+  const [first, last] = [ring[0], ring[ring.length - 1]]
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first]
+}
+
+// Polygon rings are stored as [lng, lat], the GeoJSON and WKT order
+function toWkt(rings: Ring[]): string {
+  return `POLYGON(${rings.map((r) => `(${closeRing(r).map((c) => `${c[0]} ${c[1]}`).join(', ')})`).join(', ')})`
+}
+
+function rowGeometry(dataset: ExportDataset, row: Row, geometries: Map<string, Ring[]>) {
+  if (dataset.geometry === 'point') {
+    const lat = row.lat as number | null
+    const lng = row.lng as number | null
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { type: 'Point', coordinates: [lng, lat] } : null
+  }
+  if (dataset.geometry === 'polygon') {
+    const rings = geometries.get(row.polygon_id as string)
+    return rings ? { type: 'Polygon', coordinates: rings.map(closeRing) } : null
+  }
+  return null
+}
+
+export interface ExportEncoder {
+  start: string
+  row: (row: Row, index: number) => string
+  end: string
+}
+
+// `geometries` maps polygon _id to its rings; polygons missing from it get no geometry
+export function exportEncoder(
+  format: ExportFormat,
+  dataset: ExportDataset,
+  geometries: Map<string, Ring[]> = new Map()
+): ExportEncoder {
+  const withWkt = dataset.geometry === 'polygon'
+  switch (format) {
+    case 'csv':
+      return {
+        start: [...dataset.columns, ...(withWkt ? ['wkt'] : [])].join(',') + '\n',
+        row: (row) => {
+          const values = dataset.columns.map((c) => csvValue(row[c]))
+          if (withWkt) {
+            const rings = geometries.get(row.polygon_id as string)
+            values.push(rings ? csvValue(toWkt(rings)) : '')
+          }
+          return values.join(',') + '\n'
+        },
+        end: '',
+      }
+    case 'ndjson':
+      return { start: '', row: (row) => JSON.stringify(row) + '\n', end: '' }
+    case 'geojson':
+      return {
+        start: '{"type":"FeatureCollection","features":[\n',
+        row: (row, index) =>
+          (index > 0 ? ',\n' : '') +
+          JSON.stringify({ type: 'Feature', geometry: rowGeometry(dataset, row, geometries), properties: row }),
+        end: '\n]}\n',
+      }
+  }
+}
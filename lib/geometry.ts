@@ -0,0 +1,128 @@
+import type { Polygon, Station, WazeAlert } from './types'
+
+// Polygon geometry is a list of [lng, lat] rings. Rings are combined with the even-odd rule,
+// so a ring inside another is a hole and disjoint rings are separate parts.
+
+export type Ring = Array<[number, number]>
+
+// Anything with polygon-style rings: upstream polygons or zones loaded from GeoJSON
+export interface Shape {
+  geometry: Ring[]
+}
+
+export interface BBox {
+  minLat: number
+  minLng: number
+  maxLat: number
+  maxLng: number
+}
+
+export function isPointInPolygon(lat: number, lng: number, ring: Ring): boolean {
+  let inside = false
+  const n = ring.length
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const yi = ring[i][1] // lat
+    const xi = ring[i][0] // lng
+    const yj = ring[j][1]
+    const xj = ring[j][0]
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+export function isPointInGeometry(lat: number, lng: number, geometry: Ring[]): boolean {
+  let inside = false
+  for (const ring of geometry) {
+    if (isPointInPolygon(lat, lng, ring)) inside = !inside
+  }
+  return inside
+}
+
+export function geometryBBox(geometry: Ring[]): BBox {
+  const box = { minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity }
+  for (const ring of geometry) {
+    for (const [lng, lat] of ring) {
+      if (lat < box.minLat) box.minLat = lat
+      if (lat > box.maxLat) box.maxLat = lat
+      if (lng < box.minLng) box.minLng = lng
+      if (lng > box.maxLng) box.maxLng = lng
+    }
+  }
+  return box
+}
+
+function inBBox(box: BBox, lat: number, lng: number): boolean {
+  return lat >= box.minLat && lat <= box.maxLat && lng >= box.minLng && lng <= box.maxLng
+}
+
+// ~1 km cells at Rio's latitude
+export const INDEX_CELL_DEG = 0.01
+
+export interface PolygonIndex<T extends Shape = Polygon> {
+  cellDeg: number
+  entries: Array<{ polygon: T; bbox: BBox }>
+  // cell key -> entry positions whose bbox overlaps the cell, in input order
+  cells: Map<string, number[]>
+}
+
+// Uniform grid over polygon bounding boxes. A lookup only ray-casts the polygons whose bbox
+// overlaps the point's cell and contains the point.
+export function buildPolygonIndex<T extends Shape>(
+  polygons: T[],
+  cellDeg: number = INDEX_CELL_DEG
+): PolygonIndex<T> {
+  const entries = polygons
+    .filter((p) => p.geometry?.length > 0)
+    .map((polygon) => ({ polygon, bbox: geometryBBox(polygon.geometry) }))
+  const cells = new Map<string, number[]>()
+  entries.forEach(({ bbox }, i) => {
+    for (let y = Math.floor(bbox.minLat / cellDeg); y <= Math.floor(bbox.maxLat / cellDeg); y++) {
+      for (let x = Math.floor(bbox.minLng / cellDeg); x <= Math.floor(bbox.maxLng / cellDeg); x++) {
+        const key = `${y}:${x}`
+        if (!cells.has(key)) cells.set(key, [])
+        cells.get(key)!.push(i)
+      }
+    }
+  })
+  return { cellDeg, entries, cells }
+}
+
+// First polygon (in input order) containing the point, or null
+export function findPolygon<T extends Shape>(index: PolygonIndex<T>, lat: number, lng: number): T | null {
+  const key = `${Math.floor(lat / index.cellDeg)}:${Math.floor(lng / index.cellDeg)}`
+  for (const i of index.cells.get(key) ?? []) {
+    const { polygon, bbox } = index.entries[i]
+    if (inBBox(bbox, lat, lng) && isPointInGeometry(lat, lng, polygon.geometry)) return polygon
+  }
+  return null
+}
+
+export interface PolygonCounts {
+  alerts: number
+  stations: number
+}
+
+// Maps every alert and station to its polygon. Keyed by polygon _id; polygons with nothing
+// inside are omitted.
+export function computePolygonCounts(
+  polygons: Polygon[],
+  alerts: WazeAlert[],
+  stations: Station[],
+  index: PolygonIndex = buildPolygonIndex(polygons)
+): Record<string, PolygonCounts> {
+  const counts: Record<string, PolygonCounts> = {}
+  const bump = (polygon: Polygon | null, key: keyof PolygonCounts) => {
+    if (!polygon) return
+    counts[polygon._id] ??= { alerts: 0, stations: 0 }
+    counts[polygon._id][key]++
+  }
+  for (const alert of alerts) {
+    if (alert.location) bump(findPolygon(index, alert.location.y, alert.location.x), 'alerts')
+  }
+  for (const station of stations) {
+    if (station.location) bump(findPolygon(index, station.location[0], station.location[1]), 'stations')
+  }
+  return counts
+}
@@ -0,0 +1,120 @@
+import { distanceKm } from './interpolation'
+import type { Station, StationData } from './types'
+
+// Data-quality checks on the rain gauges and the upstream feeds. Stations failing any check
+// are left out of the aggregates (averages, interpolation, nowcast, severity) and listed in
+// /api/health; the dashboard shows the same report.
+
+export const HEALTH_CONFIG = {
+  // a reading this far behind the freshest one in the same payload is stale
+  staleAfterMs: 45 * 60 * 1000,
+  // gauges report every 15 minutes; an is_new=false reading this far behind is frozen
+  reportIntervalMs: 15 * 60 * 1000,
+  // accumulations may disagree by this much (mm) through rounding
+  windowToleranceMm: 0.2,
+  // a 1h reading is a spike when it is at least minMm and factor times every neighbor
+  spike: { minMm: 20, factor: 4, radiusKm: 5, minNeighbors: 2 },
+}
+
+// Served data older than this (or a stale fallback) counts as degraded
+export const FEED_MAX_AGE_MS = 2 * 60 * 1000
+
+export type StationIssue = 'stale' | 'inconsistent' | 'spike'
+
+export interface StationHealth {
+  name: string
+  read_at: string
+  issues: StationIssue[]
+  // human-readable reason for each issue, same order
+  details: string[]
+}
+
+export interface StationHealthReport {
+  healthy: Station[]
+  failing: StationHealth[]
+  // freshest read_at in the payload, the reference for staleness
+  newestReadAt: string | null
+}
+
+// Accumulation windows from shortest to longest; each must hold at least the previous one
+const NESTED_WINDOWS: Array<keyof StationData> = ['m05', 'm15', 'h01', 'h02', 'h03', 'h04', 'h24', 'h96']
+
+function inconsistentWindows(data: StationData): string | null {
+  for (let i = 1; i < NESTED_WINDOWS.length; i++) {
+    const shorter = NESTED_WINDOWS[i - 1]
+    const longer = NESTED_WINDOWS[i]
+    if ((data[shorter] || 0) > (data[longer] || 0) + HEALTH_CONFIG.windowToleranceMm) {
+      return `${shorter} ${data[shorter]} mm > ${longer} ${data[longer]} mm`
+    }
+  }
+  return null
+}
+
+export function checkStationHealth(stations: Station[]): StationHealthReport {
+  const times = stations.map((s) => Date.parse(s.read_at)).filter(Number.isFinite)
+  const newest = times.length > 0 ? Math.max(...times) : null
+  const results = new Map<Station, StationHealth>()
+
+  for (const station of stations) {
+    const health: StationHealth = { name: station.name, read_at: station.read_at, issues: [], details: [] }
+    const lag = newest !== null ? newest - Date.parse(station.read_at) : 0
+    if (lag > HEALTH_CONFIG.staleAfterMs || (!station.is_new && lag >= HEALTH_CONFIG.reportIntervalMs)) {
+      health.issues.push('stale')
+      health.details.push(`${Math.round(lag / 60000)} min behind the latest reading`)
+    }
+    // Stations without readings have no windows to compare
+    const inconsistent = station.data ? inconsistentWindows(station.data) : null
+    if (inconsistent) {
+      health.issues.push('inconsistent')
+      health.details.push(inconsistent)
+    }
+    results.set(station, health)
+  }
+
+  // Spikes are judged against neighbors that passed the checks above
+  const { minMm, factor, radiusKm, minNeighbors } = HEALTH_CONFIG.spike
+  const reference = stations.filter((s) => s.location && results.get(s)!.issues.length === 0)
+  for (const station of stations) {
+    const h01 = station.data?.h01 || 0
+    if (h01 < minMm || !station.location) continue
+    const neighbors = reference.filter(
+      (n) =>
+        n !== station &&
+        distanceKm(station.location[0], station.location[1], n.location[0], n.location[1]) <= radiusKm
+    )
+    if (neighbors.length < minNeighbors) continue
+    const highest = Math.max(...neighbors.map((n) => n.data?.h01 || 0))
+    if (h01 >= factor * Math.max(highest, 1)) {
+      const health = results.get(station)!
+      health.issues.push('spike')
+      health.details.push(`${h01} mm/h against at most ${highest} mm/h within ${radiusKm} km`)
+    }
+  }
+
+  return {
+    healthy: stations.filter((s) => results.get(s)!.issues.length === 0),
+    failing: stations.map((s) => results.get(s)!).filter((h) => h.issues.length > 0),
+    newestReadAt: newest !== null ? new Date(newest).toISOString() : null,
+  }
+}
+
+export type FeedState = 'ok' | 'degraded' | 'down'
+
+export const FEED_STATE_COLORS: Record<FeedState, string> = {
+  ok: '#22c55e',
+  degraded: '#eab308',
+  down: '#dc2626',
+}
+
+// `ageMs` is null when the feed never delivered anything
+export function feedState(feed: { ok: boolean; stale: boolean; ageMs: number | null }): FeedState {
+  if (feed.ageMs === null) return 'down'
+  if (!feed.ok || feed.stale || feed.ageMs > FEED_MAX_AGE_MS) return 'degraded'
+  return 'ok'
+}
+
+export function worstFeedState(states: FeedState[]): FeedState {
+  if (states.includes('down')) return 'down'
+  if (states.includes('degraded')) return 'degraded'
+  return 'ok'
+}
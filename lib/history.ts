@@ -0,0 +1,152 @@
+import type { SensorChannel, SensorTotals, SnapshotRow } from './types'
+
+export const HISTORY_COLUMNS =
+  'captured_at, waze_count, affected_areas, alerts_in_areas, avg_rain, max_rain, severity, severity_raw, sensor_totals'
+
+export const MAX_LIMIT = 1000
+
+// Upper bound on raw rows scanned for one downsampled page (~1 year of 15 min snapshots)
+export const MAX_BUCKET_SCAN = 40000
+export const SCAN_PAGE_SIZE = 1000
+
+export const BUCKETS: Record<string, number> = {
+  '15m': 15 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+}
+
+export interface HistoryQuery {
+  from: string | null
+  to: string | null
+  order: 'asc' | 'desc'
+  limit: number
+  cursor: string | null
+  bucket: string | null
+}
+
+export function parseDate(value: string | null): string | null | undefined {
+  if (value === null || value === '') return null
+  const ms = Date.parse(value)
+  return isNaN(ms) ? undefined : new Date(ms).toISOString()
+}
+
+export function parseHistoryQuery(params: URLSearchParams): HistoryQuery | { error: string } {
+  const limitParam = params.get('limit') ?? '100'
+  const limit = Number(limitParam)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` }
+  }
+
+  const order = params.get('order') ?? 'asc'
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' }
+  }
+
+  const from = parseDate(params.get('from'))
+  if (from === undefined) return { error: 'from must be an ISO date' }
+  const to = parseDate(params.get('to'))
+  if (to === undefined) return { error: 'to must be an ISO date' }
+  if (from && to && from > to) return { error: 'from must be before to' }
+
+  // Cursors are the captured_at of the boundary row returned by the previous page
+  const cursor = params.get('cursor')
+  if (cursor && isNaN(Date.parse(cursor))) return { error: 'invalid cursor' }
+
+  const bucket = params.get('bucket')
+  if (bucket && !(bucket in BUCKETS)) {
+    return { error: `bucket must be one of ${Object.keys(BUCKETS).join(', ')}` }
+  }
+
+  return { from, to, order, limit, cursor: cursor || null, bucket: bucket || null }
+}
+
+export function bucketKey(capturedAt: string, bucketMs: number): number {
+  return Math.floor(Date.parse(capturedAt) / bucketMs) * bucketMs
+}
+
+// Per-channel max; a bucket keeps the totals of whichever rows recorded them
+function maxSensorTotals(a: SensorTotals | null, b: SensorTotals | null): SensorTotals | null {
+  if (!a || !b) return a ?? b
+  const merged = { ...a }
+  for (const channel of Object.keys(b) as SensorChannel[]) {
+    merged[channel] = {
+      count: Math.max(a[channel]?.count ?? 0, b[channel].count),
+      active: Math.max(a[channel]?.active ?? 0, b[channel].active),
+    }
+  }
+  return merged
+}
+
+// Folds ordered snapshot rows into fixed-width time buckets keeping the max of each metric.
+// Buckets keep the order the rows arrived in; first/last are the raw captured_at bounds.
+export function bucketRows(
+  rows: SnapshotRow[],
+  bucketMs: number
+): Array<{ row: SnapshotRow; first: string; last: string }> {
+  const buckets = new Map<number, { row: SnapshotRow; first: string; last: string }>()
+  for (const row of rows) {
+    const key = bucketKey(row.captured_at, bucketMs)
+    const existing = buckets.get(key)
+    if (!existing) {
+      buckets.set(key, {
+        row: { ...row, captured_at: new Date(key).toISOString() },
+        first: row.captured_at,
+        last: row.captured_at,
+      })
+      continue
+    }
+    const b = existing.row
+    b.waze_count = Math.max(b.waze_count, row.waze_count)
+    b.affected_areas = Math.max(b.affected_areas, row.affected_areas)
+    b.alerts_in_areas = Math.max(b.alerts_in_areas, row.alerts_in_areas)
+    b.avg_rain = Math.max(b.avg_rain, row.avg_rain)
+    b.max_rain = Math.max(b.max_rain, row.max_rain)
+    b.severity = Math.max(b.severity, row.severity)
+    b.severity_raw = Math.max(b.severity_raw ?? b.severity, row.severity_raw ?? row.severity)
+    b.sensor_totals = maxSensorTotals(b.sensor_totals, row.sensor_totals)
+    existing.last = row.captured_at
+  }
+  return [...buckets.values()]
+}
+
+export interface BucketPage {
+  rows: SnapshotRow[]
+  nextCursor: string | null
+}
+
+// Reads raw rows page by page (`fetchPage` gets the offset) until one bucket past the limit
+// has started, so every returned bucket is complete. When the scan hits `maxRows` first, the
+// last bucket may be cut short; it is left for the next page instead of being returned partial.
+export async function scanBuckets(
+  fetchPage: (offset: number, size: number) => Promise<SnapshotRow[]>,
+  bucketMs: number,
+  limit: number,
+  maxRows: number = MAX_BUCKET_SCAN
+): Promise<BucketPage | { error: string }> {
+  const raw: SnapshotRow[] = []
+  const keys = new Set<number>()
+  let exhausted = false
+  while (raw.length < maxRows) {
+    const page = await fetchPage(raw.length, Math.min(SCAN_PAGE_SIZE, maxRows - raw.length))
+    raw.push(...page)
+    page.forEach((r) => keys.add(bucketKey(r.captured_at, bucketMs)))
+    if (page.length < SCAN_PAGE_SIZE && raw.length < maxRows) {
+      exhausted = true
+      break
+    }
+    if (keys.size > limit) break
+  }
+
+  const buckets = bucketRows(raw, bucketMs)
+  if (buckets.length > limit) {
+    const page = buckets.slice(0, limit)
+    return { rows: page.map((b) => b.row), nextCursor: page[page.length - 1].last }
+  }
+  if (exhausted) return { rows: buckets.map((b) => b.row), nextCursor: null }
+
+  const complete = buckets.slice(0, -1)
+  if (complete.length === 0) {
+    return { error: `a single bucket spans more than ${maxRows} snapshots; use a smaller bucket` }
+  }
+  return { rows: complete.map((b) => b.row), nextCursor: complete[complete.length - 1].last }
+}
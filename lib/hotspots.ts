@@ -0,0 +1,103 @@
+import { buildPolygonIndex, findPolygon } from './geometry'
+import type { PolygonIndex } from './geometry'
+import { distanceKm } from './interpolation'
+import type { Polygon, WazeAlert } from './types'
+
+export const HOTSPOT_DEFAULTS = {
+  radiusM: 300,
+  minPoints: 3,
+}
+
+export const HOTSPOT_LIMITS = {
+  radiusM: [50, 5000],
+  minPoints: [2, 50],
+} as const
+
+export interface Hotspot {
+  id: string
+  lat: number
+  lng: number
+  count: number
+  streets: string[]
+  meanReliability: number
+  polygon: { _id: string; title: string; status_code: number } | null
+  uuids: string[]
+}
+
+// DBSCAN over alert locations: a report with at least `minPoints` reports (itself included)
+// within `radiusM` seeds a cluster, which grows through every such core report it reaches.
+// Reports that belong to no cluster are left out.
+export function clusterFloodAlerts(
+  floodAlerts: WazeAlert[],
+  polygons: Polygon[],
+  radiusM: number = HOTSPOT_DEFAULTS.radiusM,
+  minPoints: number = HOTSPOT_DEFAULTS.minPoints
+): Hotspot[] {
+  const points = floodAlerts.filter((a) => a.location)
+  const radiusKm = radiusM / 1000
+  const neighbors = (i: number) => {
+    const result: number[] = []
+    for (let j = 0; j < points.length; j++) {
+      const a = points[i].location
+      const b = points[j].location
+      if (distanceKm(a.y, a.x, b.y, b.x) <= radiusKm) result.push(j)
+    }
+    return result
+  }
+
+  // -1 = noise, undefined = not visited yet
+  const labels: Array<number | undefined> = new Array(points.length)
+  let cluster = 0
+  for (let i = 0; i < points.length; i++) {
+    if (labels[i] !== undefined) continue
+    const seed = neighbors(i)
+    if (seed.length < minPoints) {
+      labels[i] = -1
+      continue
+    }
+    labels[i] = cluster
+    const queue = seed.filter((j) => j !== i)
+    while (queue.length > 0) {
+      const j = queue.shift()!
+      if (labels[j] === -1) labels[j] = cluster
+      if (labels[j] !== undefined) continue
+      labels[j] = cluster
+      const reach = neighbors(j)
+      if (reach.length >= minPoints) queue.push(...reach)
+    }
+    cluster++
+  }
+
+  const groups: WazeAlert[][] = Array.from({ length: cluster }, () => [])
+  points.forEach((alert, i) => {
+    const label = labels[i]
+    if (label !== undefined && label >= 0) groups[label].push(alert)
+  })
+
+  const index = buildPolygonIndex(polygons)
+  return groups
+    .map((alerts) => toHotspot(alerts, index))
+    .sort((a, b) => b.count - a.count)
+}
+
+function toHotspot(alerts: WazeAlert[], index: PolygonIndex): Hotspot {
+  const lat = alerts.reduce((sum, a) => sum + a.location.y, 0) / alerts.length
+  const lng = alerts.reduce((sum, a) => sum + a.location.x, 0) / alerts.length
+  const reliability = alerts.reduce((sum, a) => sum + (a.reliability || 0), 0) / alerts.length
+  const polygon = findPolygon(index, lat, lng)
+  const uuids = alerts.map((a) => a.uuid).sort()
+
+  return {
+    // Stable across refreshes while the same reports make up the cluster
+    id: uuids[0],
+    lat: parseFloat(lat.toFixed(6)),
+    lng: parseFloat(lng.toFixed(6)),
+    count: alerts.length,
+    streets: [...new Set(alerts.map((a) => a.street).filter(Boolean))],
+    meanReliability: parseFloat(reliability.toFixed(1)),
+    polygon: polygon
+      ? { _id: polygon._id, title: polygon.title || polygon.main_neighborhood, status_code: polygon.status_code }
+      : null,
+    uuids,
+  }
+}
@@ -0,0 +1,81 @@
+import type { Station } from './types'
+
+// Rain intensity classes after the Alerta Rio (COR) criteria. Each accumulation window has
+// its own bands; a station takes the highest class across windows, so a long wet spell
+// still shows after the last hour has calmed down.
+
+export type IntensityWindow = 'm15' | 'h01' | 'h24' | 'h96'
+
+export const INTENSITY_WINDOWS: IntensityWindow[] = ['m15', 'h01', 'h24', 'h96']
+
+export const INTENSITY_LEVELS = [
+  { level: 0, key: 'none', label: 'No rain', color: '#475569' },
+  { level: 1, key: 'light', label: 'Light', color: '#3b82f6' },
+  { level: 2, key: 'moderate', label: 'Moderate', color: '#eab308' },
+  { level: 3, key: 'heavy', label: 'Heavy', color: '#ea580c' },
+  { level: 4, key: 'very_heavy', label: 'Very heavy', color: '#dc2626' },
+] as const
+
+export type IntensityLevel = (typeof INTENSITY_LEVELS)[number]['level']
+
+// Upper bounds (mm) of light, moderate and heavy; anything above the last is very heavy
+export const INTENSITY_BANDS: Record<IntensityWindow, [number, number, number]> = {
+  m15: [1.25, 6.25, 12.5],
+  h01: [5, 25, 50],
+  h24: [25, 50, 100],
+  h96: [50, 100, 250],
+}
+
+// Rain still falling on soil soaked by the last days: flagged when the 1h class reaches
+// `current` while the 24h or 96h class reaches `accumulated`
+export const LANDSLIDE_FLAG = { current: 2, accumulated: 3 }
+
+export interface StationIntensity {
+  level: IntensityLevel
+  windows: Record<IntensityWindow, IntensityLevel>
+  landslideRisk: boolean
+}
+
+export function classifyRain(window: IntensityWindow, mm: number): IntensityLevel {
+  if (!(mm > 0)) return 0
+  const [light, moderate, heavy] = INTENSITY_BANDS[window]
+  if (mm <= light) return 1
+  if (mm <= moderate) return 2
+  if (mm <= heavy) return 3
+  return 4
+}
+
+export function classifyStation(station: Station): StationIntensity {
+  const windows = {} as Record<IntensityWindow, IntensityLevel>
+  for (const w of INTENSITY_WINDOWS) windows[w] = classifyRain(w, station.data?.[w] || 0)
+  const level = Math.max(...INTENSITY_WINDOWS.map((w) => windows[w])) as IntensityLevel
+  const landslideRisk =
+    windows.h01 >= LANDSLIDE_FLAG.current &&
+    Math.max(windows.h24, windows.h96) >= LANDSLIDE_FLAG.accumulated
+  return { level, windows, landslideRisk }
+}
+
+export interface IntensitySummary {
+  // highest station class
+  max: IntensityLevel
+  // stations per class, indexed by level
+  counts: number[]
+  landslideRisk: number
+}
+
+export function summarizeIntensity(stations: Station[]): IntensitySummary {
+  const counts = INTENSITY_LEVELS.map(() => 0)
+  let max: IntensityLevel = 0
+  let landslideRisk = 0
+  for (const station of stations) {
+    const s = classifyStation(station)
+    counts[s.level]++
+    if (s.level > max) max = s.level
+    if (s.landslideRisk) landslideRisk++
+  }
+  return { max, counts, landslideRisk }
+}
+
+export function intensityInfo(level: number) {
+  return INTENSITY_LEVELS[level] ?? INTENSITY_LEVELS[0]
+}
@@ -0,0 +1,122 @@
+import type { Polygon, Station, StationData } from './types'
+
+export type RainWindow = 'm15' | 'h01' | 'h03' | 'h24'
+
+export const RAIN_WINDOWS: RainWindow[] = ['m15', 'h01', 'h03', 'h24']
+
+export const IDW_POWER = 2
+
+export interface RainField {
+  window: RainWindow
+  bounds: { south: number; west: number; north: number; east: number }
+  rows: number
+  cols: number
+  // row-major, row 0 is the northern edge
+  values: number[]
+}
+
+export interface Sample {
+  lat: number
+  lng: number
+  value: number
+}
+
+const KM_PER_DEG_LAT = 111.32
+
+// Equirectangular approximation, accurate enough at city scale
+export function distanceKm(lat1: number, lng1: number, lat2: number, lng2: number): number {
+  const dy = (lat2 - lat1) * KM_PER_DEG_LAT
+  const dx = (lng2 - lng1) * KM_PER_DEG_LAT * Math.cos(((lat1 + lat2) / 2) * (Math.PI / 180))
+  return Math.sqrt(dx * dx + dy * dy)
+}
+
+function stationSamples(stations: Station[], window: keyof StationData): Sample[] {
+  return stations
+    .filter((s) => s.location && Number.isFinite(s.data?.[window]))
+    .map((s) => ({ lat: s.location[0], lng: s.location[1], value: s.data[window] }))
+}
+
+function idwAt(samples: Sample[], lat: number, lng: number, power: number): number {
+  let weighted = 0
+  let weights = 0
+  for (const s of samples) {
+    const d = distanceKm(lat, lng, s.lat, s.lng)
+    if (d < 0.01) return s.value
+    const w = 1 / Math.pow(d, power)
+    weighted += w * s.value
+    weights += w
+  }
+  return weights > 0 ? weighted / weights : 0
+}
+
+// Inverse-distance-weighted estimate at one point from any set of samples
+export function interpolateSamples(samples: Sample[], lat: number, lng: number, power: number = IDW_POWER): number {
+  return idwAt(samples, lat, lng, power)
+}
+
+// Inverse-distance-weighted estimate of a station rain window at one point
+export function interpolateRain(
+  stations: Station[],
+  window: RainWindow,
+  lat: number,
+  lng: number,
+  power: number = IDW_POWER
+): number {
+  return idwAt(stationSamples(stations, window), lat, lng, power)
+}
+
+// Regular grid over the station extent (padded), for drawing the rain surface
+export function interpolateRainField(
+  stations: Station[],
+  window: RainWindow,
+  cols: number = 80,
+  rows: number = 50,
+  power: number = IDW_POWER
+): RainField | null {
+  const samples = stationSamples(stations, window)
+  if (samples.length === 0) return null
+
+  const pad = 0.03
+  const bounds = {
+    south: Math.min(...samples.map((s) => s.lat)) - pad,
+    north: Math.max(...samples.map((s) => s.lat)) + pad,
+    west: Math.min(...samples.map((s) => s.lng)) - pad,
+    east: Math.max(...samples.map((s) => s.lng)) + pad,
+  }
+  const latStep = (bounds.north - bounds.south) / rows
+  const lngStep = (bounds.east - bounds.west) / cols
+
+  const values: number[] = []
+  for (let r = 0; r < rows; r++) {
+    const lat = bounds.north - (r + 0.5) * latStep
+    for (let c = 0; c < cols; c++) {
+      values.push(idwAt(samples, lat, bounds.west + (c + 0.5) * lngStep, power))
+    }
+  }
+  return { window, bounds, rows, cols, values }
+}
+
+// Estimated rain at each polygon centroid, keyed by polygon _id
+export function samplePolygonRain(
+  stations: Station[],
+  polygons: Polygon[],
+  window: RainWindow,
+  power: number = IDW_POWER
+): Record<string, number> {
+  return samplePolygonValues(stationSamples(stations, window), polygons, power)
+}
+
+export function samplePolygonValues(
+  samples: Sample[],
+  polygons: Polygon[],
+  power: number = IDW_POWER
+): Record<string, number> {
+  const estimates: Record<string, number> = {}
+  if (samples.length === 0) return estimates
+  for (const p of polygons) {
+    if (!Number.isFinite(p.lat_centroid) || !Number.isFinite(p.lng_centroid)) continue
+    if (p.lat_centroid === 0 && p.lng_centroid === 0) continue
+    estimates[p._id] = parseFloat(idwAt(samples, p.lat_centroid, p.lng_centroid, power).toFixed(2))
+  }
+  return estimates
+}
@@ -0,0 +1,95 @@
+import { interpolateSamples, samplePolygonValues } from './interpolation'
+import type { Sample } from './interpolation'
+import type { Polygon, Station } from './types'
+
+// Landslide (soil saturation) risk per rain gauge. Recent intensity (h01) and antecedent rain
+// (h96) are each scaled to 0-1; either one alone tops out at moderate, so high and very high
+// need heavy rain falling on soil that is already soaked. Gauges are interpolated like rain.
+
+export const LANDSLIDE_CONFIG = {
+  // mm at which each term saturates
+  intensityMm: 50,
+  antecedentMm: 250,
+}
+
+export const LANDSLIDE_LEVELS = [
+  { level: 0, label: 'Low', color: '#475569', min: 0 },
+  { level: 1, label: 'Moderate', color: '#eab308', min: 0.2 },
+  { level: 2, label: 'High', color: '#ea580c', min: 0.45 },
+  { level: 3, label: 'Very high', color: '#dc2626', min: 0.75 },
+] as const
+
+export type LandslideLevel = (typeof LANDSLIDE_LEVELS)[number]['level']
+
+// Hillside communities followed whether or not a flood polygon covers them
+export const HILLSIDE_AREAS: Array<{ name: string; location: [number, number] }> = [
+  { name: 'Rocinha', location: [-22.9881, -43.2484] },
+  { name: 'Vidigal', location: [-22.9953, -43.2338] },
+  { name: 'Santa Marta', location: [-22.9484, -43.1942] },
+  { name: 'Borel', location: [-22.9385, -43.2497] },
+  { name: 'Complexo do Alemão', location: [-22.861, -43.27] },
+]
+
+export interface LandslideRisk {
+  index: number
+  level: LandslideLevel
+}
+
+export interface LandslideReport {
+  stations: Array<LandslideRisk & { name: string }>
+  // interpolated index at each polygon centroid, keyed by _id
+  polygons: Record<string, number>
+  hillsides: Array<LandslideRisk & { name: string; location: [number, number] }>
+  max: LandslideRisk
+  // stations at high or very high
+  elevated: number
+}
+
+export function landslideIndex(h01: number, h96: number): number {
+  const intensity = Math.min(1, Math.max(0, h01) / LANDSLIDE_CONFIG.intensityMm)
+  const antecedent = Math.min(1, Math.max(0, h96) / LANDSLIDE_CONFIG.antecedentMm)
+  const index = Math.min(1, intensity * antecedent + (intensity + antecedent) / 4)
+  return parseFloat(index.toFixed(3))
+}
+
+export function landslideLevel(index: number): LandslideLevel {
+  let level: LandslideLevel = 0
+  for (const l of LANDSLIDE_LEVELS) if (index >= l.min) level = l.level
+  return level
+}
+
+export function landslideInfo(level: number) {
+  return LANDSLIDE_LEVELS[level] ?? LANDSLIDE_LEVELS[0]
+}
+
+export function stationLandslideRisk(station: Station): LandslideRisk {
+  const index = landslideIndex(station.data?.h01 || 0, station.data?.h96 || 0)
+  return { index, level: landslideLevel(index) }
+}
+
+export function buildLandslideReport(stations: Station[], polygons: Polygon[]): LandslideReport {
+  const located = stations.filter((s) => s.name && s.location)
+  const risks = located.map((s) => ({ name: s.name, ...stationLandslideRisk(s) }))
+  const samples: Sample[] = located.map((s, i) => ({
+    lat: s.location[0],
+    lng: s.location[1],
+    value: risks[i].index,
+  }))
+
+  const hillsides = HILLSIDE_AREAS.map((area) => {
+    const index =
+      samples.length > 0
+        ? parseFloat(interpolateSamples(samples, area.location[0], area.location[1]).toFixed(3))
+        : 0
+    return { ...area, index, level: landslideLevel(index) }
+  })
+
+  const maxIndex = Math.max(0, ...risks.map((r) => r.index))
+  return {
+    stations: risks,
+    polygons: samplePolygonValues(samples, polygons),
+    hillsides,
+    max: { index: maxIndex, level: landslideLevel(maxIndex) },
+    elevated: risks.filter((r) => r.level >= 2).length,
+  }
+}
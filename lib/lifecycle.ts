@@ -0,0 +1,124 @@
+import { getSupabase, selectAllPages, ALERT_LIFECYCLE_TABLE } from './supabase'
+import type { AlertLifecycleRow, WazeAlert } from './types'
+
+export interface AlertLifecycleDiff {
+  inserts: AlertLifecycleRow[]
+  seen: string[]
+  cleared: string[]
+}
+
+// Splits the current flood alerts against the open episodes: uuids without one start a new
+// episode (first sighting or back after clearing), the others are still active, and open
+// episodes missing from the feed are cleared.
+export function diffAlerts(
+  known: Pick<AlertLifecycleRow, 'uuid' | 'cleared_at'>[],
+  current: WazeAlert[],
+  now: string
+): AlertLifecycleDiff {
+  const knownById = new Map(known.map((r) => [r.uuid, r]))
+  const currentIds = new Set(current.map((a) => a.uuid))
+
+  const inserts: AlertLifecycleRow[] = []
+  const seen: string[] = []
+  for (const alert of current) {
+    const row = knownById.get(alert.uuid)
+    if (row && row.cleared_at === null) {
+      seen.push(alert.uuid)
+      continue
+    }
+    inserts.push({
+      uuid: alert.uuid,
+      street: alert.street || '',
+      city: alert.city || '',
+      lat: alert.location.y,
+      lng: alert.location.x,
+      pub_millis: alert.pubMillis,
+      first_seen_at: now,
+      last_seen_at: now,
+      cleared_at: null,
+    })
+  }
+
+  const cleared = known
+    .filter((r) => r.cleared_at === null && !currentIds.has(r.uuid))
+    .map((r) => r.uuid)
+  return { inserts, seen, cleared }
+}
+
+// Each row is one episode of a report, from first sighting until it leaves the feed. Closed
+// episodes are never touched again, so their durations stay in the statistics.
+export async function trackAlertLifecycle(floodAlerts: WazeAlert[], now: string) {
+  const supabase = getSupabase()
+  const table = () => supabase.from(ALERT_LIFECYCLE_TABLE())
+
+  const open = await selectAllPages<Pick<AlertLifecycleRow, 'uuid' | 'cleared_at'>>((from, to) =>
+    table().select('uuid, cleared_at').is('cleared_at', null).order('id').range(from, to)
+  )
+  if (open.error) return { error: open.error }
+  const diff = diffAlerts(open.data, floodAlerts, now)
+
+  const results = await Promise.all([
+    diff.inserts.length > 0
+      ? table().upsert(diff.inserts, { onConflict: 'uuid,first_seen_at', ignoreDuplicates: true })
+      : null,
+    diff.seen.length > 0
+      ? table().update({ last_seen_at: now }).in('uuid', diff.seen).is('cleared_at', null)
+      : null,
+    diff.cleared.length > 0
+      ? table().update({ cleared_at: now }).in('uuid', diff.cleared).is('cleared_at', null)
+      : null,
+  ])
+  const writeError = results.find((r) => r?.error)?.error
+  if (writeError) return { error: writeError.message }
+
+  return {
+    error: null,
+    new: diff.inserts.length,
+    active: diff.seen.length,
+    cleared: diff.cleared.length,
+  }
+}
+
+function median(values: number[]): number {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// Per-street persistence: how often a street floods and how long each report lasts. Every
+// episode counts, so a report that cleared and came back counts twice. Ongoing ones count
+// up to `now`.
+export function summarizeAlertDurations(rows: AlertLifecycleRow[], now: number = Date.now()) {
+  const minutes = (r: AlertLifecycleRow) =>
+    ((r.cleared_at ? Date.parse(r.cleared_at) : now) - Date.parse(r.first_seen_at)) / 60000
+
+  const byStreet = new Map<string, AlertLifecycleRow[]>()
+  for (const row of rows) {
+    const street = row.street || 'Unknown'
+    if (!byStreet.has(street)) byStreet.set(street, [])
+    byStreet.get(street)!.push(row)
+  }
+
+  const streets = [...byStreet.entries()]
+    .map(([street, list]) => {
+      const durations = list.map(minutes)
+      return {
+        street,
+        reports: list.length,
+        active: list.filter((r) => r.cleared_at === null).length,
+        median_minutes: Math.round(median(durations)),
+        max_minutes: Math.round(Math.max(...durations)),
+        first_seen_at: list.map((r) => r.first_seen_at).sort()[0],
+      }
+    })
+    .sort((a, b) => b.reports - a.reports || b.median_minutes - a.median_minutes)
+
+  return {
+    total_reports: rows.length,
+    median_minutes: Math.round(median(rows.map(minutes))),
+    streets,
+    // streets that flooded in more than one separate report
+    hotspots: streets.filter((s) => s.reports > 1),
+  }
+}
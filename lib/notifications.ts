@@ -0,0 +1,197 @@
+import { getSupabase, selectAllPages, SUBSCRIPTIONS_TABLE, DELIVERIES_TABLE } from './supabase'
+import { detectNotableEvents, severityInfo } from './analytics'
+import { getTransports } from './transports'
+import type { Transport } from './transports'
+import type {
+  FloodMetrics,
+  FloodNotification,
+  NotificationChannel,
+  NotificationDelivery,
+  NotificationSubscription,
+  Polygon,
+} from './types'
+
+export interface NotificationInput {
+  snapshotId: number
+  capturedAt: string
+  eventId: number | null
+  severity: number
+  metrics: FloodMetrics
+  polygons: Polygon[]
+  previous: { severity: number; metrics: FloodMetrics } | null
+}
+
+// Escalations and flood convergence between the previous stored snapshot and this one.
+// Severity keys are scoped to the storm event so each level is announced once per episode;
+// convergence is announced at most once per hour.
+export function buildNotifications(input: NotificationInput): FloodNotification[] {
+  const { previous, severity } = input
+  if (!previous) return []
+
+  const affected = input.polygons.filter((p) => p.status_code > 0)
+  const scope = input.eventId !== null ? `event:${input.eventId}` : input.capturedAt.slice(0, 13)
+  const base = {
+    captured_at: input.capturedAt,
+    snapshot_id: input.snapshotId,
+    severity,
+    polygon_ids: affected.map((p) => p._id),
+    neighborhoods: [...new Set(affected.map((p) => p.main_neighborhood).filter(Boolean))],
+  }
+
+  const notifications: FloodNotification[] = []
+  if (severity > previous.severity) {
+    const from = severityInfo(previous.severity).label
+    const to = severityInfo(severity).label
+    notifications.push({
+      ...base,
+      kind: 'severity',
+      title: `Flood severity escalated to ${to}`,
+      message: `City-wide severity went from ${from} to ${to}: ${input.metrics.affectedAreaCount} affected areas, ${input.metrics.alertsInAreasCount} flood alerts inside them.`,
+      dedupe_key: `severity:${severity}:${scope}`,
+    })
+  }
+
+  const convergence = detectNotableEvents(previous.metrics, input.metrics).find(
+    (e) => e.severity === 'critical'
+  )
+  if (convergence) {
+    notifications.push({
+      ...base,
+      kind: 'convergence',
+      title: 'Flood convergence',
+      message: convergence.message,
+      dedupe_key: `convergence:${input.capturedAt.slice(0, 13)}`,
+    })
+  }
+  return notifications
+}
+
+export function matchesSubscription(sub: NotificationSubscription, n: FloodNotification): boolean {
+  if (n.kind === 'convergence' && !sub.notify_convergence) return false
+  if (n.kind === 'severity' && n.severity < sub.min_severity) return false
+  if (sub.polygon_ids?.length > 0 && !sub.polygon_ids.some((id) => n.polygon_ids.includes(id))) {
+    return false
+  }
+  if (sub.neighborhoods?.length > 0 && !sub.neighborhoods.some((nb) => n.neighborhoods.includes(nb))) {
+    return false
+  }
+  return true
+}
+
+// Deliveries are retried by later runs until this many sends have been tried
+export const MAX_DELIVERY_ATTEMPTS = 5
+// A pending delivery claimed this long ago was abandoned mid-send (a crashed or timed-out run)
+export const STALE_PENDING_MS = 10 * 60 * 1000
+
+type DispatchResult = { sent: number; failed: number; duplicate: number; retried: number; error: string | null }
+
+// Sends one claimed delivery and records the outcome on its row
+async function deliver(
+  transports: Record<NotificationChannel, Transport>,
+  sub: NotificationSubscription,
+  n: FloodNotification,
+  deliveryId: number,
+  result: DispatchResult
+) {
+  let status = 'sent'
+  let deliveryError: string | null = null
+  try {
+    await transports[sub.channel].send(sub, n)
+    result.sent++
+  } catch (err) {
+    status = 'failed'
+    deliveryError = String(err)
+    result.failed++
+  }
+
+  const { error: statusError } = await getSupabase()
+    .from(DELIVERIES_TABLE())
+    .update({ status, error: deliveryError, delivered_at: new Date().toISOString() })
+    .eq('id', deliveryId)
+  if (statusError) result.error = statusError.message
+}
+
+// Failed deliveries, and pending ones left behind by a run that never finished, with
+// attempts to spare. The same notification is rarely built again (an escalation is
+// announced once), so these are resent from their stored payload.
+async function loadRetries(now: number) {
+  const { data, error } = await selectAllPages<NotificationDelivery>((from, to) =>
+    getSupabase()
+      .from(DELIVERIES_TABLE())
+      .select('*')
+      .in('status', ['failed', 'pending'])
+      .lt('attempts', MAX_DELIVERY_ATTEMPTS)
+      .order('id', { ascending: true })
+      .range(from, to)
+  )
+  const staleBefore = new Date(now - STALE_PENDING_MS).toISOString()
+  return {
+    retries: data.filter((d) => d.status === 'failed' || d.claimed_at < staleBefore),
+    error,
+  }
+}
+
+export async function dispatchNotifications(notifications: FloodNotification[], now: number = Date.now()) {
+  const result: DispatchResult = { sent: 0, failed: 0, duplicate: 0, retried: 0, error: null }
+  const claimedAt = new Date(now).toISOString()
+
+  const { retries, error: retryError } = await loadRetries(now)
+  if (retryError) return { ...result, error: retryError }
+  if (notifications.length === 0 && retries.length === 0) return result
+
+  const supabase = getSupabase()
+  const { data, error } = await supabase.from(SUBSCRIPTIONS_TABLE()).select('*').eq('active', true)
+  if (error) return { ...result, error: error.message }
+
+  const subscriptions = (data ?? []) as NotificationSubscription[]
+  const transports = getTransports()
+
+  for (const delivery of retries) {
+    // Deactivated or deleted subscriptions are not retried
+    const sub = subscriptions.find((s) => s.id === delivery.subscription_id)
+    if (!sub) continue
+
+    // Taken back only if no other run got to it first
+    const { data: reclaimed, error: reclaimError } = await supabase
+      .from(DELIVERIES_TABLE())
+      .update({ status: 'pending', error: null, attempts: delivery.attempts + 1, claimed_at: claimedAt })
+      .eq('id', delivery.id)
+      .eq('status', delivery.status)
+      .eq('attempts', delivery.attempts)
+      .select('id')
+    if (reclaimError) return { ...result, error: reclaimError.message }
+    if (!reclaimed || reclaimed.length === 0) continue
+
+    result.retried++
+    await deliver(transports, sub, delivery.payload, delivery.id, result)
+  }
+
+  for (const n of notifications) {
+    for (const sub of subscriptions.filter((s) => matchesSubscription(s, n))) {
+      // Claim the (subscription, dedupe_key) slot first so a repeat is never sent twice
+      const { data: claimed, error: claimError } = await supabase
+        .from(DELIVERIES_TABLE())
+        .upsert(
+          {
+            subscription_id: sub.id,
+            dedupe_key: n.dedupe_key,
+            kind: n.kind,
+            payload: n,
+            status: 'pending',
+            attempts: 1,
+            claimed_at: claimedAt,
+          },
+          { onConflict: 'subscription_id,dedupe_key', ignoreDuplicates: true }
+        )
+        .select('id')
+      if (claimError) return { ...result, error: claimError.message }
+      if (!claimed || claimed.length === 0) {
+        result.duplicate++
+        continue
+      }
+
+      await deliver(transports, sub, n, claimed[0].id, result)
+    }
+  }
+  return result
+}
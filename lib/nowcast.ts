@@ -0,0 +1,190 @@
+import type { Polygon, Station, StationReadingRow } from './types'
+
+// Short-range rain projection from recent 15-minute accumulations. Each series is fitted with
+// a least-squares line; the projection continues from the latest value along a damped slope.
+// Confidence falls with a noisy fit, a short series and a longer horizon.
+
+export const NOWCAST_HORIZONS = [15, 30, 60] as const
+export type NowcastHorizon = (typeof NOWCAST_HORIZONS)[number]
+
+export const NOWCAST_CONFIG = {
+  // share of the slope carried into each further quarter hour
+  damping: 0.8,
+  horizonDecay: { 15: 1, 30: 0.85, 60: 0.65 } as Record<NowcastHorizon, number>,
+  // mm per quarter hour before a series counts as rising or falling
+  trendSlope: 0.1,
+  // polygons expected to get this much rain in the next hour are flagged to escalate
+  escalationRain60: 10,
+  escalationMinConfidence: 0.4,
+}
+
+const STEP_MIN = 15
+const FULL_SERIES = 5
+
+export interface Projection {
+  horizon: NowcastHorizon
+  // accumulated rain (mm) between now and now + horizon
+  rain: number
+  confidence: number
+}
+
+export interface Nowcast {
+  // 15-minute accumulations, oldest first
+  series: number[]
+  slope: number
+  trend: 'rising' | 'falling' | 'steady'
+  projections: Projection[]
+}
+
+export interface StationNowcast extends Nowcast {
+  name: string
+  // stored readings, or the station's own 15m/1h windows when there is no history
+  source: 'history' | 'windows'
+}
+
+export interface PolygonNowcast extends Nowcast {
+  _id: string
+  status_code: number
+  escalation: boolean
+}
+
+export interface NowcastReport {
+  city: { projections: Projection[] }
+  stations: StationNowcast[]
+  polygons: PolygonNowcast[]
+}
+
+function round(value: number, digits = 2): number {
+  return parseFloat(value.toFixed(digits))
+}
+
+export function nowcastSeries(series: number[]): Nowcast {
+  const values = series.map((v) => (Number.isFinite(v) ? Math.max(0, v) : 0))
+  const n = values.length
+  if (n === 0) {
+    return {
+      series: [],
+      slope: 0,
+      trend: 'steady',
+      projections: NOWCAST_HORIZONS.map((horizon) => ({ horizon, rain: 0, confidence: 0 })),
+    }
+  }
+
+  const meanX = (n - 1) / 2
+  const meanY = values.reduce((s, v) => s + v, 0) / n
+  let sxy = 0
+  let sxx = 0
+  values.forEach((v, x) => {
+    sxy += (x - meanX) * (v - meanY)
+    sxx += (x - meanX) * (x - meanX)
+  })
+  const slope = sxx > 0 ? sxy / sxx : 0
+  const intercept = meanY - slope * meanX
+  const rms = Math.sqrt(values.reduce((s, v, x) => s + (v - (intercept + slope * x)) ** 2, 0) / n)
+
+  const fit = 1 / (1 + rms / (meanY + 1))
+  const coverage = Math.min(1, n / FULL_SERIES)
+
+  const steps: number[] = []
+  let carried = 0
+  for (let k = 1; k <= 60 / STEP_MIN; k++) {
+    carried += Math.pow(NOWCAST_CONFIG.damping, k)
+    steps.push(Math.max(0, values[n - 1] + slope * carried))
+  }
+
+  return {
+    series: values.map((v) => round(v)),
+    slope: round(slope, 3),
+    trend:
+      slope > NOWCAST_CONFIG.trendSlope
+        ? 'rising'
+        : slope < -NOWCAST_CONFIG.trendSlope
+          ? 'falling'
+          : 'steady',
+    projections: NOWCAST_HORIZONS.map((horizon) => ({
+      horizon,
+      rain: round(steps.slice(0, horizon / STEP_MIN).reduce((s, v) => s + v, 0)),
+      confidence: round(fit * coverage * NOWCAST_CONFIG.horizonDecay[horizon]),
+    })),
+  }
+}
+
+// acumulado_chuva_15_min_1 is the latest quarter hour
+export function polygonSeries(polygon: Polygon): number[] {
+  return [5, 4, 3, 2, 1].map((i) => Number(polygon[`acumulado_chuva_15_min_${i}` as keyof Polygon]) || 0)
+}
+
+// Without history the hour before the latest 15 minutes is spread evenly over three steps
+export function stationWindowSeries(station: Station): number[] {
+  const m15 = station.data?.m15 || 0
+  const earlier = Math.max(0, (station.data?.h01 || 0) - m15) / 3
+  return [earlier, earlier, earlier, m15]
+}
+
+const HISTORY_MATCH_MS = 5 * 60 * 1000
+
+// Stored m15 readings one, two, three and four quarter hours before the current one
+export function stationHistorySeries(station: Station, readings: StationReadingRow[]): number[] | null {
+  const current = Date.parse(station.read_at)
+  const series: number[] = []
+  for (let k = FULL_SERIES - 1; k >= 1; k--) {
+    const target = current - k * STEP_MIN * 60 * 1000
+    let best: StationReadingRow | null = null
+    for (const r of readings) {
+      const d = Math.abs(Date.parse(r.read_at) - target)
+      if (d <= HISTORY_MATCH_MS && (!best || d < Math.abs(Date.parse(best.read_at) - target))) best = r
+    }
+    if (best) series.push(best.m15 || 0)
+  }
+  if (series.length < 2) return null
+  return [...series, station.data?.m15 || 0]
+}
+
+export function isEscalationLikely(statusCode: number, nowcast: Nowcast): boolean {
+  if (statusCode >= 3) return false
+  const hour = nowcast.projections.find((p) => p.horizon === 60)
+  return (
+    !!hour &&
+    hour.rain >= NOWCAST_CONFIG.escalationRain60 &&
+    hour.confidence >= NOWCAST_CONFIG.escalationMinConfidence
+  )
+}
+
+export function buildNowcast(
+  stations: Station[],
+  polygons: Polygon[],
+  history: Record<string, StationReadingRow[]> = {}
+): NowcastReport {
+  const stationNowcasts: StationNowcast[] = stations
+    .filter((s) => s.name)
+    .map((s) => {
+      const fromHistory = history[s.name] ? stationHistorySeries(s, history[s.name]) : null
+      return {
+        name: s.name,
+        source: fromHistory ? 'history' : 'windows',
+        ...nowcastSeries(fromHistory ?? stationWindowSeries(s)),
+      }
+    })
+
+  const polygonNowcasts: PolygonNowcast[] = polygons
+    .filter((p) => p._id)
+    .map((p) => {
+      const nowcast = nowcastSeries(polygonSeries(p))
+      return {
+        _id: p._id,
+        status_code: p.status_code,
+        ...nowcast,
+        escalation: isEscalationLikely(p.status_code, nowcast),
+      }
+    })
+
+  // City-wide: the mean station projection for each horizon
+  const city = NOWCAST_HORIZONS.map((horizon) => {
+    const projections = stationNowcasts.map((s) => s.projections.find((p) => p.horizon === horizon)!)
+    const mean = (key: 'rain' | 'confidence') =>
+      projections.length > 0 ? projections.reduce((s, p) => s + p[key], 0) / projections.length : 0
+    return { horizon, rain: round(mean('rain')), confidence: round(mean('confidence')) }
+  })
+
+  return { city: { projections: city }, stations: stationNowcasts, polygons: polygonNowcasts }
+}
@@ -0,0 +1,211 @@
+import { countAlertsInAffectedAreas } from './analytics'
+import { DEFAULT_RULES, matchRules } from './rules'
+import type { SeverityRules } from './rules'
+import { buildPolygonIndex, findPolygon } from './geometry'
+import { distanceKm } from './interpolation'
+import type { Shape } from './geometry'
+import type { Polygon, PolygonSnapshotRow, Station, WazeAlert } from './types'
+
+// Rolls polygons, stations and flood reports up into regions. Regions are either the
+// polygons' main_neighborhood or, when zones are given, named areas loaded from GeoJSON
+// (see lib/zones.ts). Polygons join a zone by their centroid.
+
+export interface Zone extends Shape {
+  id: string
+  name: string
+}
+
+export type RegionMode = 'neighborhood' | 'zones'
+
+export interface RegionSummary {
+  id: string
+  name: string
+  polygons: number
+  affected: number
+  max_status: number
+  severity: number
+  alerts: number
+  stations: number
+  // mean and max of the interpolated 1h rain at the region's polygon centroids
+  avg_rain: number
+  max_rain: number
+}
+
+export interface RegionTrend {
+  affected: number
+  alerts: number
+  avg_rain: number
+}
+
+// Stations and reports outside every polygon join the region of the nearest centroid
+// within this distance (neighborhood mode only)
+export const REGION_MATCH_KM = 2
+
+const UNKNOWN_NEIGHBORHOOD = 'Unknown'
+
+export function neighborhoodId(polygon: Pick<Polygon, 'main_neighborhood'>): string {
+  return polygon.main_neighborhood || UNKNOWN_NEIGHBORHOOD
+}
+
+export interface RegionAssigner {
+  mode: RegionMode
+  names: Map<string, string>
+  polygonRegion: Map<string, string>
+  locate: (lat: number, lng: number) => string | null
+}
+
+// Decides which region every polygon and point belongs to
+export function regionAssigner(polygons: Polygon[], zones: Zone[] | null = null): RegionAssigner {
+  const polygonRegion = new Map<string, string>()
+  const names = new Map<string, string>()
+
+  if (zones && zones.length > 0) {
+    const zoneIndex = buildPolygonIndex(zones)
+    const locate = (lat: number, lng: number) => findPolygon(zoneIndex, lat, lng)?.id ?? null
+    for (const zone of zones) names.set(zone.id, zone.name)
+    for (const p of polygons) {
+      const id = locate(p.lat_centroid, p.lng_centroid)
+      if (id) polygonRegion.set(p._id, id)
+    }
+    return { mode: 'zones', names, polygonRegion, locate }
+  }
+
+  for (const p of polygons) {
+    const id = neighborhoodId(p)
+    polygonRegion.set(p._id, id)
+    names.set(id, id)
+  }
+  const polygonIndex = buildPolygonIndex(polygons)
+  const centroids = polygons.filter((p) => p.lat_centroid || p.lng_centroid)
+  const locate = (lat: number, lng: number) => {
+    const inside = findPolygon(polygonIndex, lat, lng)
+    if (inside) return polygonRegion.get(inside._id) ?? null
+    let nearest: Polygon | null = null
+    let nearestKm = REGION_MATCH_KM
+    for (const p of centroids) {
+      const d = distanceKm(lat, lng, p.lat_centroid, p.lng_centroid)
+      if (d <= nearestKm) {
+        nearest = p
+        nearestKm = d
+      }
+    }
+    return nearest ? (polygonRegion.get(nearest._id) ?? null) : null
+  }
+  return { mode: 'neighborhood', names, polygonRegion, locate }
+}
+
+// `rules` should be the active rule set, so regions are rated like the city. Regions keep no
+// history of their own, so the matched level is used as is, without downgrade hysteresis.
+export function aggregateRegions(
+  assigner: RegionAssigner,
+  polygons: Polygon[],
+  floodAlerts: WazeAlert[],
+  stations: Station[],
+  polygonRain: Record<string, number> = {},
+  rules: SeverityRules = DEFAULT_RULES
+): RegionSummary[] {
+  const groups = new Map<string, { polygons: Polygon[]; alerts: WazeAlert[]; stations: Station[] }>()
+  const group = (id: string) => {
+    if (!groups.has(id)) groups.set(id, { polygons: [], alerts: [], stations: [] })
+    return groups.get(id)!
+  }
+
+  for (const p of polygons) {
+    const id = assigner.polygonRegion.get(p._id)
+    if (id) group(id).polygons.push(p)
+  }
+  for (const alert of floodAlerts) {
+    const id = alert.location && assigner.locate(alert.location.y, alert.location.x)
+    if (id) group(id).alerts.push(alert)
+  }
+  for (const station of stations) {
+    const id = station.location && assigner.locate(station.location[0], station.location[1])
+    if (id) group(id).stations.push(station)
+  }
+
+  return [...groups.entries()].map(([id, g]) => {
+    const affected = g.polygons.filter((p) => p.status_code > 0).length
+    const rain = g.polygons.map((p) => polygonRain[p._id]).filter((v) => Number.isFinite(v))
+    return {
+      id,
+      name: assigner.names.get(id) ?? id,
+      polygons: g.polygons.length,
+      affected,
+      max_status: Math.max(0, ...g.polygons.map((p) => p.status_code)),
+      // Same rules as the city-wide level, applied to the region's share of the data
+      severity: matchRules(rules, {
+        polygons: g.polygons,
+        stations: g.stations,
+        metrics: {
+          wazeFloodCount: g.alerts.length,
+          affectedAreaCount: affected,
+          alertsInAreasCount: countAlertsInAffectedAreas(g.alerts, g.polygons),
+        },
+      }).level,
+      alerts: g.alerts.length,
+      stations: g.stations.length,
+      avg_rain: rain.length > 0 ? round(rain.reduce((s, v) => s + v, 0) / rain.length) : 0,
+      max_rain: round(Math.max(0, ...rain)),
+    }
+  })
+}
+
+// Region totals from stored polygon rows, for comparing against an earlier snapshot
+export function aggregateRegionRows(
+  assigner: RegionAssigner,
+  rows: Pick<PolygonSnapshotRow, 'polygon_id' | 'status_code' | 'alert_count' | 'est_rain_h01'>[]
+): Map<string, RegionTrend> {
+  const totals = new Map<string, RegionTrend & { rainSamples: number }>()
+  for (const row of rows) {
+    const id = assigner.polygonRegion.get(row.polygon_id)
+    if (!id) continue
+    if (!totals.has(id)) totals.set(id, { affected: 0, alerts: 0, avg_rain: 0, rainSamples: 0 })
+    const t = totals.get(id)!
+    if (row.status_code > 0) t.affected++
+    t.alerts += row.alert_count || 0
+    if (row.est_rain_h01 !== null && Number.isFinite(row.est_rain_h01)) {
+      t.avg_rain += row.est_rain_h01
+      t.rainSamples++
+    }
+  }
+  const result = new Map<string, RegionTrend>()
+  totals.forEach((t, id) => {
+    result.set(id, {
+      affected: t.affected,
+      alerts: t.alerts,
+      avg_rain: t.rainSamples > 0 ? round(t.avg_rain / t.rainSamples) : 0,
+    })
+  })
+  return result
+}
+
+export function regionTrend(current: RegionSummary, previous: RegionTrend | undefined): RegionTrend | null {
+  if (!previous) return null
+  return {
+    affected: current.affected - previous.affected,
+    alerts: current.alerts - previous.alerts,
+    avg_rain: round(current.avg_rain - previous.avg_rain),
+  }
+}
+
+export const REGION_SORTS = ['severity', 'rain', 'alerts'] as const
+export type RegionSort = (typeof REGION_SORTS)[number]
+
+export function rankRegions<T extends RegionSummary>(regions: T[], sort: RegionSort = 'severity'): T[] {
+  const keys: Record<RegionSort, Array<keyof RegionSummary>> = {
+    severity: ['severity', 'affected', 'alerts', 'max_rain'],
+    rain: ['max_rain', 'avg_rain', 'severity'],
+    alerts: ['alerts', 'severity', 'max_rain'],
+  }
+  return [...regions].sort((a, b) => {
+    for (const key of keys[sort]) {
+      const diff = (b[key] as number) - (a[key] as number)
+      if (diff !== 0) return diff
+    }
+    return a.name.localeCompare(b.name)
+  })
+}
+
+function round(value: number): number {
+  return parseFloat(value.toFixed(2))
+}
@@ -0,0 +1,41 @@
+import { getSupabase, RULES_TABLE } from './supabase'
+import { DEFAULT_RULE_SET, validateRules } from './rules'
+import type { RuleSet, SeverityRules } from './rules'
+import type { SeverityRulesRow } from './types'
+
+// The highest stored version is the active one. Rows are never updated, so every snapshot's
+// rule_version keeps pointing at the rules that produced it.
+
+export async function loadActiveRules(): Promise<{ ruleSet: RuleSet; error: string | null }> {
+  const { data, error } = await getSupabase()
+    .from(RULES_TABLE())
+    .select('version, rules')
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+  if (error) return { ruleSet: DEFAULT_RULE_SET, error: error.message }
+  if (!data) return { ruleSet: DEFAULT_RULE_SET, error: null }
+
+  const checked = validateRules(data.rules)
+  if ('error' in checked) {
+    return { ruleSet: DEFAULT_RULE_SET, error: `Stored rules v${data.version} are invalid: ${checked.error}` }
+  }
+  return { ruleSet: { version: data.version, rules: checked.rules }, error: null }
+}
+
+export async function listRuleVersions(limit: number = 50) {
+  return getSupabase()
+    .from(RULES_TABLE())
+    .select('version, rules, note, created_at')
+    .order('version', { ascending: false })
+    .limit(limit)
+    .returns<SeverityRulesRow[]>()
+}
+
+export async function saveRules(rules: SeverityRules, note: string) {
+  return getSupabase()
+    .from(RULES_TABLE())
+    .insert({ rules, note })
+    .select('version, rules, note, created_at')
+    .single<SeverityRulesRow>()
+}
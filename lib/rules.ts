@@ -0,0 +1,259 @@
+import { SEVERITY_THRESHOLDS } from './analytics'
+import type { FloodMetrics, Polygon, Station } from './types'
+
+// Severity rules as data. A rule set is a list of conditions, each raising the city to a
+// level when all of its clauses hold; the highest matching level wins, ties going to the
+// condition listed first. Versions are stored in the severity_rules table (see /api/rules).
+
+export const RULE_METRICS = [
+  'max_polygon_status',
+  'affected_areas',
+  'status_1_count',
+  'status_2_count',
+  'status_3_count',
+  'alerts_in_areas',
+  'waze_alerts',
+  'max_station_h01',
+  'max_station_h24',
+  // number of stations at or above the clause's `threshold` (mm)
+  'stations_h01_gte',
+  'stations_h24_gte',
+] as const
+export type RuleMetric = (typeof RULE_METRICS)[number]
+
+const THRESHOLD_METRICS: RuleMetric[] = ['stations_h01_gte', 'stations_h24_gte']
+
+export const RULE_OPERATORS = ['>', '>=', '<', '<=', '=='] as const
+export type RuleOperator = (typeof RULE_OPERATORS)[number]
+
+export interface RuleClause {
+  metric: RuleMetric
+  op: RuleOperator
+  value: number
+  threshold?: number
+}
+
+export interface RuleCondition {
+  id: string
+  level: 1 | 2 | 3
+  description?: string
+  when: RuleClause[]
+}
+
+export interface SeverityRules {
+  conditions: RuleCondition[]
+  hysteresis: {
+    // runs in a row the conditions must point lower before the level drops
+    downgradeAfter: number
+  }
+}
+
+export interface RuleSet {
+  version: number
+  rules: SeverityRules
+}
+
+// The built-in severity levels, from SEVERITY_THRESHOLDS; version 0 is used until a rule
+// set is stored
+export const DEFAULT_RULES: SeverityRules = {
+  conditions: [
+    {
+      id: 'critical-polygon',
+      level: 3,
+      description: 'A polygon reached critical status',
+      when: [{ metric: 'max_polygon_status', op: '>=', value: SEVERITY_THRESHOLDS.criticalPolygonStatus }],
+    },
+    {
+      id: 'alerts-in-areas',
+      level: 2,
+      description: 'Many flood reports inside affected areas',
+      when: [{ metric: 'alerts_in_areas', op: '>', value: SEVERITY_THRESHOLDS.alertAlertsInAreas }],
+    },
+    {
+      id: 'many-affected-areas',
+      level: 2,
+      description: 'Many areas affected',
+      when: [{ metric: 'affected_areas', op: '>', value: SEVERITY_THRESHOLDS.alertAffectedAreas }],
+    },
+    {
+      id: 'affected-area',
+      level: 1,
+      description: 'At least one area affected',
+      when: [{ metric: 'affected_areas', op: '>', value: 0 }],
+    },
+    {
+      id: 'waze-alerts',
+      level: 1,
+      description: 'Flood reports building up',
+      when: [{ metric: 'waze_alerts', op: '>', value: SEVERITY_THRESHOLDS.attentionWazeAlerts }],
+    },
+  ],
+  hysteresis: { downgradeAfter: 1 },
+}
+
+export const DEFAULT_RULE_SET: RuleSet = { version: 0, rules: DEFAULT_RULES }
+
+export const MAX_DOWNGRADE_AFTER = 12
+
+export interface RuleInput {
+  polygons: Polygon[]
+  stations: Station[]
+  metrics: FloodMetrics
+}
+
+function metricValue(clause: RuleClause, input: RuleInput): number {
+  const { polygons, stations, metrics } = input
+  const statusCount = (level: number) => polygons.filter((p) => p.status_code === level).length
+  const stationValues = (key: 'h01' | 'h24') => stations.map((s) => s.data?.[key] || 0)
+
+  switch (clause.metric) {
+    case 'max_polygon_status':
+      return Math.max(0, ...polygons.map((p) => p.status_code))
+    case 'affected_areas':
+      return metrics.affectedAreaCount
+    case 'status_1_count':
+      return statusCount(1)
+    case 'status_2_count':
+      return statusCount(2)
+    case 'status_3_count':
+      return statusCount(3)
+    case 'alerts_in_areas':
+      return metrics.alertsInAreasCount
+    case 'waze_alerts':
+      return metrics.wazeFloodCount
+    case 'max_station_h01':
+      return Math.max(0, ...stationValues('h01'))
+    case 'max_station_h24':
+      return Math.max(0, ...stationValues('h24'))
+    case 'stations_h01_gte':
+      return stationValues('h01').filter((v) => v >= (clause.threshold ?? 0)).length
+    case 'stations_h24_gte':
+      return stationValues('h24').filter((v) => v >= (clause.threshold ?? 0)).length
+  }
+}
+
+function compare(actual: number, op: RuleOperator, value: number): boolean {
+  switch (op) {
+    case '>':
+      return actual > value
+    case '>=':
+      return actual >= value
+    case '<':
+      return actual < value
+    case '<=':
+      return actual <= value
+    case '==':
+      return actual === value
+  }
+}
+
+// The level the conditions point to right now, before hysteresis
+export function matchRules(rules: SeverityRules, input: RuleInput): { level: number; condition: string | null } {
+  let match: RuleCondition | null = null
+  for (const condition of rules.conditions) {
+    if (match && condition.level <= match.level) continue
+    if (condition.when.every((c) => compare(metricValue(c, input), c.op, c.value))) match = condition
+  }
+  return match ? { level: match.level, condition: match.id } : { level: 0, condition: null }
+}
+
+export interface SeverityEvaluation {
+  severity: number
+  // level the conditions matched this run; differs from severity while hysteresis holds
+  raw: number
+  // matched condition id, 'hold' while hysteresis keeps a higher level, null at Normal
+  condition: string | null
+}
+
+// `recent` are the latest stored evaluations, newest first. Raising the level is immediate;
+// lowering it waits until the conditions have pointed lower for downgradeAfter runs in a row.
+export function evaluateSeverity(
+  rules: SeverityRules,
+  input: RuleInput,
+  recent: Array<{ severity: number; severity_raw: number | null }> = []
+): SeverityEvaluation {
+  const { level, condition } = matchRules(rules, input)
+  const previous = recent[0]
+  if (!previous || level >= previous.severity) return { severity: level, raw: level, condition }
+
+  const needed = rules.hysteresis.downgradeAfter - 1
+  const lowerRuns = recent
+    .slice(0, needed)
+    .filter((r) => (r.severity_raw ?? r.severity) < previous.severity).length
+  if (lowerRuns >= needed) return { severity: level, raw: level, condition }
+  return { severity: previous.severity, raw: level, condition: 'hold' }
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+// Checks an untrusted rule set (e.g. an admin API body) and returns it normalized
+export function validateRules(raw: unknown): { rules: SeverityRules } | { error: string } {
+  if (!isObject(raw)) return { error: 'rules must be an object' }
+  if (!Array.isArray(raw.conditions) || raw.conditions.length === 0) {
+    return { error: 'conditions must be a non-empty array' }
+  }
+
+  const ids = new Set<string>()
+  const conditions: RuleCondition[] = []
+  for (const [i, c] of raw.conditions.entries()) {
+    const at = `conditions[${i}]`
+    if (!isObject(c)) return { error: `${at} must be an object` }
+    if (typeof c.id !== 'string' || !c.id) return { error: `${at}.id must be a non-empty string` }
+    if (c.id === 'hold') return { error: `${at}.id "hold" is reserved` }
+    if (ids.has(c.id)) return { error: `${at}.id "${c.id}" is duplicated` }
+    ids.add(c.id)
+    if (c.level !== 1 && c.level !== 2 && c.level !== 3) return { error: `${at}.level must be 1, 2 or 3` }
+    if (c.description !== undefined && typeof c.description !== 'string') {
+      return { error: `${at}.description must be a string` }
+    }
+    if (!Array.isArray(c.when) || c.when.length === 0) return { error: `${at}.when must be a non-empty array` }
+
+    const when: RuleClause[] = []
+    for (const [j, clause] of c.when.entries()) {
+      const cat = `${at}.when[${j}]`
+      if (!isObject(clause)) return { error: `${cat} must be an object` }
+      if (!RULE_METRICS.includes(clause.metric as RuleMetric)) {
+        return { error: `${cat}.metric must be one of ${RULE_METRICS.join(', ')}` }
+      }
+      if (!RULE_OPERATORS.includes(clause.op as RuleOperator)) {
+        return { error: `${cat}.op must be one of ${RULE_OPERATORS.join(' ')}` }
+      }
+      if (typeof clause.value !== 'number' || !Number.isFinite(clause.value)) {
+        return { error: `${cat}.value must be a number` }
+      }
+      const metric = clause.metric as RuleMetric
+      const needsThreshold = THRESHOLD_METRICS.includes(metric)
+      if (needsThreshold && (typeof clause.threshold !== 'number' || !Number.isFinite(clause.threshold))) {
+        return { error: `${cat}.threshold (mm) is required for ${metric}` }
+      }
+      when.push({
+        metric,
+        op: clause.op as RuleOperator,
+        value: clause.value,
+        ...(needsThreshold ? { threshold: clause.threshold as number } : {}),
+      })
+    }
+
+    conditions.push({
+      id: c.id,
+      level: c.level,
+      ...(c.description ? { description: c.description } : {}),
+      when,
+    })
+  }
+
+  const hysteresis = isObject(raw.hysteresis) ? raw.hysteresis : {}
+  const downgradeAfter = hysteresis.downgradeAfter ?? 1
+  if (
+    typeof downgradeAfter !== 'number' ||
+    !Number.isInteger(downgradeAfter) ||
+    downgradeAfter < 1 ||
+    downgradeAfter > MAX_DOWNGRADE_AFTER
+  ) {
+    return { error: `hysteresis.downgradeAfter must be an integer between 1 and ${MAX_DOWNGRADE_AFTER}` }
+  }
+
+  return { rules: { conditions, hysteresis: { downgradeAfter } } }
+}
@@ -0,0 +1,66 @@
+import type { Polygon, SensorChannel, SensorTotals } from './types'
+
+// Every polygon reports each sensor channel as <channel>_count, <channel>_status (0-3, the
+// status_code scale) and <channel>_ids. status_code is the highest channel status, so the
+// channels at that status are the ones that raised the polygon.
+
+export const SENSOR_CHANNELS: SensorChannel[] = [
+  'alagamento',
+  'enchente',
+  'alagamento_enchente',
+  'bolsão',
+  'lâmina',
+  'vazamento',
+  'sirene',
+  'camera_flood',
+  'waze_flood',
+]
+
+export const SENSOR_LABELS: Record<SensorChannel, string> = {
+  alagamento: 'Flooding',
+  enchente: 'River flood',
+  alagamento_enchente: 'Flooding + river flood',
+  'bolsão': 'Water pocket',
+  'lâmina': 'Water film',
+  vazamento: 'Leak',
+  sirene: 'Siren',
+  camera_flood: 'Camera',
+  waze_flood: 'Waze',
+}
+
+export interface SensorReading {
+  channel: SensorChannel
+  count: number
+  status: number
+  ids: string[]
+}
+
+export function polygonSensors(polygon: Polygon): SensorReading[] {
+  return SENSOR_CHANNELS.map((channel) => ({
+    channel,
+    count: polygon[`${channel}_count`] || 0,
+    status: polygon[`${channel}_status`] || 0,
+    ids: polygon[`${channel}_ids`] || [],
+  }))
+}
+
+// Channels at the polygon's own status; empty while the polygon is normal
+export function drivingSensors(polygon: Polygon): SensorChannel[] {
+  if (!polygon.status_code) return []
+  return polygonSensors(polygon)
+    .filter((s) => s.status === polygon.status_code)
+    .map((s) => s.channel)
+}
+
+// City-wide count per channel and how many polygons have that channel above normal
+export function sensorTotals(polygons: Polygon[]): SensorTotals {
+  const totals = {} as SensorTotals
+  for (const channel of SENSOR_CHANNELS) totals[channel] = { count: 0, active: 0 }
+  for (const polygon of polygons) {
+    for (const s of polygonSensors(polygon)) {
+      totals[s.channel].count += s.count
+      if (s.status > 0) totals[s.channel].active++
+    }
+  }
+  return totals
+}
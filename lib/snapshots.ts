@@ -0,0 +1,74 @@
+import type {
+  FloodMetrics,
+  Polygon,
+  PolygonSnapshotRow,
+  SnapshotRow,
+  Station,
+  StationReadingRow,
+} from './types'
+import type { PolygonCounts } from './geometry'
+
+export function toPolygonSnapshotRows(
+  polygons: Polygon[],
+  snapshotId: number,
+  capturedAt: string,
+  estimatedRain: Record<string, number> = {},
+  counts: Record<string, PolygonCounts> = {},
+  landslideIndex: Record<string, number> = {}
+): PolygonSnapshotRow[] {
+  return polygons
+    .filter((p) => p._id)
+    .map((p) => ({
+      snapshot_id: snapshotId,
+      captured_at: capturedAt,
+      polygon_id: p._id,
+      status_code: p.status_code || 0,
+      waze_flood_count: p.waze_flood_count || 0,
+      acumulado_chuva_15_min_1: p.acumulado_chuva_15_min_1 || 0,
+      acumulado_chuva_15_min_2: p.acumulado_chuva_15_min_2 || 0,
+      acumulado_chuva_15_min_3: p.acumulado_chuva_15_min_3 || 0,
+      acumulado_chuva_15_min_4: p.acumulado_chuva_15_min_4 || 0,
+      acumulado_chuva_15_min_5: p.acumulado_chuva_15_min_5 || 0,
+      alagamento_count: p.alagamento_count || 0,
+      enchente_count: p.enchente_count || 0,
+      alagamento_enchente_count: p.alagamento_enchente_count || 0,
+      bolsao_count: p['bolsão_count'] || 0,
+      lamina_count: p['lâmina_count'] || 0,
+      vazamento_count: p.vazamento_count || 0,
+      sirene_count: p.sirene_count || 0,
+      camera_flood_count: p.camera_flood_count || 0,
+      est_rain_h01: estimatedRain[p._id] ?? null,
+      alert_count: counts[p._id]?.alerts ?? 0,
+      station_count: counts[p._id]?.stations ?? 0,
+      landslide_index: landslideIndex[p._id] ?? null,
+    }))
+}
+
+export function toStationReadingRows(stations: Station[]): StationReadingRow[] {
+  return stations
+    .filter((s) => s.name && s.read_at)
+    .map((s) => ({
+      name: s.name,
+      read_at: s.read_at,
+      kind: s.kind,
+      lat: s.location?.[0],
+      lng: s.location?.[1],
+      m05: s.data?.m05 || 0,
+      m15: s.data?.m15 || 0,
+      h01: s.data?.h01 || 0,
+      h02: s.data?.h02 || 0,
+      h03: s.data?.h03 || 0,
+      h04: s.data?.h04 || 0,
+      h24: s.data?.h24 || 0,
+      h96: s.data?.h96 || 0,
+      mes: s.data?.mes || 0,
+    }))
+}
+
+export function metricsFromRow(row: Pick<SnapshotRow, 'waze_count' | 'affected_areas' | 'alerts_in_areas'>): FloodMetrics {
+  return {
+    wazeFloodCount: row.waze_count,
+    affectedAreaCount: row.affected_areas,
+    alertsInAreasCount: row.alerts_in_areas,
+  }
+}
@@ -13,3 +13,33 @@ export function getSupabase(): SupabaseClient {
 }
 
 export const TABLE = () => process.env.SUPABASE_TABLE!
+export const POLYGON_TABLE = () => process.env.SUPABASE_POLYGON_TABLE || 'polygon_snapshots'
+export const STATION_TABLE = () => process.env.SUPABASE_STATION_TABLE || 'station_readings'
+export const EVENTS_TABLE = () => process.env.SUPABASE_EVENTS_TABLE || 'storm_events'
+export const SUBSCRIPTIONS_TABLE = () =>
+  process.env.SUPABASE_SUBSCRIPTIONS_TABLE || 'notification_subscriptions'
+export const DELIVERIES_TABLE = () =>
+  process.env.SUPABASE_DELIVERIES_TABLE || 'notification_deliveries'
+export const NOTABLE_TABLE = () => process.env.SUPABASE_NOTABLE_TABLE || 'notable_events'
+export const ALERT_LIFECYCLE_TABLE = () => process.env.SUPABASE_ALERT_LIFECYCLE_TABLE || 'waze_alert_lifecycle'
+export const NOWCASTS_TABLE = () => process.env.SUPABASE_NOWCASTS_TABLE || 'nowcasts'
+export const RULES_TABLE = () => process.env.SUPABASE_RULES_TABLE || 'severity_rules'
+
+// PostgREST returns at most this many rows per request (its default max-rows)
+export const PAGE_SIZE = 1000
+
+// Reads every row of a query one page at a time. `page` builds the query for the inclusive
+// [from, to] range and must order by a unique key so pages neither overlap nor skip rows.
+// Reading stops once more than `maxRows` rows arrived; callers check the length for that.
+export async function selectAllPages<T>(
+  page: (from: number, to: number) => PromiseLike<{ data: T[] | null; error: { message: string } | null }>,
+  maxRows: number = Infinity
+): Promise<{ data: T[]; error: string | null }> {
+  const rows: T[] = []
+  for (;;) {
+    const { data, error } = await page(rows.length, rows.length + PAGE_SIZE - 1)
+    if (error) return { data: rows, error: error.message }
+    rows.push(...(data ?? []))
+    if (rows.length > maxRows || (data ?? []).length < PAGE_SIZE) return { data: rows, error: null }
+  }
+}
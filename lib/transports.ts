@@ -0,0 +1,93 @@
+import nodemailer from 'nodemailer'
+import type { FloodNotification, NotificationChannel, NotificationSubscription } from './types'
+
+export interface Transport {
+  send(subscription: NotificationSubscription, notification: FloodNotification): Promise<void>
+}
+
+// A subscriber endpoint that hangs must not stall the snapshot cron
+export const WEBHOOK_TIMEOUT_MS = 10 * 1000
+
+export function createWebhookTransport(
+  fetchImpl: typeof fetch = fetch,
+  timeoutMs: number = WEBHOOK_TIMEOUT_MS
+): Transport {
+  return {
+    async send(subscription, notification) {
+      let res: Response
+      try {
+        res = await fetchImpl(subscription.target, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ subscription: subscription.name, ...notification }),
+          signal: AbortSignal.timeout(timeoutMs),
+        })
+      } catch (err) {
+        if (err instanceof Error && err.name === 'TimeoutError') {
+          throw new Error(`Webhook timed out after ${timeoutMs} ms`)
+        }
+        throw err
+      }
+      if (!res.ok) throw new Error(`Webhook responded ${res.status}`)
+    },
+  }
+}
+
+export function createSmtpTransport(url: string, from: string): Transport {
+  const mailer = nodemailer.createTransport(url)
+  return {
+    async send(subscription, notification) {
+      await mailer.sendMail({
+        from,
+        to: subscription.target,
+        subject: notification.title,
+        text: `${notification.message}\n\nCaptured at ${notification.captured_at}`,
+      })
+    },
+  }
+}
+
+// Records deliveries in memory instead of sending them; used for local runs and tests
+export function createStubTransport(): Transport & { sent: Array<{ to: string; notification: FloodNotification }> } {
+  const sent: Array<{ to: string; notification: FloodNotification }> = []
+  return {
+    sent,
+    async send(subscription, notification) {
+      sent.push({ to: subscription.target, notification })
+    },
+  }
+}
+
+// Fails every send, so deliveries on a channel that is not set up are recorded as failed
+export function createUnconfiguredTransport(reason: string): Transport {
+  return {
+    async send() {
+      throw new Error(reason)
+    },
+  }
+}
+
+let _transports: Record<NotificationChannel, Transport> | null = null
+
+// NOTIFY_TRANSPORT=stub swaps every channel for the in-memory stub. Otherwise email needs
+// SMTP_URL; without it email deliveries fail instead of pretending to be sent.
+export function getTransports(): Record<NotificationChannel, Transport> {
+  if (!_transports) {
+    if (process.env.NOTIFY_TRANSPORT === 'stub') {
+      _transports = { webhook: createStubTransport(), email: createStubTransport() }
+    } else {
+      const smtpUrl = process.env.SMTP_URL
+      _transports = {
+        webhook: createWebhookTransport(),
+        email: smtpUrl
+          ? createSmtpTransport(smtpUrl, process.env.SMTP_FROM || 'alerts@localhost')
+          : createUnconfiguredTransport('SMTP_URL is not configured'),
+      }
+    }
+  }
+  return _transports
+}
+
+export function setTransports(transports: Record<NotificationChannel, Transport> | null) {
+  _transports = transports
+}
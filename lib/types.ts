@@ -23,7 +23,23 @@ export interface RainResponse {
   objects: Station[]
 }
 
-export interface Polygon {
+// Sensor channels reported on every polygon (see lib/sensors.ts)
+export type SensorChannel =
+  | 'alagamento'
+  | 'enchente'
+  | 'alagamento_enchente'
+  | 'bolsão'
+  | 'lâmina'
+  | 'vazamento'
+  | 'sirene'
+  | 'camera_flood'
+  | 'waze_flood'
+
+export type PolygonSensorFields = { [C in SensorChannel as `${C}_count`]: number } & {
+  [C in SensorChannel as `${C}_status`]: number
+} & { [C in SensorChannel as `${C}_ids`]: string[] }
+
+export interface Polygon extends PolygonSensorFields {
   _id: string
   title: string
   main_neighborhood: string
@@ -33,8 +49,11 @@ export interface Polygon {
   lat_centroid: number
   lng_centroid: number
   area_km2: number
-  waze_flood_count: number
   acumulado_chuva_15_min_1: number
+  acumulado_chuva_15_min_2: number
+  acumulado_chuva_15_min_3: number
+  acumulado_chuva_15_min_4: number
+  acumulado_chuva_15_min_5: number
 }
 
 export interface WazeAlert {
@@ -68,4 +87,144 @@ export interface SnapshotRow {
   avg_rain: number
   max_rain: number
   severity: number
+  // level the rules matched before hysteresis; null on snapshots stored before rule versions
+  severity_raw: number | null
+  // per-channel totals across polygons; null on snapshots stored before they were recorded
+  sensor_totals: SensorTotals | null
+}
+
+export type SensorTotals = Record<SensorChannel, { count: number; active: number }>
+
+export type NotableSeverity = 'critical' | 'alert' | 'attention' | 'normal'
+
+export interface NotableEvent {
+  message: string
+  severity: NotableSeverity
+}
+
+export interface PolygonSnapshotRow {
+  snapshot_id: number
+  captured_at: string
+  polygon_id: string
+  status_code: number
+  waze_flood_count: number
+  acumulado_chuva_15_min_1: number
+  acumulado_chuva_15_min_2: number
+  acumulado_chuva_15_min_3: number
+  acumulado_chuva_15_min_4: number
+  acumulado_chuva_15_min_5: number
+  alagamento_count: number
+  enchente_count: number
+  alagamento_enchente_count: number
+  bolsao_count: number
+  lamina_count: number
+  vazamento_count: number
+  sirene_count: number
+  camera_flood_count: number
+  est_rain_h01: number | null
+  alert_count: number
+  station_count: number
+  landslide_index: number | null
+}
+
+export interface StationReadingRow extends StationData {
+  name: string
+  read_at: string
+  kind: string
+  lat: number
+  lng: number
+}
+
+export interface StormEvent {
+  id: number
+  started_at: string
+  ended_at: string | null
+  last_active_at: string
+  peak_severity: number
+  peak_max_rain: number
+  affected_polygons: number
+  polygon_ids: string[]
+  snapshot_ids: number[]
+}
+
+export type NotificationChannel = 'webhook' | 'email'
+
+export interface NotificationSubscription {
+  id: number
+  name: string
+  channel: NotificationChannel
+  target: string
+  min_severity: number
+  polygon_ids: string[]
+  neighborhoods: string[]
+  notify_convergence: boolean
+  active: boolean
+}
+
+export interface FloodNotification {
+  kind: 'severity' | 'convergence'
+  title: string
+  message: string
+  severity: number
+  captured_at: string
+  snapshot_id: number
+  polygon_ids: string[]
+  neighborhoods: string[]
+  dedupe_key: string
+}
+
+export interface NotificationDelivery {
+  id: number
+  subscription_id: number
+  dedupe_key: string
+  kind: FloodNotification['kind']
+  payload: FloodNotification
+  status: 'pending' | 'sent' | 'failed'
+  error: string | null
+  attempts: number
+  claimed_at: string
+  delivered_at: string | null
+}
+
+export interface NotableEventRow extends NotableEvent {
+  snapshot_id: number
+  captured_at: string
+}
+
+export interface AlertLifecycleRow {
+  uuid: string
+  street: string
+  city: string
+  lat: number
+  lng: number
+  pub_millis: number
+  first_seen_at: string
+  last_seen_at: string
+  cleared_at: string | null
+}
+
+export type NowcastScope = 'city' | 'station' | 'polygon'
+
+export interface NowcastRow {
+  snapshot_id: number
+  issued_at: string
+  target_at: string
+  horizon_min: number
+  scope: NowcastScope
+  // station name or polygon _id; 'city' for the city-wide projection
+  key: string
+  projected: number
+  confidence: number
+  escalation: boolean
+  status_code: number | null
+  observed: number | null
+  escalated: boolean | null
+  scored_at: string | null
+}
+
+export interface SeverityRulesRow {
+  version: number
+  rules: unknown
+  note: string
+  created_at: string
 }
@@ -0,0 +1,132 @@
+import { normalizePolygons, normalizeRain, normalizeWaze } from './validate'
+import { dataSourceMode, readFixture } from './datasource'
+import type { Normalized } from './validate'
+
+export type UpstreamSource = 'rain' | 'polygons' | 'waze'
+
+export const UPSTREAMS: Record<UpstreamSource, { url: string; ttlMs: number }> = {
+  rain: { url: 'http://websempre.rio.rj.gov.br/json/chuvas', ttlMs: 60 * 1000 },
+  polygons: {
+    url: 'https://octa-api-871238133710.us-central1.run.app/mongo/Polygons/latest',
+    ttlMs: 60 * 1000,
+  },
+  waze: {
+    url: 'https://www.waze.com/row-partnerhub-api/partners/11349199295/waze-feeds/c37c11ba-ff9d-4ad5-8ecc-4e4f12e91efb?format=1',
+    ttlMs: 30 * 1000,
+  },
+}
+
+const NORMALIZERS: Record<UpstreamSource, (raw: unknown) => Normalized<unknown>> = {
+  rain: normalizeRain,
+  polygons: normalizePolygons,
+  waze: normalizeWaze,
+}
+
+const FETCH_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  Accept: 'application/json',
+}
+
+const FETCH_TIMEOUT_MS = 15 * 1000
+
+export interface UpstreamResult<T = unknown> {
+  source: UpstreamSource
+  data: T
+  fetchedAt: number
+  // true when the upstream failed and the last good payload is served past its TTL
+  stale: boolean
+  // where this response came from: a fresh fetch, the cache within TTL, or stale fallback
+  origin: 'upstream' | 'cache' | 'stale'
+  // records dropped by validation (see lib/validate.ts)
+  rejected: number
+  error?: string
+}
+
+interface CacheEntry {
+  data: unknown
+  fetchedAt: number
+  rejected: number
+}
+
+// Per server instance. Concurrent misses for the same source share one in-flight fetch.
+const cache = new Map<UpstreamSource, CacheEntry>()
+const inFlight = new Map<UpstreamSource, Promise<CacheEntry>>()
+
+async function fetchLive(source: UpstreamSource): Promise<unknown> {
+  const res = await fetch(UPSTREAMS[source].url, {
+    headers: FETCH_HEADERS,
+    cache: 'no-store',
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  })
+  if (!res.ok) throw new Error(`${source} upstream responded ${res.status}`)
+  // An HTML error page fails here and is treated like any other upstream failure
+  return res.json()
+}
+
+async function fetchUpstream(source: UpstreamSource): Promise<CacheEntry> {
+  const raw = dataSourceMode() === 'live' ? await fetchLive(source) : await readFixture(source)
+  const { data, rejected } = NORMALIZERS[source](raw)
+  const entry = { data, fetchedAt: Date.now(), rejected }
+  cache.set(source, entry)
+  return entry
+}
+
+// Returns the cached payload while fresh, otherwise refetches. When the upstream fails the
+// last good payload is served with stale=true; throws only if nothing was ever cached.
+export async function getUpstream<T = unknown>(source: UpstreamSource): Promise<UpstreamResult<T>> {
+  const cached = cache.get(source)
+  if (cached && Date.now() - cached.fetchedAt < UPSTREAMS[source].ttlMs) {
+    return {
+      source,
+      data: cached.data as T,
+      fetchedAt: cached.fetchedAt,
+      stale: false,
+      origin: 'cache',
+      rejected: cached.rejected,
+    }
+  }
+
+  let pending = inFlight.get(source)
+  if (!pending) {
+    pending = fetchUpstream(source).finally(() => inFlight.delete(source))
+    inFlight.set(source, pending)
+  }
+
+  try {
+    const entry = await pending
+    return {
+      source,
+      data: entry.data as T,
+      fetchedAt: entry.fetchedAt,
+      stale: false,
+      origin: 'upstream',
+      rejected: entry.rejected,
+    }
+  } catch (error) {
+    if (!cached) throw error
+    return {
+      source,
+      data: cached.data as T,
+      fetchedAt: cached.fetchedAt,
+      stale: true,
+      origin: 'stale',
+      rejected: cached.rejected,
+      error: String(error),
+    }
+  }
+}
+
+export function clearUpstreamCache() {
+  cache.clear()
+}
+
+export function upstreamHeaders(result: UpstreamResult): Record<string, string> {
+  return {
+    'X-Data-Source': result.source,
+    'X-Data-Mode': dataSourceMode(),
+    'X-Data-Origin': result.origin,
+    'X-Fetched-At': new Date(result.fetchedAt).toISOString(),
+    'X-Data-Stale': String(result.stale),
+    'X-Rejected-Count': String(result.rejected),
+  }
+}
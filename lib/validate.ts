@@ -0,0 +1,154 @@
+import { SENSOR_CHANNELS } from './sensors'
+import type { Polygon, RainResponse, Station, StationData, WazeAlert, WazeResponse } from './types'
+
+// Runtime checks for the upstream payloads described in lib/types.ts. Records that cannot be
+// repaired are dropped and counted; a payload with the wrong overall shape throws.
+
+export interface Normalized<T> {
+  data: T
+  rejected: number
+}
+
+const STATION_FIELDS: Array<keyof StationData> = [
+  'm05', 'm15', 'h01', 'h02', 'h03', 'h04', 'h24', 'h96', 'mes',
+]
+
+const POLYGON_NUMBER_FIELDS = [
+  'status_code',
+  'lat_centroid',
+  'lng_centroid',
+  'area_km2',
+  'acumulado_chuva_15_min_1',
+  'acumulado_chuva_15_min_2',
+  'acumulado_chuva_15_min_3',
+  'acumulado_chuva_15_min_4',
+  'acumulado_chuva_15_min_5',
+] as const
+
+type Json = Record<string, unknown>
+
+function isObject(value: unknown): value is Json {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function toNumber(value: unknown): number {
+  const n = typeof value === 'string' ? parseFloat(value) : Number(value)
+  return Number.isFinite(n) ? n : 0
+}
+
+function isCoord(value: unknown): value is [number, number] {
+  return (
+    Array.isArray(value) &&
+    value.length >= 2 &&
+    Number.isFinite(value[0]) &&
+    Number.isFinite(value[1])
+  )
+}
+
+export function normalizeStation(raw: unknown): Station | null {
+  if (!isObject(raw)) return null
+  if (typeof raw.name !== 'string' || !raw.name) return null
+  if (!isCoord(raw.location)) return null
+  const readAt = typeof raw.read_at === 'string' ? Date.parse(raw.read_at) : NaN
+  if (isNaN(readAt)) return null
+
+  const rawData = isObject(raw.data) ? raw.data : {}
+  const data = {} as StationData
+  for (const field of STATION_FIELDS) data[field] = Math.max(0, toNumber(rawData[field]))
+
+  return {
+    kind: typeof raw.kind === 'string' ? raw.kind : '',
+    read_at: new Date(readAt).toISOString(),
+    name: raw.name,
+    is_new: Boolean(raw.is_new),
+    location: [raw.location[0], raw.location[1]],
+    data,
+  }
+}
+
+export function normalizePolygon(raw: unknown): Polygon | null {
+  if (!isObject(raw)) return null
+  if (typeof raw._id !== 'string' || !raw._id) return null
+  if (!Array.isArray(raw.geometry)) return null
+
+  const geometry = raw.geometry
+    .filter((ring): ring is unknown[] => Array.isArray(ring))
+    .map((ring) => ring.filter(isCoord).map((c) => [c[0], c[1]] as [number, number]))
+    .filter((ring) => ring.length >= 3)
+  if (geometry.length === 0) return null
+
+  const polygon = { ...raw, geometry } as Json
+  for (const field of POLYGON_NUMBER_FIELDS) polygon[field] = toNumber(raw[field])
+  for (const channel of SENSOR_CHANNELS) {
+    polygon[`${channel}_count`] = Math.max(0, toNumber(raw[`${channel}_count`]))
+    const channelStatus = Math.round(toNumber(raw[`${channel}_status`]))
+    polygon[`${channel}_status`] = channelStatus >= 0 && channelStatus <= 3 ? channelStatus : 0
+    const ids = raw[`${channel}_ids`]
+    polygon[`${channel}_ids`] = Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : []
+  }
+  const status = Math.round(polygon.status_code as number)
+  polygon.status_code = status >= 0 && status <= 3 ? status : 0
+  polygon.title = typeof raw.title === 'string' ? raw.title : ''
+  polygon.main_neighborhood = typeof raw.main_neighborhood === 'string' ? raw.main_neighborhood : ''
+  polygon.status_name = typeof raw.status_name === 'string' ? raw.status_name : ''
+  return polygon as unknown as Polygon
+}
+
+export function normalizeWazeAlert(raw: unknown): WazeAlert | null {
+  if (!isObject(raw)) return null
+  if (typeof raw.uuid !== 'string' || !raw.uuid) return null
+  const location = raw.location
+  if (!isObject(location) || !Number.isFinite(location.x) || !Number.isFinite(location.y)) return null
+  const pubMillis = toNumber(raw.pubMillis)
+  if (pubMillis <= 0) return null
+
+  return {
+    ...raw,
+    uuid: raw.uuid,
+    type: typeof raw.type === 'string' ? raw.type : '',
+    subtype: typeof raw.subtype === 'string' ? raw.subtype : '',
+    street: typeof raw.street === 'string' ? raw.street : '',
+    city: typeof raw.city === 'string' ? raw.city : '',
+    country: typeof raw.country === 'string' ? raw.country : '',
+    location: { x: location.x as number, y: location.y as number },
+    pubMillis,
+    reliability: toNumber(raw.reliability),
+    confidence: toNumber(raw.confidence),
+  }
+}
+
+function normalizeList<T>(items: unknown[], normalize: (raw: unknown) => T | null): Normalized<T[]> {
+  const data: T[] = []
+  for (const item of items) {
+    const value = normalize(item)
+    if (value) data.push(value)
+  }
+  return { data, rejected: items.length - data.length }
+}
+
+export function normalizeRain(raw: unknown): Normalized<RainResponse> {
+  if (!isObject(raw) || !Array.isArray(raw.objects)) {
+    throw new Error('Rain payload is missing the objects array')
+  }
+  const { data, rejected } = normalizeList(raw.objects, normalizeStation)
+  return { data: { objects: data }, rejected }
+}
+
+export function normalizePolygons(raw: unknown): Normalized<Polygon[]> {
+  if (!Array.isArray(raw)) {
+    throw new Error('Polygons payload is not an array')
+  }
+  return normalizeList(raw, normalizePolygon)
+}
+
+// The Waze feed omits `alerts` entirely when there are none
+export function normalizeWaze(raw: unknown): Normalized<WazeResponse> {
+  if (!isObject(raw)) {
+    throw new Error('Waze payload is not an object')
+  }
+  if (raw.alerts !== undefined && !Array.isArray(raw.alerts)) {
+    throw new Error('Waze alerts is not an array')
+  }
+  const { data, rejected } = normalizeList((raw.alerts as unknown[]) ?? [], normalizeWazeAlert)
+  return { data: { ...raw, alerts: data }, rejected }
+}
@@ -0,0 +1,211 @@
+import { getSupabase, selectAllPages, NOWCASTS_TABLE, STATION_TABLE } from './supabase'
+import { NOWCAST_HORIZONS, polygonSeries } from './nowcast'
+import type { NowcastReport, Projection } from './nowcast'
+import type { NowcastRow, NowcastScope, Polygon, Station, StationReadingRow } from './types'
+
+// Stores the cron's nowcasts and scores them against what the feeds report once the target
+// time arrives. Cron runs every 15 minutes, so a target is matched to the run closest to it.
+export const SCORE_WINDOW_MS = { before: 10 * 60 * 1000, after: 5 * 60 * 1000 }
+
+// Long enough for stationHistorySeries to find four earlier quarter hours
+export const STATION_HISTORY_MS = 75 * 60 * 1000
+
+export async function loadRecentStationReadings(
+  now: number = Date.now()
+): Promise<Record<string, StationReadingRow[]>> {
+  // Read page by page; (name, read_at) is unique, so the order keeps pages from overlapping
+  const { data, error } = await selectAllPages<Pick<StationReadingRow, 'name' | 'read_at' | 'm15'>>((from, to) =>
+    getSupabase()
+      .from(STATION_TABLE())
+      .select('name, read_at, m15')
+      .gte('read_at', new Date(now - STATION_HISTORY_MS).toISOString())
+      .order('read_at', { ascending: true })
+      .order('name', { ascending: true })
+      .range(from, to)
+  )
+  if (error) throw new Error(error)
+
+  const byName: Record<string, StationReadingRow[]> = {}
+  for (const row of data as StationReadingRow[]) {
+    if (!byName[row.name]) byName[row.name] = []
+    byName[row.name].push(row)
+  }
+  return byName
+}
+
+function hasRain(projections: Projection[], series: number[]): boolean {
+  return projections.some((p) => p.rain > 0) || series.some((v) => v > 0)
+}
+
+// Dry stations and polygons are not stored; the city row always is
+export function toNowcastRows(report: NowcastReport, snapshotId: number, issuedAt: string): NowcastRow[] {
+  const issued = Date.parse(issuedAt)
+  const rows: NowcastRow[] = []
+  const push = (
+    scope: NowcastScope,
+    key: string,
+    projections: Projection[],
+    extra: { escalation?: boolean; status_code?: number } = {}
+  ) => {
+    for (const p of projections) {
+      rows.push({
+        snapshot_id: snapshotId,
+        issued_at: issuedAt,
+        target_at: new Date(issued + p.horizon * 60 * 1000).toISOString(),
+        horizon_min: p.horizon,
+        scope,
+        key,
+        projected: p.rain,
+        confidence: p.confidence,
+        escalation: extra.escalation ?? false,
+        status_code: extra.status_code ?? null,
+        observed: null,
+        escalated: null,
+        scored_at: null,
+      })
+    }
+  }
+
+  push('city', 'city', report.city.projections)
+  for (const s of report.stations) {
+    if (hasRain(s.projections, s.series)) push('station', s.name, s.projections)
+  }
+  for (const p of report.polygons) {
+    if (p.escalation || hasRain(p.projections, p.series)) {
+      push('polygon', p._id, p.projections, { escalation: p.escalation, status_code: p.status_code })
+    }
+  }
+  return rows
+}
+
+// Rain actually observed over a horizon ending now. Stations only report 15-minute and
+// 1-hour windows, so their 30-minute projections cannot be scored.
+export function observedRain(
+  row: Pick<NowcastRow, 'scope' | 'key' | 'horizon_min'>,
+  stations: Station[],
+  polygons: Polygon[]
+): number | null {
+  const stationWindow = (s: Station) =>
+    row.horizon_min === 15 ? s.data?.m15 || 0 : row.horizon_min === 60 ? s.data?.h01 || 0 : null
+
+  if (row.scope === 'polygon') {
+    const polygon = polygons.find((p) => p._id === row.key)
+    if (!polygon) return null
+    const latest = polygonSeries(polygon).reverse().slice(0, row.horizon_min / 15)
+    return latest.reduce((s, v) => s + v, 0)
+  }
+  if (row.scope === 'station') {
+    const station = stations.find((s) => s.name === row.key)
+    return station ? stationWindow(station) : null
+  }
+  if (stations.length === 0) return null
+  const values = stations.map(stationWindow)
+  if (values.some((v) => v === null)) return null
+  return (values as number[]).reduce((s, v) => s + v, 0) / stations.length
+}
+
+// Scored rows are written back in one upsert on id. The upsert carries whole rows, since
+// Postgres checks the insert half of it against the not-null columns before the conflict.
+export async function scoreNowcasts(stations: Station[], polygons: Polygon[], now: number = Date.now()) {
+  const { data, error } = await selectAllPages<NowcastRow & { id: number }>((from, to) =>
+    getSupabase()
+      .from(NOWCASTS_TABLE())
+      .select('*')
+      .is('scored_at', null)
+      .gte('target_at', new Date(now - SCORE_WINDOW_MS.before).toISOString())
+      .lte('target_at', new Date(now + SCORE_WINDOW_MS.after).toISOString())
+      .order('id', { ascending: true })
+      .range(from, to)
+  )
+  if (error) return { scored: 0, error }
+  if (data.length === 0) return { scored: 0, error: null }
+
+  const scoredAt = new Date(now).toISOString()
+  const statusById = new Map(polygons.map((p) => [p._id, p.status_code]))
+  const scored = data.map((row) => {
+    const observed = observedRain(row, stations, polygons)
+    const status = statusById.get(row.key)
+    return {
+      ...row,
+      observed: observed === null ? null : parseFloat(observed.toFixed(2)),
+      escalated:
+        row.scope === 'polygon' && status !== undefined && row.status_code !== null
+          ? status > row.status_code
+          : null,
+      scored_at: scoredAt,
+    }
+  })
+
+  const { error: upsertError } = await getSupabase().from(NOWCASTS_TABLE()).upsert(scored, { onConflict: 'id' })
+  if (upsertError) return { scored: 0, error: upsertError.message }
+  return { scored: scored.length, error: null }
+}
+
+export async function storeNowcasts(report: NowcastReport, snapshotId: number, issuedAt: string) {
+  const rows = toNowcastRows(report, snapshotId, issuedAt)
+  const { error } = await getSupabase().from(NOWCASTS_TABLE()).insert(rows)
+  return { stored: error ? 0 : rows.length, error: error?.message ?? null }
+}
+
+const CONFIDENCE_BANDS = [
+  { label: 'low', min: 0, max: 0.4 },
+  { label: 'medium', min: 0.4, max: 0.7 },
+  { label: 'high', min: 0.7, max: 1.01 },
+]
+
+export type ScoredRow = Pick<
+  NowcastRow,
+  'scope' | 'horizon_min' | 'projected' | 'confidence' | 'observed' | 'escalation' | 'escalated'
+>
+
+function errorStats(rows: ScoredRow[]) {
+  const errors = rows.map((r) => r.projected - (r.observed as number))
+  const mean = (values: number[]) => (values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : 0)
+  return {
+    count: rows.length,
+    mae: parseFloat(mean(errors.map(Math.abs)).toFixed(2)),
+    bias: parseFloat(mean(errors).toFixed(2)),
+    mean_confidence: parseFloat(mean(rows.map((r) => r.confidence)).toFixed(2)),
+  }
+}
+
+// Error by scope and horizon, error per confidence band (a calibrated nowcast has lower
+// error at higher confidence) and the hit rate of polygon escalation flags
+export function summarizeScores(rows: ScoredRow[]) {
+  const scored = rows.filter((r) => r.observed !== null)
+  const scopes: NowcastScope[] = ['city', 'station', 'polygon']
+
+  const byScope = scopes.map((scope) => ({
+    scope,
+    horizons: NOWCAST_HORIZONS.map((horizon) => ({
+      horizon,
+      ...errorStats(scored.filter((r) => r.scope === scope && r.horizon_min === horizon)),
+    })),
+  }))
+
+  const calibration = CONFIDENCE_BANDS.map((band) => ({
+    band: band.label,
+    ...errorStats(scored.filter((r) => r.confidence >= band.min && r.confidence < band.max)),
+  }))
+
+  // Escalation is flagged on the 60-minute horizon. Dry polygons are not stored, so a miss
+  // only counts polygons that had rain when the nowcast was issued.
+  const flags = rows.filter((r) => r.scope === 'polygon' && r.horizon_min === 60 && r.escalated !== null)
+  const hits = flags.filter((r) => r.escalation && r.escalated).length
+  const falseAlarms = flags.filter((r) => r.escalation && !r.escalated).length
+  const misses = flags.filter((r) => !r.escalation && r.escalated).length
+
+  return {
+    scored: scored.length,
+    scopes: byScope,
+    calibration,
+    escalation: {
+      flagged: hits + falseAlarms,
+      hits,
+      false_alarms: falseAlarms,
+      misses,
+      precision: hits + falseAlarms > 0 ? parseFloat((hits / (hits + falseAlarms)).toFixed(2)) : null,
+      recall: hits + misses > 0 ? parseFloat((hits / (hits + misses)).toFixed(2)) : null,
+    },
+  }
+}
@@ -0,0 +1,56 @@
+import { readFile } from 'fs/promises'
+import path from 'path'
+import type { Ring } from './geometry'
+import type { Zone } from './regions'
+
+// Optional zone file for region aggregation, e.g. the AP1–AP5 planning areas:
+//   REGION_ZONES_FILE            GeoJSON FeatureCollection of Polygon/MultiPolygon features
+//   REGION_ZONE_NAME_PROPERTY    feature property holding the zone name (default "name")
+// Without a file, regions fall back to the polygons' main_neighborhood.
+
+const DEFAULT_NAME_PROPERTY = 'name'
+
+interface Feature {
+  id?: string | number
+  properties?: Record<string, unknown> | null
+  geometry?: { type: string; coordinates: unknown } | null
+}
+
+let cached: { file: string; zones: Zone[] } | null = null
+
+// GeoJSON rings are [lng, lat] like the upstream polygons. MultiPolygon parts are flattened
+// into one ring list; the even-odd rule in lib/geometry.ts keeps parts and holes apart.
+function featureRings(geometry: Feature['geometry']): Ring[] {
+  if (!geometry) return []
+  const polygons =
+    geometry.type === 'Polygon'
+      ? [geometry.coordinates as Ring[]]
+      : geometry.type === 'MultiPolygon'
+        ? (geometry.coordinates as Ring[][])
+        : []
+  return polygons.flat().filter((ring) => Array.isArray(ring) && ring.length >= 3)
+}
+
+export function parseZones(raw: unknown, nameProperty: string = DEFAULT_NAME_PROPERTY): Zone[] {
+  const collection = raw as { type?: string; features?: Feature[] }
+  if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error('Zone file is not a GeoJSON FeatureCollection')
+  }
+  return collection.features
+    .map((feature, i) => {
+      const name = String(feature.properties?.[nameProperty] ?? feature.id ?? `Zone ${i + 1}`)
+      return { id: String(feature.id ?? name), name, geometry: featureRings(feature.geometry) }
+    })
+    .filter((zone) => zone.geometry.length > 0)
+}
+
+export async function loadZones(): Promise<Zone[] | null> {
+  const file = process.env.REGION_ZONES_FILE
+  if (!file) return null
+  if (cached?.file === file) return cached.zones
+
+  const raw = JSON.parse(await readFile(path.resolve(process.cwd(), file), 'utf8'))
+  const zones = parseZones(raw, process.env.REGION_ZONE_NAME_PROPERTY || DEFAULT_NAME_PROPERTY)
+  cached = { file, zones }
+  return zones
+}
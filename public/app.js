@@ -13,16 +13,32 @@ const STATUS_MAP = {
     3: { name: 'Critical', color: '#dc2626', class: 'badge-critical' }
 };
 
-// Severity thresholds
-const SEVERITY_THRESHOLDS = {
-    criticalPolygonStatus: 3,
-    alertAlertsInAreas: 5,
-    alertAffectedAreas: 10,
-    attentionWazeAlerts: 10,
-    notableAlertSpike: 5,
-    notableMaxEvents: 50
+// Station marker radius by rain intensity level (see lib/intensity.ts)
+const INTENSITY_MARKER_SIZES = [4, 5, 6, 7, 8];
+// Ring drawn around stations flagged for landslide risk
+const LANDSLIDE_COLOR = '#fbbf24';
+
+// Chart colors per polygon sensor channel (see lib/sensors.ts)
+const SENSOR_COLORS = {
+    alagamento: '#3b82f6',
+    enchente: '#1d4ed8',
+    alagamento_enchente: '#6366f1',
+    'bolsão': '#06b6d4',
+    'lâmina': '#14b8a6',
+    vazamento: '#64748b',
+    sirene: '#dc2626',
+    camera_flood: '#a855f7',
+    waze_flood: '#f97316'
 };
 
+// Flood reports count as new for this long after they first show up in the feed
+const NEW_ALERT_MS = 15 * 60 * 1000;
+// Cleared reports stay listed for this long
+const CLEARED_ALERT_KEEP_MS = 60 * 60 * 1000;
+
+// Below this zoom, reports inside a hotspot are drawn as one bubble
+const HOTSPOT_EXPAND_ZOOM = 15;
+
 // State management
 const state = {
     stations: [],
@@ -30,168 +46,170 @@ const state = {
     wazeAlerts: [],
     history: [],
     floodMetrics: { wazeFloodCount: 0, affectedAreaCount: 0, alertsInAreasCount: 0 },
+    // Active rule set from /api/rules and the latest evaluation (see lib/rules.ts)
+    severityRules: null,
+    severity: { severity: 0, raw: 0, condition: null, ruleVersion: 0 },
+    // Latest stored snapshot levels, newest first: the runs the cron's hysteresis looks back on
+    storedSeverity: [],
+    feeds: {},
+    // Gauges failing the data-quality checks; they are kept out of state.stations
+    stationHealth: { failing: [], newestReadAt: null },
     notableEvents: [],
     refreshInterval: 30000,
     intervalId: null,
     map: null,
+    // Leaflet layers keyed by station name, alert uuid and polygon _id
     markers: {
-        stations: [],
-        waze: [],
-        polygons: []
+        stations: new Map(),
+        waze: new Map(),
+        polygons: new Map(),
+        hotspots: new Map(),
+        hillsides: new Map()
     },
     floodChart: null,
     rainChart: null,
-    currentRainChartType: 'rain'
+    currentRainChartType: 'rain',
+    rainField: { enabled: false, window: 'h01', overlay: null },
+    layers: {
+        polygons: true,
+        waze: true,
+        stations: true,
+        statuses: { 1: true, 2: true, 3: true },
+        minReliability: 0,
+        minConfidence: 0,
+        maxAgeHours: 0,
+        hotspots: true,
+        hotspotRadius: 300
+    },
+    // Flood report clusters from /api/hotspots (computed locally during replays)
+    hotspots: [],
+    // Ranked regions from /api/regions (neighborhoods computed locally during replays)
+    regions: [],
+    regionSort: 'severity',
+    // Rain nowcast from /api/nowcast (computed locally during replays), indexed by id
+    nowcast: {
+        city: null,
+        stations: new Map(),
+        polygons: new Map()
+    },
+    polygonRain: {},
+    // 'flood' colors the map by polygon status, 'landslide' by the landslide risk index
+    mapMode: 'flood',
+    // Station, polygon and hillside landslide risk (see lib/landslide.ts)
+    landslide: null,
+    // Flood reports and stations inside each polygon, keyed by _id
+    polygonCounts: {},
+    // Flood reports by uuid: { alert, firstSeen, lastSeen, clearedAt } (epoch ms)
+    alertLifecycle: {
+        entries: new Map(),
+        started: false,
+        lastUpdate: 0
+    },
+    selectedStation: null,
+    stationHistory: [],
+    replay: {
+        active: false,
+        snapshots: [],
+        index: 0,
+        playing: false,
+        speed: 1,
+        timerId: null,
+        cache: new Map(),
+        notableEvents: []
+    }
 };
 
 // --- Core Flood Algorithms ---
+// Shared with the snapshot cron via lib/analytics.ts (exposed as window.FloodAnalytics)
 
-function isPointInPolygon(lat, lng, ring) {
-    let inside = false;
-    const n = ring.length;
-    for (let i = 0, j = n - 1; i < n; j = i++) {
-        const yi = ring[i][1]; // lat
-        const xi = ring[i][0]; // lng
-        const yj = ring[j][1];
-        const xj = ring[j][0];
-        if (((yi > lat) !== (yj > lat)) &&
-            (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
-            inside = !inside;
-        }
-    }
-    return inside;
+function computeFloodMetrics() {
+    state.floodMetrics = FloodAnalytics.computeFloodMetrics(state.wazeAlerts, state.polygons);
 }
 
-function countAlertsInAffectedAreas(wazeAlerts, polygons) {
-    const affected = polygons.filter(p => p.status_code > 0 && p.geometry?.length > 0);
-    if (affected.length === 0) return 0;
-
-    let count = 0;
-    for (const alert of wazeAlerts) {
-        if (!alert.location) continue;
-        const lat = alert.location.y;
-        const lng = alert.location.x;
-        for (const poly of affected) {
-            if (isPointInPolygon(lat, lng, poly.geometry[0])) {
-                count++;
-                break;
-            }
-        }
-    }
-    return count;
+// Same rules and downgrade hysteresis as the snapshot cron. Hysteresis looks back on the
+// stored snapshots rather than state.history, whose live points come every refresh instead
+// of at the cron's cadence, so the level matches what the cron stores for the same moment.
+function computeOverallSeverity() {
+    const evaluation = FloodAnalytics.evaluateSeverity(
+        state.severityRules.rules,
+        { polygons: state.polygons, stations: state.stations, metrics: state.floodMetrics },
+        state.storedSeverity
+    );
+    state.severity = { ...evaluation, ruleVersion: state.severityRules.version };
 }
 
-function computeFloodMetrics() {
-    state.floodMetrics = {
-        wazeFloodCount: state.wazeAlerts.length,
-        affectedAreaCount: state.polygons.filter(p => p.status_code > 0).length,
-        alertsInAreasCount: countAlertsInAffectedAreas(state.wazeAlerts, state.polygons)
-    };
+// As many stored runs as the cron reads for the active rules' hysteresis
+async function fetchStoredSeverity() {
+    const limit = Math.max(1, state.severityRules.rules.hysteresis.downgradeAfter - 1);
+    const rows = await fetchWithTimeout(`/api/history?order=desc&limit=${limit}`);
+    if (!Array.isArray(rows)) return [];
+    return rows.map(row => ({ severity: row.severity, severity_raw: row.severity_raw ?? row.severity }));
 }
 
-function computeOverallSeverity() {
-    const m = state.floodMetrics;
-    const maxPolygonSeverity = state.polygons.length > 0
-        ? Math.max(...state.polygons.map(p => p.status_code))
-        : 0;
+async function loadSeverityRules() {
+    try {
+        const res = await fetch('/api/rules');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        state.severityRules = await res.json();
+    } catch (err) {
+        console.warn('Could not load severity rules, using defaults:', err);
+        state.severityRules = FloodAnalytics.DEFAULT_RULE_SET;
+    }
+}
 
-    if (maxPolygonSeverity >= SEVERITY_THRESHOLDS.criticalPolygonStatus)
-        return { level: 3, label: 'Critical', color: '#dc2626' };
-    if (m.alertsInAreasCount > SEVERITY_THRESHOLDS.alertAlertsInAreas || m.affectedAreaCount > SEVERITY_THRESHOLDS.alertAffectedAreas)
-        return { level: 2, label: 'Alert', color: '#ea580c' };
-    if (m.affectedAreaCount > 0 || m.wazeFloodCount > SEVERITY_THRESHOLDS.attentionWazeAlerts)
-        return { level: 1, label: 'Attention', color: '#eab308' };
-    return { level: 0, label: 'Normal', color: '#22c55e' };
+function severityConditionLabel() {
+    const { condition } = state.severity;
+    if (condition === null) return 'No condition matched';
+    if (condition === 'hold') return 'Held by hysteresis';
+    // Descriptions are only known for the active version (replays may show older ones)
+    if (state.severityRules?.version !== state.severity.ruleVersion) return condition;
+    const match = state.severityRules.rules.conditions.find(c => c.id === condition);
+    return match?.description || condition;
 }
 
 // --- History & Notable Events ---
 
 function addToHistory() {
-    const activeStations = state.stations.filter(s => s.data?.h01 > 0).length;
-    const totalRain = state.stations.reduce((sum, s) => sum + (s.data?.h01 || 0), 0);
-    const avgRain = state.stations.length > 0 ? totalRain / state.stations.length : 0;
+    const rain = FloodAnalytics.computeRainStats(state.stations);
 
     state.history.push({
         timestamp: new Date(),
         wazeFloodCount: state.floodMetrics.wazeFloodCount,
         affectedAreaCount: state.floodMetrics.affectedAreaCount,
         alertsInAreasCount: state.floodMetrics.alertsInAreasCount,
-        avgRain: parseFloat(avgRain.toFixed(1)),
-        maxRain: Math.max(0, ...state.stations.map(s => s.data?.h01 || 0)),
-        activeStations,
-        maxSeverity: computeOverallSeverity().level
+        avgRain: parseFloat(rain.avgRain.toFixed(1)),
+        maxRain: rain.maxRain,
+        activeStations: rain.activeStations,
+        maxSeverity: state.severity.severity,
+        sensorTotals: FloodAnalytics.sensorTotals(state.polygons)
     });
 
     if (state.history.length > 100) {
         state.history.shift();
     }
-
-    detectNotableEvents();
 }
 
-function detectNotableEvents() {
-    if (state.history.length < 2) return;
-
-    const prev = state.history[state.history.length - 2];
-    const curr = state.history[state.history.length - 1];
-    const time = curr.timestamp;
-
-    const alertDelta = curr.wazeFloodCount - prev.wazeFloodCount;
-    const areaDelta = curr.affectedAreaCount - prev.affectedAreaCount;
-    const overlapDelta = curr.alertsInAreasCount - prev.alertsInAreasCount;
-
-    if (alertDelta > 0 && areaDelta > 0 && overlapDelta > 0) {
-        state.notableEvents.push({
-            timestamp: time,
-            message: `Flood convergence — alerts, areas, and overlap all rising`,
-            severity: 'critical'
-        });
-    } else {
-        if (alertDelta >= SEVERITY_THRESHOLDS.notableAlertSpike) {
-            state.notableEvents.push({
-                timestamp: time,
-                message: `+${alertDelta} new flood alerts reported`,
-                severity: 'alert'
-            });
-        }
-        if (areaDelta > 0) {
-            state.notableEvents.push({
-                timestamp: time,
-                message: `${areaDelta} new area(s) entered affected status`,
-                severity: 'attention'
-            });
-        } else if (areaDelta < 0) {
-            state.notableEvents.push({
-                timestamp: time,
-                message: `${Math.abs(areaDelta)} area(s) returned to normal`,
-                severity: 'normal'
-            });
-        }
-    }
-
-    if (state.notableEvents.length > SEVERITY_THRESHOLDS.notableMaxEvents) {
-        state.notableEvents = state.notableEvents.slice(-SEVERITY_THRESHOLDS.notableMaxEvents);
-    }
+// Notable moments are computed by the snapshot cron so every tab shares one feed
+async function fetchNotableEvents(query = '') {
+    const rows = await fetchWithTimeout(`/api/notable?limit=${FloodAnalytics.SEVERITY_THRESHOLDS.notableMaxEvents}${query}`);
+    if (!Array.isArray(rows)) return [];
+    return rows.map(row => ({
+        timestamp: new Date(row.captured_at),
+        message: row.message,
+        severity: row.severity
+    }));
 }
 
 // --- Historical Data ---
 
 async function loadHistoricalData() {
     try {
-        const res = await fetch('/api/history?limit=100');
+        // Latest 100 snapshots, newest first from the API
+        const res = await fetch('/api/history?order=desc&limit=100');
         if (!res.ok) return;
         const rows = await res.json();
         if (!Array.isArray(rows) || rows.length === 0) return;
-        state.history = rows.map(row => ({
-            timestamp: new Date(row.captured_at),
-            wazeFloodCount: row.waze_count,
-            affectedAreaCount: row.affected_areas,
-            alertsInAreasCount: row.alerts_in_areas,
-            avgRain: row.avg_rain,
-            maxRain: row.max_rain,
-            activeStations: 0,
-            maxSeverity: row.severity
-        }));
+        state.history = rows.reverse().map(historyPointFromRow);
         updateFloodChart();
         updateRainChartView();
     } catch (err) {
@@ -199,13 +217,29 @@ async function loadHistoricalData() {
     }
 }
 
+function historyPointFromRow(row) {
+    return {
+        timestamp: new Date(row.captured_at),
+        wazeFloodCount: row.waze_count,
+        affectedAreaCount: row.affected_areas,
+        alertsInAreasCount: row.alerts_in_areas,
+        avgRain: row.avg_rain,
+        maxRain: row.max_rain,
+        activeStations: 0,
+        maxSeverity: row.severity,
+        sensorTotals: row.sensor_totals ?? null
+    };
+}
+
 // --- Initialization ---
 
 async function init() {
     initMap();
     initFloodChart();
     initRainChart();
+    renderLegend();
     setupEventListeners();
+    await loadSeverityRules();
     await loadHistoricalData();
     await refreshData();
     startAutoRefresh();
@@ -218,6 +252,11 @@ function initMap() {
         subdomains: 'abcd',
         maxZoom: 19
     }).addTo(state.map);
+
+    // Rain surface sits under the polygons and markers
+    state.map.createPane('rainField');
+    state.map.getPane('rainField').style.zIndex = 350;
+    state.map.getPane('rainField').style.pointerEvents = 'none';
 }
 
 function createChartOptions() {
@@ -306,6 +345,41 @@ function setupEventListeners() {
             renderStationList(e.target.dataset.sort);
         });
     });
+
+    setupLayerControls();
+
+    document.getElementById('mapMode').addEventListener('change', (e) => {
+        state.mapMode = e.target.value;
+        renderLegend();
+        updateMapMarkers();
+    });
+    document.getElementById('rainFieldToggle').addEventListener('change', (e) => {
+        state.rainField.enabled = e.target.checked;
+        updateRainField();
+    });
+    document.getElementById('rainFieldWindow').addEventListener('change', (e) => {
+        state.rainField.window = e.target.value;
+        updateMapMarkers();
+        updateRainField();
+    });
+
+    document.getElementById('downloadFloodChart').addEventListener('click', () => {
+        downloadExport('snapshots', 'csv', 'chart');
+    });
+    document.getElementById('downloadRainChart').addEventListener('click', () => {
+        if (state.currentRainChartType === 'sensors') {
+            downloadExport('snapshots', 'csv', 'chart');
+        } else if (state.currentRainChartType === 'station' && state.selectedStation) {
+            downloadExport('stations', 'csv', 'chart', state.selectedStation);
+        } else {
+            downloadExport('stations', 'csv', 'chart');
+        }
+    });
+    document.querySelectorAll('.map-download').forEach(btn => {
+        btn.addEventListener('click', (e) => downloadExport(e.target.dataset.dataset, 'geojson', 'map'));
+    });
+
+    setupReplayControls();
 }
 
 function startAutoRefresh() {
@@ -316,30 +390,52 @@ function startAutoRefresh() {
 // --- Data Fetching ---
 
 async function refreshData() {
+    if (state.replay.active) return;
+
     const btn = document.getElementById('refreshBtn');
     btn.disabled = true;
 
     try {
         showLoading();
 
-        const [rainData, polygonData, wazeData] = await Promise.allSettled([
-            fetchWithTimeout(API.RAIN),
-            fetchWithTimeout(API.POLYGONS),
-            fetchWithTimeout(API.WAZE)
+        const [rainData, polygonData, wazeData, notableData, hotspotData, regionData, nowcastData, severityData] = await Promise.allSettled([
+            fetchFeed('rain', API.RAIN),
+            fetchFeed('polygons', API.POLYGONS),
+            fetchFeed('waze', API.WAZE),
+            fetchNotableEvents(),
+            fetchHotspots(),
+            fetchRegions(),
+            fetchWithTimeout('/api/nowcast'),
+            fetchStoredSeverity()
         ]);
 
-        if (rainData.status === 'fulfilled' && rainData.value) {
-            state.stations = rainData.value.objects || [];
+        // A replay may have started while the live fetch was in flight
+        if (state.replay.active) {
+            hideLoading();
+            return;
         }
-        if (polygonData.status === 'fulfilled' && polygonData.value) {
-            state.polygons = Array.isArray(polygonData.value) ? polygonData.value : [];
+
+        applyPayloads(
+            rainData.status === 'fulfilled' ? rainData.value : null,
+            polygonData.status === 'fulfilled' ? polygonData.value : null,
+            wazeData.status === 'fulfilled' ? wazeData.value : null
+        );
+        if (notableData.status === 'fulfilled') {
+            state.notableEvents = notableData.value;
         }
-        if (wazeData.status === 'fulfilled' && wazeData.value) {
-            const allAlerts = wazeData.value.alerts || [];
-            state.wazeAlerts = allAlerts.filter(a => a.subtype === 'HAZARD_WEATHER_FLOOD');
+        if (hotspotData.status === 'fulfilled') {
+            state.hotspots = hotspotData.value;
         }
-
-        computeFloodMetrics();
+        if (regionData.status === 'fulfilled') {
+            state.regions = regionData.value;
+        }
+        if (severityData.status === 'fulfilled') {
+            state.storedSeverity = severityData.value;
+        }
+        computeOverallSeverity();
+        setNowcast(nowcastData.status === 'fulfilled' && !nowcastData.value.error
+            ? nowcastData.value
+            : FloodAnalytics.buildNowcast(state.stations, state.polygons));
         addToHistory();
         updateUI();
         updateLastRefresh();
@@ -348,9 +444,154 @@ async function refreshData() {
         console.error('Error refreshing data:', error);
         showError('Failed to fetch data. Retrying...');
         hideLoading();
+    } finally {
+        btn.disabled = false;
     }
+}
 
-    btn.disabled = false;
+// Live proxies and stored snapshot `raw` payloads share the same shapes
+function applyPayloads(rain, polygons, waze) {
+    if (rain) {
+        const health = FloodAnalytics.checkStationHealth(rain.objects || []);
+        state.stations = health.healthy;
+        state.stationHealth = { failing: health.failing, newestReadAt: health.newestReadAt };
+    }
+    if (polygons) {
+        state.polygons = Array.isArray(polygons) ? polygons : [];
+    }
+    if (waze) {
+        state.wazeAlerts = FloodAnalytics.filterFloodAlerts(waze.alerts || []);
+        trackAlertLifecycle(currentTime());
+    }
+    computeFloodMetrics();
+    state.polygonCounts = FloodAnalytics.computePolygonCounts(state.polygons, state.wazeAlerts, state.stations);
+    state.landslide = FloodAnalytics.buildLandslideReport(state.stations, state.polygons);
+}
+
+// Mirrors lib/lifecycle.ts on the client: reports seen for the first time are new, open ones
+// missing from the feed are cleared. On the first pass the publish time stands in for first-seen.
+function trackAlertLifecycle(now) {
+    const lifecycle = state.alertLifecycle;
+    // Seeking backwards in a replay invalidates everything tracked so far
+    if (now < lifecycle.lastUpdate) resetAlertLifecycle();
+    const { entries } = lifecycle;
+
+    const current = new Set();
+    state.wazeAlerts.forEach(alert => {
+        current.add(alert.uuid);
+        const entry = entries.get(alert.uuid);
+        if (entry && entry.clearedAt === null) {
+            entry.alert = alert;
+            entry.lastSeen = now;
+            return;
+        }
+        const firstSeen = lifecycle.started ? now : Math.min(alert.pubMillis, now);
+        entries.set(alert.uuid, { alert, firstSeen, lastSeen: now, clearedAt: null });
+    });
+
+    entries.forEach((entry, uuid) => {
+        if (current.has(uuid)) return;
+        if (entry.clearedAt === null) entry.clearedAt = now;
+        if (now - entry.clearedAt > CLEARED_ALERT_KEEP_MS) entries.delete(uuid);
+    });
+
+    lifecycle.started = true;
+    lifecycle.lastUpdate = now;
+}
+
+function resetAlertLifecycle() {
+    state.alertLifecycle.entries.clear();
+    state.alertLifecycle.started = false;
+    state.alertLifecycle.lastUpdate = 0;
+}
+
+function isNewAlert(alert) {
+    const entry = state.alertLifecycle.entries.get(alert.uuid);
+    return Boolean(entry) && entry.clearedAt === null && currentTime() - entry.firstSeen < NEW_ALERT_MS;
+}
+
+// Replays measure time against the snapshot being shown, not the wall clock
+function currentTime() {
+    return state.replay.active && state.history.length > 0
+        ? state.history[state.history.length - 1].timestamp.getTime()
+        : Date.now();
+}
+
+async function fetchHotspots() {
+    const res = await fetch(`/api/hotspots?radius=${state.layers.hotspotRadius}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return (await res.json()).hotspots || [];
+}
+
+// Live data asks the server; replays cluster the snapshot's reports with the same code
+async function refreshHotspots() {
+    if (state.replay.active) {
+        state.hotspots = FloodAnalytics.clusterFloodAlerts(state.wazeAlerts, state.polygons, state.layers.hotspotRadius);
+    } else {
+        try {
+            state.hotspots = await fetchHotspots();
+        } catch (err) {
+            console.warn('Could not load hotspots:', err);
+        }
+    }
+    updateMapMarkers();
+}
+
+async function fetchRegions() {
+    const res = await fetch(`/api/regions?sort=${state.regionSort}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return (await res.json()).regions || [];
+}
+
+// Replays have no stored ranking, so rank the snapshot's neighborhoods (without trends)
+// under the active rules, like /api/regions
+function computeLocalRegions() {
+    const assigner = FloodAnalytics.regionAssigner(state.polygons);
+    const rain = FloodAnalytics.samplePolygonRain(state.stations, state.polygons, 'h01');
+    const regions = FloodAnalytics.aggregateRegions(
+        assigner, state.polygons, state.wazeAlerts, state.stations, rain, state.severityRules.rules
+    );
+    return FloodAnalytics.rankRegions(regions, state.regionSort).map(r => ({ ...r, trend: null }));
+}
+
+function setNowcast(report) {
+    state.nowcast = {
+        city: report.city,
+        stations: new Map(report.stations.map(s => [s.name, s])),
+        polygons: new Map(report.polygons.map(p => [p._id, p]))
+    };
+}
+
+// e.g. "1.2 · 2.3 · 4.1 mm" and "90 · 76 · 58%" for the 15/30/60 min horizons
+function formatNowcast(nowcast) {
+    const { projections } = nowcast;
+    return {
+        rain: `${projections.map(p => p.rain.toFixed(1)).join(' · ')} mm`,
+        confidence: `${projections.map(p => Math.round(p.confidence * 100)).join(' · ')}%`
+    };
+}
+
+// Proxied upstreams report when their payload was fetched and whether it is a stale fallback
+async function fetchFeed(name, url, timeout = 10000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        clearTimeout(timeoutId);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const fetchedAt = response.headers.get('X-Fetched-At');
+        state.feeds[name] = {
+            ok: true,
+            fetchedAt: fetchedAt ? new Date(fetchedAt) : new Date(),
+            stale: response.headers.get('X-Data-Stale') === 'true',
+            rejected: parseInt(response.headers.get('X-Rejected-Count') || '0')
+        };
+        return await response.json();
+    } catch (error) {
+        clearTimeout(timeoutId);
+        state.feeds[name] = { ...state.feeds[name], ok: false };
+        throw error;
+    }
 }
 
 async function fetchWithTimeout(url, timeout = 10000) {
@@ -373,7 +614,11 @@ function updateUI() {
     updateSummary();
     renderStationList();
     updateNotableTimeline();
+    renderAlertActivity();
+    renderRegionList();
+    renderHealthPanel();
     updateMapMarkers();
+    updateRainField();
     updateFloodChart();
     updateRainChartView();
 }
@@ -396,7 +641,7 @@ function updateCityTrend() {
     const trend = lastAvg - firstAvg;
 
     const activeCount = state.stations.filter(s => s.data?.h01 > 0).length;
-    const heavyCount = state.stations.filter(s => s.data?.h01 > 10).length;
+    const heavyCount = state.stations.filter(s => FloodAnalytics.classifyStation(s).level >= 3).length;
 
     if (activeCount === 0) {
         iconEl.textContent = '\u2600\uFE0F';
@@ -424,27 +669,130 @@ function updateCityTrend() {
         iconEl.textContent = '\u26A0\uFE0F';
         titleEl.textContent = 'Heavy Rain Event';
         titleEl.style.color = '#dc2626';
-        subtitleEl.textContent = `${heavyCount} stations with >10mm/h`;
+        subtitleEl.textContent = `${heavyCount} stations with heavy rain or worse`;
+    }
+
+    // Next hour from the city nowcast
+    const hour = state.nowcast.city?.projections.find(p => p.horizon === 60);
+    if (hour && hour.rain > 0) {
+        subtitleEl.textContent += ` | next 1h ~${hour.rain.toFixed(1)}mm (${Math.round(hour.confidence * 100)}%)`;
     }
 
-    // Update header severity pill from flood metrics
-    const severity = computeOverallSeverity();
+    // Update header severity pill from the latest rule evaluation
+    const severity = FloodAnalytics.severityInfo(state.severity.severity);
     const pillEl = document.getElementById('severityPill');
     pillEl.className = `severity-pill severity-${severity.level}`;
     pillEl.textContent = severity.label;
+    pillEl.title = `Rules v${state.severity.ruleVersion}: ${severityConditionLabel()}`;
 }
 
 function updateSummary() {
-    const activeStations = state.stations.filter(s => s.data?.h01 > 0).length;
-    const totalRain = state.stations.reduce((sum, s) => sum + (s.data?.h01 || 0), 0);
-    const avgRain = state.stations.length > 0 ? (totalRain / state.stations.length).toFixed(1) : '0';
-    const affectedPolygons = state.polygons.filter(p => p.status_code > 0).length;
-
-    document.getElementById('activeStations').textContent = activeStations;
-    document.getElementById('avgRain').textContent = avgRain;
-    document.getElementById('floodAlerts').textContent = state.wazeAlerts.length;
-    document.getElementById('polygonAlerts').textContent = affectedPolygons;
+    const rain = FloodAnalytics.computeRainStats(state.stations);
+
+    document.getElementById('activeStations').textContent = rain.activeStations;
+    document.getElementById('avgRain').textContent = rain.avgRain.toFixed(1);
+    document.getElementById('floodAlerts').textContent = state.floodMetrics.wazeFloodCount;
+    document.getElementById('polygonAlerts').textContent = state.floodMetrics.affectedAreaCount;
     document.getElementById('stationCount').textContent = state.stations.length;
+    updateLandslideCard();
+}
+
+function updateLandslideCard() {
+    const report = state.landslide;
+    if (!report) return;
+    const info = FloodAnalytics.landslideInfo(report.max.level);
+    const valueEl = document.getElementById('landslideLevel');
+    valueEl.textContent = info.label;
+    valueEl.style.color = info.color;
+    document.getElementById('landslideCard').style.borderColor = report.max.level > 0 ? info.color : '';
+    document.getElementById('landslideElevated').textContent =
+        `${report.elevated} station${report.elevated === 1 ? '' : 's'} high or above`;
+    document.getElementById('landslideHillsides').innerHTML = [...report.hillsides]
+        .sort((a, b) => b.index - a.index)
+        .map(h => {
+            const level = FloodAnalytics.landslideInfo(h.level);
+            return `<span class="hillside-chip" style="border-color: ${level.color}" title="Index ${h.index.toFixed(2)}">${h.name}: ${level.label}</span>`;
+        })
+        .join('');
+}
+
+const REGION_LIST_LIMIT = 15;
+
+function renderRegionList() {
+    const container = document.getElementById('regionList');
+    const regions = state.regions.filter(r => r.polygons > 0 || r.alerts > 0).slice(0, REGION_LIST_LIMIT);
+
+    if (regions.length === 0) {
+        container.innerHTML = '<div class="event-empty">No region data</div>';
+        return;
+    }
+
+    const delta = (value, unit = '') => {
+        if (!value) return '';
+        const cls = value > 0 ? 'trend-up' : 'trend-down';
+        return ` <span class="station-trend ${cls}">${value > 0 ? '\u2191' : '\u2193'}${Math.abs(value)}${unit}</span>`;
+    };
+
+    container.innerHTML = regions.map(region => {
+        const status = STATUS_MAP[region.severity] || STATUS_MAP[0];
+        const trend = region.trend || {};
+        return `
+            <div class="region-item" style="border-left-color: ${region.severity > 0 ? status.color : 'transparent'}">
+                <div class="region-header">
+                    <span class="station-name">${region.name}</span>
+                    <span class="station-value">${region.max_rain.toFixed(1)}mm${delta(trend.avg_rain, 'mm')}</span>
+                </div>
+                <div class="region-detail">
+                    ${status.name} · ${region.affected}/${region.polygons} areas affected${delta(trend.affected)}
+                    · ${region.alerts} reports${delta(trend.alerts)} · ${region.stations} stations
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// New reports first (most recent on top), then the ones cleared within the keep window
+function renderAlertActivity() {
+    const container = document.getElementById('alertActivity');
+    const now = currentTime();
+    const entries = [...state.alertLifecycle.entries.values()];
+    const fresh = entries
+        .filter(e => e.clearedAt === null && now - e.firstSeen < NEW_ALERT_MS)
+        .sort((a, b) => b.firstSeen - a.firstSeen);
+    const cleared = entries
+        .filter(e => e.clearedAt !== null)
+        .sort((a, b) => b.clearedAt - a.clearedAt);
+
+    document.getElementById('newAlertCount').textContent = fresh.length;
+
+    if (fresh.length === 0 && cleared.length === 0) {
+        container.innerHTML = '<div class="event-empty">No new flood reports</div>';
+        return;
+    }
+
+    const item = (entry, isCleared) => {
+        const { alert } = entry;
+        const detail = isCleared
+            ? `Cleared ${formatDuration(now - entry.clearedAt)} ago · lasted ${formatDuration(entry.clearedAt - entry.firstSeen)}`
+            : `First seen ${formatDuration(now - entry.firstSeen)} ago`;
+        return `
+            <div class="alert-item${isCleared ? ' cleared' : ''}" onclick="focusWazeAlert(${alert.location.x}, ${alert.location.y})">
+                <span class="alert-icon">${isCleared ? '\u2713' : '🌊'}</span>
+                <div class="alert-content">
+                    <div class="alert-street">${alert.street || 'Unknown street'}</div>
+                    <div class="alert-time">${detail}</div>
+                </div>
+            </div>
+        `;
+    };
+
+    container.innerHTML = fresh.map(e => item(e, false)).join('') + cleared.map(e => item(e, true)).join('');
+}
+
+function formatDuration(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
 }
 
 function updateNotableTimeline() {
@@ -566,16 +914,42 @@ function updateRainChartView() {
         case 'rain': updateRainEvolutionChart(); break;
         case 'distribution': updateDistributionChart(); break;
         case 'top10': updateTop10Chart(); break;
+        case 'sensors': updateSensorChart(); break;
+        case 'station': updateStationChart(); break;
     }
 }
 
+const NOWCAST_DATASET = {
+    borderColor: '#f97316',
+    backgroundColor: 'transparent',
+    borderDash: [2, 4],
+    fill: false,
+    tension: 0.3,
+    pointRadius: 3,
+    pointStyle: 'triangle',
+    borderWidth: 2,
+    yAxisID: 'y'
+};
+
+function chartTimeLabel(date) {
+    return date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+}
+
+// Future labels and values that continue a chart series from its last point. `toValue`
+// turns a projection into the series' unit.
+function nowcastExtension(projections, lastTime, lastValue, pastLength, toValue) {
+    const labels = projections.map(p => `${chartTimeLabel(new Date(lastTime + p.horizon * 60000))}*`);
+    const data = new Array(pastLength - 1).fill(null);
+    data.push(lastValue, ...projections.map((p, i) => toValue(p, projections[i - 1])));
+    const confidence = projections.map(p => `${Math.round(p.confidence * 100)}%`).join('/');
+    return { labels, data, confidence };
+}
+
 function updateRainEvolutionChart() {
     if (state.history.length === 0) return;
 
     const chart = state.rainChart;
-    const labels = state.history.map(h =>
-        h.timestamp.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
-    );
+    const labels = state.history.map(h => chartTimeLabel(h.timestamp));
 
     chart.config.type = 'line';
     resetRainChartScales();
@@ -629,39 +1003,45 @@ function updateRainEvolutionChart() {
         ]
     };
 
+    // City nowcast as an average rate over each horizon, comparable to the 1h average
+    const city = state.nowcast.city;
+    if (city) {
+        const last = state.history[state.history.length - 1];
+        const ext = nowcastExtension(city.projections, last.timestamp.getTime(), last.avgRain,
+            state.history.length, p => parseFloat((p.rain * 60 / p.horizon).toFixed(2)));
+        chart.data.labels = [...labels, ...ext.labels];
+        chart.data.datasets.push({ ...NOWCAST_DATASET, label: `Nowcast (mm/h, conf ${ext.confidence})`, data: ext.data });
+    }
+
     chart.update();
 }
 
 function updateDistributionChart() {
     const chart = state.rainChart;
-    const ranges = [
-        { label: 'None (0)', min: 0, max: 0 },
-        { label: 'Light (0-2)', min: 0.01, max: 2 },
-        { label: 'Mod (2-5)', min: 2, max: 5 },
-        { label: 'Heavy (5-10)', min: 5, max: 10 },
-        { label: 'V.Heavy (10-20)', min: 10, max: 20 },
-        { label: 'Extreme (>20)', min: 20, max: Infinity }
-    ];
-
-    const counts = ranges.map(range => {
-        return state.stations.filter(s => {
-            const rain = s.data?.h01 || 0;
-            if (range.max === 0) return rain === 0;
-            return rain > range.min && rain <= range.max;
-        }).length;
-    });
+    const levels = FloodAnalytics.INTENSITY_LEVELS;
+    const classified = state.stations.map(s => FloodAnalytics.classifyStation(s));
+    const countBy = level => classified.filter(level).length;
 
     chart.config.type = 'bar';
     resetRainChartScales();
     chart.options.scales.y.title = { display: true, text: 'Stations', color: '#94a3b8' };
 
+    // Stations per class in each accumulation window, then across windows
+    const windowColors = { m15: '#22c55e', h01: '#3b82f6', h24: '#a855f7', h96: '#64748b' };
     chart.data = {
-        labels: ranges.map(r => r.label),
-        datasets: [{
-            label: 'Stations',
-            data: counts,
-            backgroundColor: ['#22c55e', '#3b82f6', '#eab308', '#ea580c', '#dc2626', '#7c2d12']
-        }]
+        labels: levels.map(l => l.label),
+        datasets: [
+            ...FloodAnalytics.INTENSITY_WINDOWS.map(w => ({
+                label: RAIN_WINDOW_LABELS[w],
+                data: levels.map(l => countBy(c => c.windows[w] === l.level)),
+                backgroundColor: windowColors[w]
+            })),
+            {
+                label: 'Station',
+                data: levels.map(l => countBy(c => c.level === l.level)),
+                backgroundColor: levels.map(l => l.color)
+            }
+        ]
     };
 
     chart.update();
@@ -696,8 +1076,139 @@ function updateTop10Chart() {
     chart.update();
 }
 
+// One series per sensor channel; channels with no reports in the window start hidden
+function updateSensorChart() {
+    if (state.history.length === 0) return;
+
+    const chart = state.rainChart;
+    chart.config.type = 'line';
+    resetRainChartScales();
+    chart.options.scales.y.title = { display: true, text: 'Reports', color: '#94a3b8' };
+
+    chart.data = {
+        labels: state.history.map(h => chartTimeLabel(h.timestamp)),
+        datasets: FloodAnalytics.SENSOR_CHANNELS.map(channel => {
+            // Snapshots stored before channel totals were recorded leave gaps
+            const data = state.history.map(h => h.sensorTotals ? h.sensorTotals[channel]?.count ?? 0 : null);
+            return {
+                label: FloodAnalytics.SENSOR_LABELS[channel],
+                data,
+                borderColor: SENSOR_COLORS[channel],
+                backgroundColor: 'transparent',
+                fill: false,
+                tension: 0.3,
+                pointRadius: 2,
+                borderWidth: 2,
+                hidden: !data.some(v => v > 0),
+                yAxisID: 'y'
+            };
+        })
+    };
+
+    chart.update();
+}
+
+function updateStationChart() {
+    if (!state.selectedStation) return;
+
+    const chart = state.rainChart;
+    const rows = state.stationHistory;
+    const labels = rows.map(r => chartTimeLabel(new Date(r.read_at)));
+
+    chart.config.type = 'line';
+    resetRainChartScales();
+
+    chart.options.scales.y.title = { display: true, text: `${state.selectedStation} (mm)`, color: '#94a3b8' };
+    chart.options.scales.y1 = {
+        position: 'right',
+        title: { display: true, text: '24h (mm)', color: '#a855f7' },
+        grid: { display: false },
+        ticks: { color: '#a855f7' },
+        beginAtZero: true
+    };
+
+    chart.data = {
+        labels,
+        datasets: [
+            {
+                label: '15m (mm)',
+                data: rows.map(r => r.m15),
+                borderColor: '#22c55e',
+                backgroundColor: 'transparent',
+                fill: false,
+                tension: 0.3,
+                pointRadius: 2,
+                borderWidth: 1.5,
+                yAxisID: 'y'
+            },
+            {
+                label: '1h (mm)',
+                data: rows.map(r => r.h01),
+                borderColor: '#3b82f6',
+                backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                fill: true,
+                tension: 0.3,
+                pointRadius: 2,
+                borderWidth: 2,
+                yAxisID: 'y'
+            },
+            {
+                label: '24h (mm)',
+                data: rows.map(r => r.h24),
+                borderColor: '#a855f7',
+                backgroundColor: 'transparent',
+                borderDash: [5, 5],
+                fill: false,
+                tension: 0.3,
+                pointRadius: 0,
+                borderWidth: 1.5,
+                yAxisID: 'y1'
+            }
+        ]
+    };
+
+    // Station nowcast per quarter hour, continuing the 15m series
+    const nowcast = state.nowcast.stations.get(state.selectedStation);
+    if (nowcast && rows.length > 0) {
+        const last = rows[rows.length - 1];
+        const ext = nowcastExtension(nowcast.projections, Date.parse(last.read_at), last.m15, rows.length,
+            (p, prev) => parseFloat(((p.rain - (prev ? prev.rain : 0)) * 15 / (p.horizon - (prev ? prev.horizon : 0))).toFixed(2)));
+        chart.data.labels = [...labels, ...ext.labels];
+        chart.data.datasets.push({ ...NOWCAST_DATASET, label: `Nowcast 15m (mm, conf ${ext.confidence})`, data: ext.data });
+    }
+
+    chart.update();
+}
+
+async function loadStationHistory(name) {
+    const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    try {
+        const res = await fetch(`/api/history/stations?station=${encodeURIComponent(name)}&from=${from}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const rows = await res.json();
+        state.selectedStation = name;
+        state.stationHistory = Array.isArray(rows) ? rows : [];
+
+        const tab = document.getElementById('stationChartTab');
+        tab.textContent = name;
+        tab.classList.remove('hidden');
+        document.querySelectorAll('.chart-tab').forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+        state.currentRainChartType = 'station';
+        updateRainChartView();
+    } catch (err) {
+        console.warn('Could not load station history:', err);
+        showError(`No history for ${name}`);
+    }
+}
+
 // --- Station & Alert Lists ---
 
+function stationSlope(station) {
+    const nowcast = state.nowcast.stations.get(station.name);
+    return nowcast ? nowcast.slope : (station.data?.m15 || 0) - (station.data?.m05 || 0);
+}
+
 function renderStationList(sortBy = 'rain') {
     const container = document.getElementById('stationList');
     document.getElementById('stationCount').textContent = state.stations.length;
@@ -712,23 +1223,30 @@ function renderStationList(sortBy = 'rain') {
             sorted.sort((a, b) => a.name.localeCompare(b.name));
             break;
         case 'trend':
-            sorted.sort((a, b) => {
-                const trendA = (a.data?.m15 || 0) - (a.data?.m05 || 0);
-                const trendB = (b.data?.m15 || 0) - (b.data?.m05 || 0);
-                return trendB - trendA;
-            });
+            sorted.sort((a, b) => stationSlope(b) - stationSlope(a));
             break;
     }
 
     container.innerHTML = sorted.map(station => {
         const h01 = station.data?.h01 || 0;
+        const intensity = FloodAnalytics.classifyStation(station);
         const m15 = station.data?.m15 || 0;
         const m05 = station.data?.m05 || 0;
 
         let trendClass = 'trend-stable';
         let trendIcon = '\u2192';
 
-        if (m05 > 0.5) {
+        // Nowcast slope over the last quarter hours; the 5/15 min windows are the fallback
+        const nowcast = state.nowcast.stations.get(station.name);
+        if (nowcast) {
+            if (nowcast.trend === 'rising') {
+                trendClass = 'trend-up';
+                trendIcon = nowcast.slope > 1 ? '\u2191\u2191' : '\u2191';
+            } else if (nowcast.trend === 'falling') {
+                trendClass = 'trend-down';
+                trendIcon = '\u2193';
+            }
+        } else if (m05 > 0.5) {
             trendClass = 'trend-up';
             trendIcon = '\u2191\u2191';
         } else if (m15 > m05 && m15 > 0) {
@@ -740,13 +1258,15 @@ function renderStationList(sortBy = 'rain') {
         }
 
         let itemClass = 'station-item';
-        if (h01 > 10) itemClass += ' heavy';
-        else if (h01 > 0) itemClass += ' raining';
+        if (intensity.level >= 3) itemClass += ' heavy';
+        else if (intensity.level > 0) itemClass += ' raining';
 
+        const info = FloodAnalytics.intensityInfo(intensity.level);
         return `
-            <div class="${itemClass}" onclick="focusStation('${station.name}')">
+            <div class="${itemClass}" onclick="focusStation('${station.name}')" title="${info.label}${intensity.landslideRisk ? ' · landslide risk' : ''}">
                 <span class="station-name">${station.name}</span>
                 <span>
+                    ${intensity.landslideRisk ? '<span class="station-flag">\u26A0</span>' : ''}
                     <span class="station-value">${h01.toFixed(1)}mm</span>
                     <span class="station-trend ${trendClass}">${trendIcon}</span>
                 </span>
@@ -759,109 +1279,706 @@ function renderStationList(sortBy = 'rain') {
 // --- Map ---
 
 function updateMapMarkers() {
-    state.markers.stations.forEach(m => m.remove());
-    state.markers.waze.forEach(m => m.remove());
-    state.markers.polygons.forEach(m => m.remove());
-    state.markers = { stations: [], waze: [], polygons: [] };
+    const rainWindow = state.rainField.window;
+    state.polygonRain = FloodAnalytics.samplePolygonRain(state.stations, state.polygons, rainWindow);
 
     // All polygons — faint for normal, bright for affected
-    state.polygons.forEach(polygon => {
-        if (!polygon.geometry || polygon.geometry.length === 0) return;
-
-        const coords = polygon.geometry[0].map(coord => [coord[1], coord[0]]);
-        const isAffected = polygon.status_code > 0;
-        const status = STATUS_MAP[polygon.status_code] || STATUS_MAP[0];
-
-        const poly = L.polygon(coords, {
-            color: isAffected ? status.color : '#334155',
-            weight: isAffected ? 2 : 0.5,
-            fillColor: isAffected ? status.color : 'transparent',
-            fillOpacity: isAffected ? 0.3 : 0
-        }).addTo(state.map);
+    const polygons = state.layers.polygons
+        ? state.polygons.filter(p =>
+            p.geometry?.length > 0 && (p.status_code === 0 || state.layers.statuses[p.status_code]))
+        : [];
+    syncLayers(state.markers.polygons, polygons, p => p._id, createPolygonLayer, updatePolygonLayer);
+
+    // Hotspot bubbles stand in for their reports until zoomed in
+    const hotspots = state.layers.waze && state.layers.hotspots && state.map.getZoom() < HOTSPOT_EXPAND_ZOOM
+        ? state.hotspots
+        : [];
+    syncLayers(state.markers.hotspots, hotspots, h => h.id, createHotspotMarker, updateHotspotMarker);
+    const clustered = new Set(hotspots.flatMap(h => h.uuids));
+
+    // Waze flood markers — prominent
+    const alerts = state.layers.waze
+        ? state.wazeAlerts.filter(a => a.location && !clustered.has(a.uuid) && isWazeAlertVisible(a))
+        : [];
+    syncLayers(state.markers.waze, alerts, a => a.uuid, createWazeMarker, updateWazeMarker);
 
-        if (isAffected) {
-            poly.bindPopup(`
-                <div class="popup-title">${polygon.title || polygon.main_neighborhood}</div>
-                <div class="popup-row"><span class="popup-label">Status:</span> <span style="color: ${status.color}">${polygon.status_name}</span></div>
-                <div class="popup-row"><span class="popup-label">Rain 15min:</span> ${polygon.acumulado_chuva_15_min_1 || 0} mm</div>
-                <div class="popup-row"><span class="popup-label">Waze floods:</span> ${polygon.waze_flood_count || 0}</div>
-                <div class="popup-row"><span class="popup-label">Area:</span> ${polygon.area_km2?.toFixed(2) || 0} km2</div>
-            `);
+    // Station markers — subdued
+    const stations = state.layers.stations ? state.stations.filter(s => s.location) : [];
+    syncLayers(state.markers.stations, stations, s => s.name, createStationMarker, updateStationMarker);
+
+    const hillsides = state.mapMode === 'landslide' && state.landslide ? state.landslide.hillsides : [];
+    syncLayers(state.markers.hillsides, hillsides, h => h.name, createHillsideMarker, updateHillsideMarker);
+}
+
+// Diffs map layers by id: existing layers are updated in place (open popups stay open),
+// new ones fade in and vanished ones fade out.
+function syncLayers(layers, items, getKey, create, update) {
+    const seen = new Set();
+    items.forEach(item => {
+        const key = getKey(item);
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+
+        const existing = layers.get(key);
+        if (existing) {
+            update(existing, item);
+            return;
         }
+        const layer = create(item).addTo(state.map);
+        update(layer, item);
+        animateLayer(layer, 'map-enter');
+        layers.set(key, layer);
+    });
 
-        state.markers.polygons.push(poly);
+    layers.forEach((layer, key) => {
+        if (seen.has(key)) return;
+        layers.delete(key);
+        animateLayer(layer, 'map-exit');
+        setTimeout(() => layer.remove(), MAP_EXIT_MS);
     });
+}
 
-    // Waze flood markers — prominent
-    state.wazeAlerts.forEach(alert => {
-        if (!alert.location) return;
-
-        const marker = L.marker([alert.location.y, alert.location.x], {
-            icon: L.divIcon({
-                className: 'waze-marker',
-                html: '<div style="font-size: 18px; filter: drop-shadow(0 0 4px rgba(220,38,38,0.6));">🌊</div>',
-                iconSize: [22, 22],
-                iconAnchor: [11, 11]
-            })
-        }).addTo(state.map);
+const MAP_EXIT_MS = 300;
+
+function animateLayer(layer, className) {
+    const el = layer.getElement?.();
+    if (!el) return;
+    el.classList.remove('map-enter', 'map-exit');
+    // Force a reflow so re-adding the class restarts the animation
+    void el.getBoundingClientRect();
+    el.classList.add(className);
+}
+
+function setPopup(layer, html) {
+    if (!html) {
+        if (layer.getPopup()) layer.unbindPopup();
+        return;
+    }
+    if (!layer.getPopup()) {
+        layer.bindPopup(html);
+    } else if (layer.getPopup().getContent() !== html) {
+        layer.setPopupContent(html);
+    }
+}
+
+const ESCALATION_COLOR = '#f97316';
+
+// Polygons the nowcast expects to escalate get a dashed outline
+function polygonStyle(polygon) {
+    if (state.mapMode === 'landslide') return landslidePolygonStyle(polygon);
+    const isAffected = polygon.status_code > 0;
+    const status = STATUS_MAP[polygon.status_code] || STATUS_MAP[0];
+    const escalation = state.nowcast.polygons.get(polygon._id)?.escalation;
+    return {
+        color: isAffected ? status.color : escalation ? ESCALATION_COLOR : '#334155',
+        weight: escalation ? 2.5 : isAffected ? 2 : 0.5,
+        dashArray: escalation ? '6 4' : null,
+        fillColor: isAffected ? status.color : 'transparent',
+        fillOpacity: isAffected ? 0.3 : 0
+    };
+}
+
+function landslidePolygonStyle(polygon) {
+    const index = state.landslide?.polygons[polygon._id];
+    const level = index === undefined ? 0 : FloodAnalytics.landslideLevel(index);
+    const info = FloodAnalytics.landslideInfo(level);
+    return {
+        color: level > 0 ? info.color : '#334155',
+        weight: level > 0 ? 1.5 : 0.5,
+        dashArray: null,
+        fillColor: level > 0 ? info.color : 'transparent',
+        fillOpacity: level > 0 ? 0.1 + 0.1 * level : 0
+    };
+}
+
+// Every ring, like lib/geometry.ts: Leaflet fills with the even-odd rule too, so nested
+// rings draw as holes and disjoint ones as extra parts
+function polygonLatLngs(polygon) {
+    return polygon.geometry.map(ring => ring.map(coord => [coord[1], coord[0]]));
+}
+
+// Cheap change check: ring sizes and endpoints instead of comparing every vertex
+function geometryKey(polygon) {
+    return polygon.geometry.map(ring => `${ring.length}:${ring[0]}:${ring[ring.length - 1]}`).join('|');
+}
+
+function createPolygonLayer(polygon) {
+    const layer = L.polygon(polygonLatLngs(polygon), polygonStyle(polygon));
+    layer.geometryKey = geometryKey(polygon);
+    return layer;
+}
+
+function updatePolygonLayer(layer, polygon) {
+    const key = geometryKey(polygon);
+    if (layer.geometryKey !== key) {
+        layer.setLatLngs(polygonLatLngs(polygon));
+        layer.geometryKey = key;
+    }
+    const style = polygonStyle(polygon);
+    if (layer.options.color !== style.color || layer.options.weight !== style.weight ||
+        layer.options.dashArray !== style.dashArray) {
+        layer.setStyle(style);
+    }
 
-        const time = new Date(alert.pubMillis).toLocaleString('pt-BR');
-        marker.bindPopup(`
-            <div class="popup-title">Flood Alert</div>
-            <div class="popup-row"><span class="popup-label">Street:</span> ${alert.street || 'Unknown'}</div>
-            <div class="popup-row"><span class="popup-label">City:</span> ${alert.city || 'Rio de Janeiro'}</div>
-            <div class="popup-row"><span class="popup-label">Time:</span> ${time}</div>
-            <div class="popup-row"><span class="popup-label">Reliability:</span> ${alert.reliability}/10</div>
-        `);
+    const nowcast = state.nowcast.polygons.get(polygon._id);
+    const landslideIndex = state.landslide?.polygons[polygon._id];
+    const landslideLevel = landslideIndex === undefined ? 0 : FloodAnalytics.landslideLevel(landslideIndex);
+    const showLandslide = state.mapMode === 'landslide' && landslideLevel > 0;
+    if (polygon.status_code === 0 && !nowcast?.escalation && !showLandslide) {
+        setPopup(layer, null);
+        return;
+    }
+    const projection = nowcast ? formatNowcast(nowcast) : null;
+    const status = STATUS_MAP[polygon.status_code] || STATUS_MAP[0];
+    const rainWindow = state.rainField.window;
+    const counts = state.polygonCounts[polygon._id] || { alerts: 0, stations: 0 };
+    const driving = FloodAnalytics.drivingSensors(polygon).map(c => FloodAnalytics.SENSOR_LABELS[c]);
+    const sensorRows = FloodAnalytics.polygonSensors(polygon)
+        .filter(s => s.count > 0 || s.status > 0)
+        .map(s => {
+            const sensorStatus = STATUS_MAP[s.status] || STATUS_MAP[0];
+            const badge = s.status > 0 ? ` <span style="color: ${sensorStatus.color}">${sensorStatus.name}</span>` : '';
+            return `<div class="popup-row popup-sensor"><span class="popup-label">${FloodAnalytics.SENSOR_LABELS[s.channel]}:</span> <span>${s.count}${badge}</span></div>`;
+        })
+        .join('');
+    setPopup(layer, `
+        <div class="popup-title">${polygon.title || polygon.main_neighborhood}</div>
+        <div class="popup-row"><span class="popup-label">Status:</span> <span style="color: ${status.color}">${polygon.status_name}</span></div>
+        <div class="popup-row"><span class="popup-label">Rain 15min:</span> ${polygon.acumulado_chuva_15_min_1 || 0} mm</div>
+        <div class="popup-row"><span class="popup-label">Est. rain ${RAIN_WINDOW_LABELS[rainWindow]}:</span> ${state.polygonRain[polygon._id] ?? '-'} mm</div>
+        ${driving.length ? `<div class="popup-row"><span class="popup-label">Raised by:</span> ${driving.join(', ')}</div>` : ''}
+        ${sensorRows || '<div class="popup-row"><span class="popup-label">Sensors:</span> no reports</div>'}
+        <div class="popup-row"><span class="popup-label">Reports inside:</span> ${counts.alerts} · <span class="popup-label">Stations:</span> ${counts.stations}</div>
+        ${projection ? `
+        <div class="popup-row"><span class="popup-label">Next 15/30/60 min:</span> ${projection.rain}</div>
+        <div class="popup-row"><span class="popup-label">Confidence:</span> ${projection.confidence}</div>` : ''}
+        ${nowcast?.escalation ? `<div class="popup-row" style="color: ${ESCALATION_COLOR}">Likely to escalate</div>` : ''}
+        ${landslideIndex !== undefined ? `<div class="popup-row"><span class="popup-label">Landslide risk:</span> <span style="color: ${FloodAnalytics.landslideInfo(landslideLevel).color}">${FloodAnalytics.landslideInfo(landslideLevel).label} (${landslideIndex.toFixed(2)})</span></div>` : ''}
+        <div class="popup-row"><span class="popup-label">Area:</span> ${polygon.area_km2?.toFixed(2) || 0} km2</div>
+    `);
+}
 
-        state.markers.waze.push(marker);
+function wazeIcon(isNew) {
+    return L.divIcon({
+        className: 'waze-marker',
+        html: `<div class="${isNew ? 'waze-new' : ''}" style="font-size: 18px; filter: drop-shadow(0 0 4px rgba(220,38,38,0.6));">🌊</div>`,
+        iconSize: [22, 22],
+        iconAnchor: [11, 11]
     });
+}
 
-    // Station markers — subdued
-    state.stations.forEach(station => {
-        if (!station.location) return;
+function createWazeMarker(alert) {
+    const isNew = isNewAlert(alert);
+    const marker = L.marker([alert.location.y, alert.location.x], { icon: wazeIcon(isNew) });
+    marker.isNew = isNew;
+    return marker;
+}
 
-        const h01 = station.data?.h01 || 0;
-        let color = '#475569';
-        let size = 4;
-
-        if (h01 > 20) { color = '#dc2626'; size = 8; }
-        else if (h01 > 10) { color = '#ea580c'; size = 7; }
-        else if (h01 > 5) { color = '#eab308'; size = 6; }
-        else if (h01 > 0) { color = '#3b82f6'; size = 5; }
-
-        const marker = L.circleMarker([station.location[0], station.location[1]], {
-            radius: size,
-            fillColor: color,
-            color: 'rgba(255,255,255,0.3)',
-            weight: 1,
-            fillOpacity: 0.6
-        }).addTo(state.map);
+function updateWazeMarker(marker, alert) {
+    const latLng = marker.getLatLng();
+    if (latLng.lat !== alert.location.y || latLng.lng !== alert.location.x) {
+        marker.setLatLng([alert.location.y, alert.location.x]);
+    }
+    const isNew = isNewAlert(alert);
+    if (marker.isNew !== isNew) {
+        marker.setIcon(wazeIcon(isNew));
+        marker.isNew = isNew;
+    }
 
-        marker.bindPopup(`
-            <div class="popup-title">${station.name}</div>
-            <div class="popup-row"><span class="popup-label">5 min:</span> ${station.data?.m05 || 0} mm</div>
-            <div class="popup-row"><span class="popup-label">15 min:</span> ${station.data?.m15 || 0} mm</div>
-            <div class="popup-row"><span class="popup-label">1 hour:</span> ${station.data?.h01 || 0} mm</div>
-            <div class="popup-row"><span class="popup-label">3 hours:</span> ${station.data?.h03 || 0} mm</div>
-            <div class="popup-row"><span class="popup-label">24 hours:</span> ${station.data?.h24 || 0} mm</div>
-        `);
+    const time = new Date(alert.pubMillis).toLocaleString('pt-BR');
+    const entry = state.alertLifecycle.entries.get(alert.uuid);
+    const activeFor = entry ? formatDuration(currentTime() - entry.firstSeen) : '-';
+    setPopup(marker, `
+        <div class="popup-title">${isNew ? 'New ' : ''}Flood Alert</div>
+        <div class="popup-row"><span class="popup-label">Street:</span> ${alert.street || 'Unknown'}</div>
+        <div class="popup-row"><span class="popup-label">City:</span> ${alert.city || 'Rio de Janeiro'}</div>
+        <div class="popup-row"><span class="popup-label">Time:</span> ${time}</div>
+        <div class="popup-row"><span class="popup-label">Active for:</span> ${activeFor}</div>
+        <div class="popup-row"><span class="popup-label">Reliability:</span> ${alert.reliability}/10</div>
+    `);
+}
 
-        state.markers.stations.push(marker);
+function hotspotIcon(count) {
+    const size = Math.round(Math.min(64, 22 + 6 * Math.sqrt(count)));
+    return L.divIcon({
+        className: 'hotspot-marker',
+        html: `<div class="hotspot-bubble" style="width: ${size}px; height: ${size}px;">${count}</div>`,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
     });
 }
 
+// Clicking a bubble zooms to its reports, which expands it into individual markers
+function createHotspotMarker(hotspot) {
+    const marker = L.marker([hotspot.lat, hotspot.lng], { icon: hotspotIcon(hotspot.count) });
+    marker.count = hotspot.count;
+    marker.on('click', () => {
+        const uuids = new Set(marker.hotspot.uuids);
+        const points = state.wazeAlerts
+            .filter(a => uuids.has(a.uuid))
+            .map(a => [a.location.y, a.location.x]);
+        if (points.length > 0) {
+            state.map.fitBounds(points, { padding: [40, 40], maxZoom: HOTSPOT_EXPAND_ZOOM + 1 });
+        }
+    });
+    return marker;
+}
+
+function updateHotspotMarker(marker, hotspot) {
+    marker.hotspot = hotspot;
+    const latLng = marker.getLatLng();
+    if (latLng.lat !== hotspot.lat || latLng.lng !== hotspot.lng) {
+        marker.setLatLng([hotspot.lat, hotspot.lng]);
+    }
+    if (marker.count !== hotspot.count) {
+        marker.setIcon(hotspotIcon(hotspot.count));
+        marker.count = hotspot.count;
+    }
+
+    const streets = hotspot.streets.slice(0, 4).join(', ') || 'Unknown';
+    const more = hotspot.streets.length > 4 ? ` +${hotspot.streets.length - 4}` : '';
+    const html = `
+        <div class="popup-title">Flood Hotspot · ${hotspot.count} reports</div>
+        <div class="popup-row"><span class="popup-label">Streets:</span> ${streets}${more}</div>
+        <div class="popup-row"><span class="popup-label">Area:</span> ${hotspot.polygon?.title || '-'}</div>
+        <div class="popup-row"><span class="popup-label">Mean reliability:</span> ${hotspot.meanReliability}/10</div>
+    `;
+    if (!marker.getTooltip()) {
+        marker.bindTooltip(html);
+    } else if (marker.getTooltip().getContent() !== html) {
+        marker.setTooltipContent(html);
+    }
+}
+
+function createStationMarker(station) {
+    return L.circleMarker([station.location[0], station.location[1]], {
+        color: 'rgba(255,255,255,0.3)',
+        weight: 1,
+        fillOpacity: 0.6
+    });
+}
+
+function updateStationMarker(marker, station) {
+    const intensity = FloodAnalytics.classifyStation(station);
+    const info = FloodAnalytics.intensityInfo(intensity.level);
+    const landslide = FloodAnalytics.stationLandslideRisk(station);
+    const landslideInfo = FloodAnalytics.landslideInfo(landslide.level);
+    const fillColor = state.mapMode === 'landslide' ? landslideInfo.color : info.color;
+    const size = INTENSITY_MARKER_SIZES[intensity.level];
+    const ring = intensity.landslideRisk
+        ? { color: LANDSLIDE_COLOR, weight: 2 }
+        : { color: 'rgba(255,255,255,0.3)', weight: 1 };
+    if (marker.options.fillColor !== fillColor || marker.options.color !== ring.color) {
+        marker.setStyle({ fillColor, ...ring });
+    }
+    if (marker.getRadius() !== size) marker.setRadius(size);
+    const windowLabel = w => FloodAnalytics.intensityInfo(intensity.windows[w]).label;
+
+    const nowcast = state.nowcast.stations.get(station.name);
+    const projection = nowcast ? formatNowcast(nowcast) : null;
+
+    setPopup(marker, `
+        <div class="popup-title">${station.name}</div>
+        <div class="popup-row"><span class="popup-label">Intensity:</span> <span style="color: ${info.color}">${info.label}</span></div>
+        ${intensity.landslideRisk ? `<div class="popup-row" style="color: ${LANDSLIDE_COLOR}">Landslide risk: rain on saturated soil</div>` : ''}
+        <div class="popup-row"><span class="popup-label">Landslide index:</span> <span style="color: ${landslideInfo.color}">${landslideInfo.label} (${landslide.index.toFixed(2)})</span></div>
+        <div class="popup-row"><span class="popup-label">5 min:</span> ${station.data?.m05 || 0} mm</div>
+        <div class="popup-row"><span class="popup-label">15 min:</span> ${station.data?.m15 || 0} mm · ${windowLabel('m15')}</div>
+        <div class="popup-row"><span class="popup-label">1 hour:</span> ${station.data?.h01 || 0} mm · ${windowLabel('h01')}</div>
+        <div class="popup-row"><span class="popup-label">3 hours:</span> ${station.data?.h03 || 0} mm</div>
+        <div class="popup-row"><span class="popup-label">24 hours:</span> ${station.data?.h24 || 0} mm · ${windowLabel('h24')}</div>
+        <div class="popup-row"><span class="popup-label">96 hours:</span> ${station.data?.h96 || 0} mm · ${windowLabel('h96')}</div>
+        ${projection ? `
+        <div class="popup-row"><span class="popup-label">Next 15/30/60 min:</span> ${projection.rain}</div>
+        <div class="popup-row"><span class="popup-label">Confidence:</span> ${projection.confidence}</div>` : ''}
+    `);
+}
+
+function createHillsideMarker(area) {
+    return L.circleMarker([area.location[0], area.location[1]], {
+        radius: 11,
+        weight: 2,
+        dashArray: '3 3',
+        fillOpacity: 0.25
+    });
+}
+
+function updateHillsideMarker(marker, area) {
+    const info = FloodAnalytics.landslideInfo(area.level);
+    if (marker.options.color !== info.color) marker.setStyle({ color: info.color, fillColor: info.color });
+    const html = `<strong>${area.name}</strong><br>Landslide risk: ${info.label} (${area.index.toFixed(2)})`;
+    if (!marker.getTooltip()) {
+        marker.bindTooltip(html);
+    } else if (marker.getTooltip().getContent() !== html) {
+        marker.setTooltipContent(html);
+    }
+}
+
+// --- Replay ---
+
+const REPLAY_STEP_MS = 2000;
+
+function setupReplayControls() {
+    document.getElementById('replayBtn').addEventListener('click', openReplayBar);
+    document.getElementById('replayExit').addEventListener('click', exitReplay);
+    document.getElementById('replayEvent').addEventListener('change', (e) => {
+        if (e.target.value) startReplay(e.target.value);
+    });
+    document.getElementById('replayPlay').addEventListener('click', toggleReplayPlay);
+    document.getElementById('replayPrev').addEventListener('click', () => stepReplay(-1));
+    document.getElementById('replayNext').addEventListener('click', () => stepReplay(1));
+    document.getElementById('replaySlider').addEventListener('input', (e) => {
+        pauseReplay();
+        showReplayStep(parseInt(e.target.value)).catch(onReplayError);
+    });
+    document.getElementById('replaySpeed').addEventListener('change', (e) => {
+        state.replay.speed = parseFloat(e.target.value);
+    });
+}
+
+async function openReplayBar() {
+    document.getElementById('replayBar').classList.remove('hidden');
+    const select = document.getElementById('replayEvent');
+    try {
+        const res = await fetch('/api/events?limit=50');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const events = await res.json();
+        select.innerHTML = '<option value="">Select event...</option>' + events.map(ev => {
+            const start = new Date(ev.started_at).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+            const label = FloodAnalytics.severityInfo(ev.peak_severity).label;
+            return `<option value="${ev.id}">${start} — ${label}${ev.ended_at ? '' : ' (ongoing)'}</option>`;
+        }).join('');
+    } catch (err) {
+        console.warn('Could not load events:', err);
+        showError('Could not load events');
+    }
+}
+
+async function startReplay(eventId) {
+    try {
+        showLoading();
+        const res = await fetch(`/api/events/${eventId}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const event = await res.json();
+        if (!event.snapshots?.length) throw new Error('Event has no snapshots');
+
+        const first = event.snapshots[0].captured_at;
+        const last = event.snapshots[event.snapshots.length - 1].captured_at;
+        const notableEvents = await fetchNotableEvents(`&from=${encodeURIComponent(first)}&to=${encodeURIComponent(last)}`)
+            .catch(() => []);
+
+        pauseReplay();
+        if (state.intervalId) clearInterval(state.intervalId);
+        state.intervalId = null;
+
+        state.replay.active = true;
+        state.replay.snapshots = event.snapshots;
+        state.replay.notableEvents = notableEvents;
+        state.replay.cache.clear();
+        resetAlertLifecycle();
+
+        const slider = document.getElementById('replaySlider');
+        slider.max = event.snapshots.length - 1;
+        slider.value = 0;
+        document.getElementById('statusDot').style.background = '#a855f7';
+
+        await showReplayStep(0);
+    } catch (err) {
+        console.error('Could not start replay:', err);
+        showError('Could not load event for replay');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function fetchSnapshot(id) {
+    const cache = state.replay.cache;
+    if (!cache.has(id)) {
+        cache.set(id, fetchWithTimeout(`/api/snapshots/${id}`, 30000).catch(err => {
+            cache.delete(id);
+            throw err;
+        }));
+    }
+    return cache.get(id);
+}
+
+async function showReplayStep(index) {
+    const { snapshots } = state.replay;
+    if (index < 0 || index >= snapshots.length) return;
+    state.replay.index = index;
+
+    const snapshot = await fetchSnapshot(snapshots[index].id);
+    // The user may have moved on while this snapshot was loading
+    if (!state.replay.active || state.replay.index !== index) return;
+
+    // History first: applyPayloads reads the replay clock from its last point
+    state.history = snapshots.slice(0, index + 1).map(historyPointFromRow);
+    const raw = snapshot.raw || {};
+    applyPayloads(raw.rain, raw.polygons, raw.waze);
+    // Replays show what the cron stored, under the rules of its time
+    state.severity = {
+        severity: snapshot.severity,
+        raw: snapshot.severity_raw ?? snapshot.severity,
+        condition: snapshot.severity_condition ?? null,
+        ruleVersion: snapshot.rule_version ?? 0
+    };
+    state.hotspots = FloodAnalytics.clusterFloodAlerts(state.wazeAlerts, state.polygons, state.layers.hotspotRadius);
+    state.regions = computeLocalRegions();
+    setNowcast(FloodAnalytics.buildNowcast(state.stations, state.polygons));
+
+    const now = new Date(snapshot.captured_at);
+    state.notableEvents = state.replay.notableEvents.filter(event => event.timestamp <= now);
+
+    updateUI();
+
+    const time = new Date(snapshot.captured_at).toLocaleString('pt-BR');
+    document.getElementById('replaySlider').value = index;
+    document.getElementById('replayTime').textContent = `${index + 1}/${snapshots.length} · ${time}`;
+    document.getElementById('lastUpdate').textContent = `Replay: ${time}`;
+
+    // Warm the next snapshot so playback does not stall on the download
+    if (index + 1 < snapshots.length) fetchSnapshot(snapshots[index + 1].id).catch(() => {});
+}
+
+function stepReplay(delta) {
+    if (!state.replay.active) return;
+    pauseReplay();
+    showReplayStep(state.replay.index + delta).catch(onReplayError);
+}
+
+function toggleReplayPlay() {
+    if (!state.replay.active) return;
+    if (state.replay.playing) {
+        pauseReplay();
+        return;
+    }
+    if (state.replay.index >= state.replay.snapshots.length - 1) {
+        state.replay.index = -1;
+    }
+    state.replay.playing = true;
+    document.getElementById('replayPlay').textContent = '\u23F8';
+    scheduleReplayTick();
+}
+
+function scheduleReplayTick() {
+    state.replay.timerId = setTimeout(async () => {
+        if (!state.replay.playing) return;
+        const next = state.replay.index + 1;
+        if (next >= state.replay.snapshots.length) {
+            pauseReplay();
+            return;
+        }
+        try {
+            await showReplayStep(next);
+        } catch (err) {
+            onReplayError(err);
+            return;
+        }
+        if (state.replay.playing) scheduleReplayTick();
+    }, REPLAY_STEP_MS / state.replay.speed);
+}
+
+function onReplayError(err) {
+    console.error('Replay step failed:', err);
+    showError('Could not load snapshot');
+    pauseReplay();
+}
+
+function pauseReplay() {
+    state.replay.playing = false;
+    if (state.replay.timerId) clearTimeout(state.replay.timerId);
+    state.replay.timerId = null;
+    document.getElementById('replayPlay').textContent = '\u25B6';
+}
+
+async function exitReplay() {
+    pauseReplay();
+    document.getElementById('replayBar').classList.add('hidden');
+    document.getElementById('replayEvent').value = '';
+    if (!state.replay.active) return;
+
+    state.replay.active = false;
+    state.replay.snapshots = [];
+    state.replay.notableEvents = [];
+    state.replay.cache.clear();
+    state.history = [];
+    resetAlertLifecycle();
+
+    await loadHistoricalData();
+    await refreshData();
+    startAutoRefresh();
+}
+
+function isWazeAlertVisible(alert) {
+    const { minReliability, minConfidence, maxAgeHours } = state.layers;
+    if ((alert.reliability || 0) < minReliability) return false;
+    if ((alert.confidence || 0) < minConfidence) return false;
+    if (maxAgeHours > 0 && currentTime() - alert.pubMillis > maxAgeHours * 60 * 60 * 1000) {
+        return false;
+    }
+    return true;
+}
+
+// --- Layers & Legend ---
+
+function setupLayerControls() {
+    const toggles = { layerPolygons: 'polygons', layerWaze: 'waze', layerStations: 'stations', layerHotspots: 'hotspots' };
+    Object.entries(toggles).forEach(([id, key]) => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            state.layers[key] = e.target.checked;
+            updateMapMarkers();
+        });
+    });
+
+    document.querySelectorAll('.status-filter').forEach(input => {
+        input.addEventListener('change', (e) => {
+            state.layers.statuses[e.target.dataset.status] = e.target.checked;
+            updateMapMarkers();
+        });
+    });
+
+    const selects = { wazeMinReliability: 'minReliability', wazeMinConfidence: 'minConfidence', wazeMaxAge: 'maxAgeHours' };
+    Object.entries(selects).forEach(([id, key]) => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            state.layers[key] = parseFloat(e.target.value);
+            updateMapMarkers();
+        });
+    });
+
+    document.getElementById('regionSort').addEventListener('change', async (e) => {
+        state.regionSort = e.target.value;
+        if (state.replay.active) {
+            state.regions = computeLocalRegions();
+        } else {
+            try {
+                state.regions = await fetchRegions();
+            } catch (err) {
+                console.warn('Could not load regions:', err);
+            }
+        }
+        renderRegionList();
+    });
+
+    document.getElementById('hotspotRadius').addEventListener('change', (e) => {
+        state.layers.hotspotRadius = parseInt(e.target.value);
+        refreshHotspots();
+    });
+
+    // Bubbles expand into individual reports past HOTSPOT_EXPAND_ZOOM
+    state.map.on('zoomend', updateMapMarkers);
+}
+
+function renderLegend() {
+    const row = (color, label, round) => `
+        <div class="legend-row">
+            <span class="legend-swatch${round ? ' round' : ''}" style="background: ${color}"></span>
+            <span>${label}</span>
+        </div>
+    `;
+    const stationRows = [...FloodAnalytics.INTENSITY_LEVELS].reverse().map(l => row(l.color, l.label, true)).join('') + `
+        <div class="legend-row">
+            <span class="legend-swatch round" style="border: 2px solid ${LANDSLIDE_COLOR}; background: transparent"></span>
+            <span>Rain on saturated soil</span>
+        </div>
+    `;
+    const statusRows = Object.values(STATUS_MAP).map(s => row(s.color, s.name, false)).join('');
+    const landslideLevels = [...FloodAnalytics.LANDSLIDE_LEVELS].reverse();
+    const wazeRows = `
+        <div class="legend-row"><span>🌊</span><span>Flood report</span></div>
+        <div class="legend-row"><span class="waze-new">🌊</span><span>New (&lt; ${NEW_ALERT_MS / 60000} min)</span></div>
+        <div class="legend-row"><span class="hotspot-bubble legend-bubble">n</span><span>Hotspot (n reports)</span></div>
+    `;
+
+    if (state.mapMode === 'landslide') {
+        document.getElementById('mapLegend').innerHTML = `
+            <div class="legend-title">Stations (landslide index)</div>
+            ${landslideLevels.map(l => row(l.color, l.label, true)).join('')}
+            <div class="legend-title">Polygons (interpolated)</div>
+            ${landslideLevels.map(l => row(l.color, l.label, false)).join('')}
+            <div class="legend-row">
+                <span class="legend-swatch round" style="border: 2px dashed #94a3b8; background: transparent"></span>
+                <span>Hillside community</span>
+            </div>
+            <div class="legend-title">Waze</div>
+            ${wazeRows}
+        `;
+        return;
+    }
+
+    document.getElementById('mapLegend').innerHTML = `
+        <div class="legend-title">Stations (rain intensity)</div>
+        ${stationRows}
+        <div class="legend-title">Polygon status</div>
+        ${statusRows}
+        <div class="legend-row">
+            <span class="legend-swatch" style="border: 2px dashed ${ESCALATION_COLOR}; background: transparent"></span>
+            <span>Likely to escalate (nowcast)</span>
+        </div>
+        <div class="legend-title">Waze</div>
+        ${wazeRows}
+    `;
+}
+
+// --- Rain Field ---
+
+const RAIN_WINDOW_LABELS = { m15: '15min', h01: '1h', h03: '3h', h24: '24h', h96: '96h' };
+
+// The field's windows mapped to the intensity bands they are classified with. The COR
+// criteria have no 3h bands, so the 3h field reads against the hourly ones.
+const RAIN_FIELD_BANDS = { m15: 'm15', h01: 'h01', h03: 'h01', h24: 'h24' };
+// Overlay alpha per intensity level; dry cells stay transparent
+const RAIN_FIELD_ALPHA = [0, 120, 160, 180, 200];
+
+// Same classes and colors as the station markers and the legend
+function rainFieldColor(value, rainWindow) {
+    const level = FloodAnalytics.classifyRain(RAIN_FIELD_BANDS[rainWindow], value);
+    if (level === 0) return [0, 0, 0, 0];
+    const hex = FloodAnalytics.intensityInfo(level).color;
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).concat(RAIN_FIELD_ALPHA[level]);
+}
+
+function updateRainField() {
+    const field = state.rainField.enabled
+        ? FloodAnalytics.interpolateRainField(state.stations, state.rainField.window)
+        : null;
+
+    if (!field) {
+        if (state.rainField.overlay) state.rainField.overlay.remove();
+        state.rainField.overlay = null;
+        return;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = field.cols;
+    canvas.height = field.rows;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(field.cols, field.rows);
+    field.values.forEach((value, i) => {
+        image.data.set(rainFieldColor(value, field.window), i * 4);
+    });
+    ctx.putImageData(image, 0, 0);
+
+    const bounds = [[field.bounds.south, field.bounds.west], [field.bounds.north, field.bounds.east]];
+    if (state.rainField.overlay) {
+        state.rainField.overlay.setUrl(canvas.toDataURL());
+        state.rainField.overlay.setBounds(L.latLngBounds(bounds));
+    } else {
+        state.rainField.overlay = L.imageOverlay(canvas.toDataURL(), bounds, {
+            pane: 'rainField',
+            opacity: 0.7,
+            className: 'rain-field'
+        }).addTo(state.map);
+    }
+}
+
 // --- Navigation ---
 
 function focusStation(name) {
+    loadStationHistory(name);
     const station = state.stations.find(s => s.name === name);
     if (station && station.location) {
         state.map.setView([station.location[0], station.location[1]], 14);
-        state.markers.stations.forEach(marker => {
-            if (marker.getPopup()?.getContent()?.includes(name)) {
-                marker.openPopup();
-            }
-        });
+        state.markers.stations.get(name)?.openPopup();
     }
 }
 
@@ -869,11 +1986,7 @@ function focusPolygon(id) {
     const polygon = state.polygons.find(p => p._id === id);
     if (polygon && polygon.lat_centroid && polygon.lng_centroid) {
         state.map.setView([polygon.lat_centroid, polygon.lng_centroid], 14);
-        state.markers.polygons.forEach(marker => {
-            if (marker.getPopup()?.getContent()?.includes(id)) {
-                marker.openPopup();
-            }
-        });
+        state.markers.polygons.get(id)?.openPopup();
     }
 }
 
@@ -881,12 +1994,104 @@ function focusWazeAlert(lng, lat) {
     state.map.setView([lat, lng], 16);
 }
 
+// --- Export ---
+
+const SNAPSHOT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Charts export the range they show; the map exports the snapshot window it shows (the
+// latest one live, the current step in a replay)
+function exportRange(scope) {
+    const history = state.history;
+    const last = history[history.length - 1];
+    const to = state.replay.active && last ? last.timestamp : new Date();
+    const from = scope === 'map' || history.length === 0
+        ? new Date(to.getTime() - (scope === 'map' ? SNAPSHOT_INTERVAL_MS : 24 * 60 * 60 * 1000))
+        : history[0].timestamp;
+    return { from: from.toISOString(), to: to.toISOString() };
+}
+
+function downloadExport(dataset, format, scope, id) {
+    const params = new URLSearchParams({ dataset, format, ...exportRange(scope) });
+    if (id) params.set('id', id);
+    const link = document.createElement('a');
+    link.href = `/api/export?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
 // --- Utilities ---
 
+function feedAgeMs(feed) {
+    return feed.fetchedAt ? Date.now() - feed.fetchedAt.getTime() : null;
+}
+
+function feedStateOf(feed) {
+    return FloodAnalytics.feedState({ ok: feed.ok, stale: !!feed.stale, ageMs: feedAgeMs(feed) });
+}
+
 function updateLastRefresh() {
     const now = new Date().toLocaleTimeString('pt-BR');
-    document.getElementById('lastUpdate').textContent = `Updated: ${now}`;
-    document.getElementById('statusDot').style.background = '#22c55e';
+    const feeds = Object.entries(state.feeds);
+    const notes = feeds.map(([name, feed]) => {
+        const ageMs = feedAgeMs(feed);
+        if (ageMs === null) return `${name} unavailable`;
+        if (feedStateOf(feed) !== 'ok') {
+            return `${name} data ${Math.max(1, Math.round(ageMs / 60000))} min old`;
+        }
+        if (feed.rejected > 0) return `${name}: ${feed.rejected} invalid records dropped`;
+        return null;
+    }).filter(Boolean);
+
+    document.getElementById('lastUpdate').textContent = notes.length > 0
+        ? `Updated: ${now} · ${notes.join(' · ')}`
+        : `Updated: ${now}`;
+
+    // The main dot shows the worst feed, the small ones each feed
+    const states = feeds.map(([, feed]) => feedStateOf(feed));
+    const dot = document.getElementById('statusDot');
+    dot.style.background = FloodAnalytics.FEED_STATE_COLORS[FloodAnalytics.worstFeedState(states)];
+    dot.title = feeds.map(([name], i) => `${name}: ${states[i]}`).join('\n');
+    document.getElementById('feedDots').innerHTML = feeds.map(([name], i) =>
+        `<span class="feed-dot" style="background: ${FloodAnalytics.FEED_STATE_COLORS[states[i]]}" title="${name}: ${states[i]}"></span>`
+    ).join('');
+}
+
+const HEALTH_ISSUE_LABELS = { stale: 'Stale', inconsistent: 'Inconsistent', spike: 'Spike' };
+
+function renderHealthPanel() {
+    const failing = state.stationHealth.failing;
+    document.getElementById('failingStationCount').textContent = failing.length;
+
+    const feedRows = state.replay.active
+        ? '<div class="event-empty">Replaying a stored snapshot</div>'
+        : Object.entries(state.feeds).map(([name, feed]) => {
+            const feedState = feedStateOf(feed);
+            const ageMs = feedAgeMs(feed);
+            const age = ageMs === null ? 'never loaded' : `${Math.max(0, Math.round(ageMs / 1000))}s ago`;
+            return `
+                <div class="health-row">
+                    <span><span class="feed-dot" style="background: ${FloodAnalytics.FEED_STATE_COLORS[feedState]}"></span> ${name}</span>
+                    <span class="health-detail">${feedState} · ${age}${feed.rejected > 0 ? ` · ${feed.rejected} dropped` : ''}</span>
+                </div>
+            `;
+        }).join('');
+
+    const stationRows = failing.length === 0
+        ? '<div class="event-empty">All stations healthy</div>'
+        : failing.map(s => `
+            <div class="health-station" title="Last reading ${new Date(s.read_at).toLocaleString('pt-BR')}">
+                <div class="region-header">
+                    <span class="station-name">${s.name}</span>
+                    <span class="health-issues">${s.issues.map(i => HEALTH_ISSUE_LABELS[i] || i).join(', ')}</span>
+                </div>
+                <div class="region-detail">${s.details.join(' · ')}</div>
+            </div>
+        `).join('');
+
+    document.getElementById('healthFeeds').innerHTML = feedRows;
+    document.getElementById('healthStations').innerHTML = stationRows;
 }
 
 function showLoading() {
@@ -0,0 +1,15 @@
+-- City-wide snapshot table written by /api/cron/snapshot. Production names it through
+-- SUPABASE_TABLE; local stacks can use this one with SUPABASE_TABLE=snapshots.
+create table if not exists snapshots (
+  id bigint generated always as identity primary key,
+  captured_at timestamptz not null default now(),
+  waze_count integer not null default 0,
+  affected_areas integer not null default 0,
+  alerts_in_areas integer not null default 0,
+  avg_rain real not null default 0,
+  max_rain real not null default 0,
+  severity smallint not null default 0,
+  raw jsonb
+);
+
+create index if not exists snapshots_captured_at_idx on snapshots (captured_at);
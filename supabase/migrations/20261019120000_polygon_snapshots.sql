@@ -0,0 +1,23 @@
+-- One row per polygon per snapshot, written by /api/cron/snapshot
+create table if not exists polygon_snapshots (
+  id bigint generated always as identity primary key,
+  snapshot_id bigint not null,
+  captured_at timestamptz not null,
+  polygon_id text not null,
+  status_code smallint not null default 0,
+  waze_flood_count integer not null default 0,
+  acumulado_chuva_15_min_1 real not null default 0,
+  acumulado_chuva_15_min_2 real not null default 0,
+  acumulado_chuva_15_min_3 real not null default 0,
+  acumulado_chuva_15_min_4 real not null default 0,
+  acumulado_chuva_15_min_5 real not null default 0,
+  alagamento_count integer not null default 0,
+  bolsao_count integer not null default 0,
+  lamina_count integer not null default 0,
+  sirene_count integer not null default 0
+);
+
+create index if not exists polygon_snapshots_polygon_time_idx
+  on polygon_snapshots (polygon_id, captured_at);
+create index if not exists polygon_snapshots_snapshot_idx
+  on polygon_snapshots (snapshot_id);
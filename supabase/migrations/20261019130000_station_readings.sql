@@ -0,0 +1,21 @@
+-- Raw rain gauge readings, one row per station per upstream read_at
+create table if not exists station_readings (
+  id bigint generated always as identity primary key,
+  name text not null,
+  read_at timestamptz not null,
+  kind text,
+  lat double precision,
+  lng double precision,
+  m05 real not null default 0,
+  m15 real not null default 0,
+  h01 real not null default 0,
+  h02 real not null default 0,
+  h03 real not null default 0,
+  h04 real not null default 0,
+  h24 real not null default 0,
+  h96 real not null default 0,
+  mes real not null default 0,
+  unique (name, read_at)
+);
+
+create index if not exists station_readings_read_at_idx on station_readings (read_at);
@@ -0,0 +1,15 @@
+-- Storm episodes: opened when the snapshot rain guard first passes, closed after a quiet period
+create table if not exists storm_events (
+  id bigint generated always as identity primary key,
+  started_at timestamptz not null,
+  ended_at timestamptz,
+  last_active_at timestamptz not null,
+  peak_severity smallint not null default 0,
+  peak_max_rain real not null default 0,
+  affected_polygons integer not null default 0,
+  polygon_ids text[] not null default '{}',
+  snapshot_ids bigint[] not null default '{}'
+);
+
+create index if not exists storm_events_started_at_idx on storm_events (started_at);
+create index if not exists storm_events_open_idx on storm_events (ended_at) where ended_at is null;
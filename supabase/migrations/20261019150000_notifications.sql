@@ -0,0 +1,27 @@
+-- Alert subscribers and their thresholds
+create table if not exists notification_subscriptions (
+  id bigint generated always as identity primary key,
+  name text not null,
+  channel text not null check (channel in ('webhook', 'email')),
+  target text not null,
+  min_severity smallint not null default 2,
+  polygon_ids text[] not null default '{}',
+  neighborhoods text[] not null default '{}',
+  notify_convergence boolean not null default true,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Delivery log; (subscription_id, dedupe_key) keeps repeated notifications from going out twice
+create table if not exists notification_deliveries (
+  id bigint generated always as identity primary key,
+  subscription_id bigint not null references notification_subscriptions (id) on delete cascade,
+  dedupe_key text not null,
+  kind text not null,
+  payload jsonb not null,
+  status text not null default 'pending',
+  error text,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz,
+  unique (subscription_id, dedupe_key)
+);
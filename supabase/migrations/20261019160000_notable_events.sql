@@ -0,0 +1,10 @@
+-- "Notable Moments" feed, computed by the snapshot cron from consecutive stored snapshots
+create table if not exists notable_events (
+  id bigint generated always as identity primary key,
+  snapshot_id bigint not null,
+  captured_at timestamptz not null,
+  message text not null,
+  severity text not null check (severity in ('critical', 'alert', 'attention', 'normal'))
+);
+
+create index if not exists notable_events_captured_at_idx on notable_events (captured_at);
@@ -0,0 +1,2 @@
+-- 1h rain interpolated from the gauges (IDW) at the polygon centroid
+alter table polygon_snapshots add column if not exists est_rain_h01 real;
@@ -0,0 +1,16 @@
+-- Waze flood reports tracked by uuid across cron runs
+create table if not exists waze_alert_lifecycle (
+  uuid text primary key,
+  street text not null default '',
+  city text not null default '',
+  lat double precision,
+  lng double precision,
+  pub_millis bigint,
+  first_seen_at timestamptz not null,
+  last_seen_at timestamptz not null,
+  cleared_at timestamptz
+);
+
+create index if not exists waze_alert_lifecycle_open_idx
+  on waze_alert_lifecycle (cleared_at) where cleared_at is null;
+create index if not exists waze_alert_lifecycle_first_seen_idx on waze_alert_lifecycle (first_seen_at);
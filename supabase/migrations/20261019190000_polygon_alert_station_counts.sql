@@ -0,0 +1,3 @@
+-- Flood reports and rain gauges located inside each polygon (lib/geometry.ts)
+alter table polygon_snapshots add column if not exists alert_count integer not null default 0;
+alter table polygon_snapshots add column if not exists station_count integer not null default 0;
@@ -0,0 +1,20 @@
+-- Rain projections issued by the snapshot cron, scored once their target time is reached
+create table if not exists nowcasts (
+  id bigint generated always as identity primary key,
+  snapshot_id bigint not null,
+  issued_at timestamptz not null,
+  target_at timestamptz not null,
+  horizon_min integer not null,
+  scope text not null check (scope in ('city', 'station', 'polygon')),
+  key text not null,
+  projected real not null,
+  confidence real not null,
+  escalation boolean not null default false,
+  status_code integer,
+  observed real,
+  escalated boolean,
+  scored_at timestamptz
+);
+
+create index if not exists nowcasts_pending_idx on nowcasts (target_at) where scored_at is null;
+create index if not exists nowcasts_scored_idx on nowcasts (scored_at) where scored_at is not null;
@@ -0,0 +1,13 @@
+-- Versioned severity rules (lib/rules.ts); the highest version is active
+create table if not exists severity_rules (
+  version bigint generated always as identity primary key,
+  rules jsonb not null,
+  note text not null default '',
+  created_at timestamptz not null default now()
+);
+
+-- Which rules and condition set each snapshot's severity; severity_raw is the level the
+-- conditions matched before hysteresis
+alter table snapshots add column if not exists rule_version integer not null default 0;
+alter table snapshots add column if not exists severity_condition text;
+alter table snapshots add column if not exists severity_raw smallint;
@@ -0,0 +1,9 @@
+-- Per-channel totals across polygons (lib/sensors.ts), keyed by channel:
+-- { "<channel>": { "count": <reports>, "active": <polygons above normal> } }
+alter table snapshots add column if not exists sensor_totals jsonb;
+
+-- Channels that were not stored per polygon yet
+alter table polygon_snapshots add column if not exists enchente_count integer not null default 0;
+alter table polygon_snapshots add column if not exists alagamento_enchente_count integer not null default 0;
+alter table polygon_snapshots add column if not exists vazamento_count integer not null default 0;
+alter table polygon_snapshots add column if not exists camera_flood_count integer not null default 0;
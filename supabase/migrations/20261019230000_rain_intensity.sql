@@ -0,0 +1,5 @@
+-- Station rain intensity classes (lib/intensity.ts): the highest class, stations per class
+-- (indexed by level) and stations flagged for landslide risk
+alter table snapshots add column if not exists rain_intensity smallint;
+alter table snapshots add column if not exists intensity_counts integer[];
+alter table snapshots add column if not exists landslide_risk_stations integer;
@@ -0,0 +1,8 @@
+-- Landslide risk index (lib/landslide.ts): the highest station index and its level, and how
+-- many stations were at high or very high
+alter table snapshots add column if not exists landslide_index real;
+alter table snapshots add column if not exists landslide_level smallint;
+alter table snapshots add column if not exists landslide_elevated_stations integer;
+
+-- Index interpolated from the gauges at each polygon centroid
+alter table polygon_snapshots add column if not exists landslide_index real;
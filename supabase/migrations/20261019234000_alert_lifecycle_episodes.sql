@@ -0,0 +1,11 @@
+-- A report that clears and later reappears starts a new episode instead of overwriting the
+-- earlier one, so rows are keyed by a surrogate id and (uuid, first_seen_at)
+alter table waze_alert_lifecycle drop constraint if exists waze_alert_lifecycle_pkey;
+alter table waze_alert_lifecycle add column if not exists id bigint generated always as identity;
+alter table waze_alert_lifecycle add primary key (id);
+alter table waze_alert_lifecycle
+  add constraint waze_alert_lifecycle_episode_key unique (uuid, first_seen_at);
+
+-- At most one open episode per report
+create unique index if not exists waze_alert_lifecycle_open_uuid_idx
+  on waze_alert_lifecycle (uuid) where cleared_at is null;
@@ -0,0 +1,2 @@
+-- Scoring writes nowcasts back with one upsert on id, which supplies the id explicitly
+alter table nowcasts alter column id set generated by default;
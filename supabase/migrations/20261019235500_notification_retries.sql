@@ -0,0 +1,7 @@
+-- Failed deliveries and pending ones abandoned mid-send are retried by later cron runs,
+-- up to a fixed number of attempts
+alter table notification_deliveries add column if not exists attempts integer not null default 1;
+alter table notification_deliveries add column if not exists claimed_at timestamptz not null default now();
+
+create index if not exists notification_deliveries_retry_idx
+  on notification_deliveries (id) where status in ('failed', 'pending');
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest'
+import {
+  RAIN_GUARD,
+  checkRainGuard,
+  computeFloodMetrics,
+  computeRainStats,
+  detectNotableEvents,
+  filterFloodAlerts,
+} from '../lib/analytics'
+import { samplePolygons, sampleStations, sampleWaze } from './fixtures'
+
+const polygons = samplePolygons()
+const stations = sampleStations()
+const waze = sampleWaze()
+const floodAlerts = filterFloodAlerts(waze.alerts)
+
+describe('computeFloodMetrics', () => {
+  it('counts flood alerts, affected areas and alerts inside them', () => {
+    expect(computeFloodMetrics(floodAlerts, polygons)).toEqual({
+      wazeFloodCount: 246,
+      affectedAreaCount: 13,
+      alertsInAreasCount: 27,
+    })
+  })
+
+  it('finds no overlap when no polygon is affected', () => {
+    const normal = polygons.map((p) => ({ ...p, status_code: 0 }))
+    expect(computeFloodMetrics(floodAlerts, normal)).toEqual({
+      wazeFloodCount: 246,
+      affectedAreaCount: 0,
+      alertsInAreasCount: 0,
+    })
+  })
+})
+
+describe('checkRainGuard', () => {
+  it('passes while the sample alerts are recent', () => {
+    expect(checkRainGuard(floodAlerts, waze.endTimeMillis)).toEqual({ passed: true, recentFloodCount: 246 })
+  })
+
+  it('fails once the alerts are older than the window', () => {
+    const later = waze.endTimeMillis + RAIN_GUARD.windowMs + 2 * 60 * 60 * 1000
+    expect(checkRainGuard(floodAlerts, later)).toEqual({ passed: false, recentFloodCount: 0 })
+  })
+})
+
+describe('computeRainStats', () => {
+  it('summarizes the 1h readings', () => {
+    const stats = computeRainStats(stations)
+    expect(stats.activeStations).toBe(28)
+    expect(stats.avgRain).toBeCloseTo(0.9576, 4)
+    expect(stats.maxRain).toBe(2.2)
+  })
+
+  it('is all zeros without stations', () => {
+    expect(computeRainStats([])).toEqual({ activeStations: 0, avgRain: 0, maxRain: 0 })
+  })
+})
+
+describe('detectNotableEvents', () => {
+  const metrics = computeFloodMetrics(floodAlerts, polygons)
+
+  it('reports convergence when everything rises together', () => {
+    const prev = { wazeFloodCount: 200, affectedAreaCount: 10, alertsInAreasCount: 20 }
+    expect(detectNotableEvents(prev, metrics)).toEqual([
+      { message: 'Flood convergence — alerts, areas, and overlap all rising', severity: 'critical' },
+    ])
+  })
+
+  it('reports an alert spike and newly affected areas separately', () => {
+    const prev = { wazeFloodCount: 240, affectedAreaCount: 11, alertsInAreasCount: 27 }
+    expect(detectNotableEvents(prev, metrics)).toEqual([
+      { message: '+6 new flood alerts reported', severity: 'alert' },
+      { message: '2 new area(s) entered affected status', severity: 'attention' },
+    ])
+  })
+
+  it('reports areas returning to normal', () => {
+    expect(detectNotableEvents(metrics, { ...metrics, affectedAreaCount: 10 })).toEqual([
+      { message: '3 area(s) returned to normal', severity: 'normal' },
+    ])
+  })
+
+  it('is quiet when nothing changed', () => {
+    expect(detectNotableEvents(metrics, metrics)).toEqual([])
+  })
+})
@@ -0,0 +1,65 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { NextRequest } from 'next/server'
+import { createFakeSupabase, type FakeSupabase } from './fakeSupabase'
+import { isAdmin } from '../lib/auth'
+import { PUT as putRules } from '../app/api/rules/route'
+import { POST as postSubscription } from '../app/api/notifications/subscriptions/route'
+
+const db = vi.hoisted(() => ({ fake: null as FakeSupabase | null }))
+vi.mock('../lib/supabase', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/supabase')>()),
+  getSupabase: () => db.fake!.client,
+}))
+
+function request(path: string, authorization?: string, body: unknown = {}, method = 'POST') {
+  return new NextRequest(`http://localhost${path}`, {
+    method,
+    headers: authorization ? { authorization } : {},
+    body: JSON.stringify(body),
+  })
+}
+
+describe('isAdmin', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('accepts only the configured bearer token', () => {
+    vi.stubEnv('ADMIN_SECRET', 's3cret')
+    expect(isAdmin(request('/', 'Bearer s3cret'))).toBe(true)
+    expect(isAdmin(request('/', 'Bearer other'))).toBe(false)
+    expect(isAdmin(request('/'))).toBe(false)
+  })
+
+  it('refuses everything while the secret is unset', () => {
+    vi.stubEnv('ADMIN_SECRET', '')
+    expect(isAdmin(request('/', 'Bearer undefined'))).toBe(false)
+    expect(isAdmin(request('/', 'Bearer '))).toBe(false)
+    delete process.env.ADMIN_SECRET
+    expect(isAdmin(request('/', 'Bearer undefined'))).toBe(false)
+  })
+})
+
+describe('admin routes without ADMIN_SECRET', () => {
+  beforeEach(() => {
+    vi.stubEnv('ADMIN_SECRET', '')
+    db.fake = createFakeSupabase()
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('refuse to rewrite the severity rules', async () => {
+    const res = await putRules(request('/api/rules', 'Bearer undefined', {}, 'PUT'))
+    expect(res.status).toBe(401)
+    expect(db.fake!.calls).toEqual([])
+  })
+
+  it('refuse to register a webhook target', async () => {
+    const body = { name: 'x', channel: 'webhook', target: 'https://example.test/hook' }
+    const res = await postSubscription(request('/api/notifications/subscriptions', 'Bearer undefined', body))
+    expect(res.status).toBe(401)
+    expect(db.fake!.calls).toEqual([])
+  })
+})
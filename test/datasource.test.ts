@@ -0,0 +1,140 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest'
+import { NextRequest } from 'next/server'
+import { createFakeSupabase, type FakeSupabase } from './fakeSupabase'
+import { readSample } from './fixtures'
+import { dataSourceMode, readFixture, resetSequence } from '../lib/datasource'
+import { clearUpstreamCache } from '../lib/upstream'
+import { GET as runCron } from '../app/api/cron/snapshot/route'
+import type { WazeResponse } from '../lib/types'
+
+const db = vi.hoisted(() => ({ fake: null as FakeSupabase | null }))
+vi.mock('../lib/supabase', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/supabase')>()),
+  getSupabase: () => db.fake!.client,
+}))
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0)
+const STEP_MS = 60 * 1000
+
+afterEach(() => {
+  vi.unstubAllEnvs()
+  resetSequence()
+  clearUpstreamCache()
+})
+
+describe('dataSourceMode', () => {
+  it('defaults to live and accepts the fixture modes', () => {
+    vi.stubEnv('DATA_SOURCE', '')
+    expect(dataSourceMode()).toBe('live')
+    vi.stubEnv('DATA_SOURCE', 'sequence')
+    expect(dataSourceMode()).toBe('sequence')
+  })
+
+  it('rejects an unknown value', () => {
+    vi.stubEnv('DATA_SOURCE', 'fixture')
+    expect(() => dataSourceMode()).toThrow('Unknown DATA_SOURCE "fixture"')
+  })
+})
+
+describe('readFixture', () => {
+  it('shifts the recorded Waze feed so it ends now', async () => {
+    vi.stubEnv('DATA_SOURCE', 'fixtures')
+    const recorded = readSample('waze.json') as WazeResponse & { startTimeMillis: number; endTimeMillis: number }
+    const offset = NOW - recorded.endTimeMillis
+
+    const feed = (await readFixture('waze', NOW)) as typeof recorded
+    expect(feed.endTimeMillis).toBe(NOW)
+    expect(feed.startTimeMillis).toBe(recorded.startTimeMillis + offset)
+    expect(feed.alerts).toHaveLength(recorded.alerts.length)
+    expect(feed.alerts.map((a) => a.pubMillis - offset)).toEqual(recorded.alerts.map((a) => a.pubMillis))
+  })
+
+  it('leaves the other feeds as recorded', async () => {
+    vi.stubEnv('DATA_SOURCE', 'fixtures')
+    expect(await readFixture('rain', NOW)).toEqual(readSample('chuvas.json'))
+  })
+
+  describe('in sequence mode', () => {
+    let root: string
+
+    beforeAll(async () => {
+      root = await mkdtemp(path.join(os.tmpdir(), 'fixture-frames-'))
+      for (const [frame, name] of [['01', 'first'], ['02', 'second'], ['03', 'third']]) {
+        await mkdir(path.join(root, frame))
+        await writeFile(path.join(root, frame, 'chuvas.json'), JSON.stringify({ objects: [], frame: name }))
+      }
+      // stray files next to the frames are ignored
+      await writeFile(path.join(root, 'README'), 'frames')
+    })
+
+    afterAll(async () => {
+      await rm(root, { recursive: true, force: true })
+    })
+
+    beforeEach(() => {
+      vi.stubEnv('DATA_SOURCE', 'sequence')
+      vi.stubEnv('DATA_FIXTURE_DIR', root)
+      vi.stubEnv('DATA_SEQUENCE_STEP_MS', String(STEP_MS))
+    })
+
+    const frameAt = async (now: number) => ((await readFixture('rain', now)) as { frame: string }).frame
+
+    it('advances one frame per step from the first read and holds on the last', async () => {
+      expect(await frameAt(NOW)).toBe('first')
+      expect(await frameAt(NOW + STEP_MS - 1)).toBe('first')
+      expect(await frameAt(NOW + STEP_MS)).toBe('second')
+      expect(await frameAt(NOW + 2 * STEP_MS)).toBe('third')
+      expect(await frameAt(NOW + 50 * STEP_MS)).toBe('third')
+    })
+
+    it('starts over after a reset', async () => {
+      await frameAt(NOW)
+      resetSequence(NOW + 10 * STEP_MS)
+      expect(await frameAt(NOW + 10 * STEP_MS)).toBe('first')
+    })
+
+    it('fails without any frame directory', async () => {
+      const empty = await mkdtemp(path.join(os.tmpdir(), 'fixture-frames-'))
+      vi.stubEnv('DATA_FIXTURE_DIR', empty)
+      await expect(readFixture('rain', NOW)).rejects.toThrow(`No fixture frames in ${empty}`)
+      await rm(empty, { recursive: true, force: true })
+    })
+  })
+})
+
+describe('snapshot cron in fixture mode', () => {
+  beforeEach(() => {
+    vi.stubEnv('DATA_SOURCE', 'fixtures')
+    vi.stubEnv('CRON_SECRET', 'cron')
+    vi.stubEnv('SUPABASE_TABLE', 'snapshots')
+    vi.stubEnv('NOTIFY_TRANSPORT', 'stub')
+    db.fake = createFakeSupabase({}, { snapshots: () => ({ captured_at: new Date().toISOString() }) })
+  })
+
+  it('stores a snapshot of the sample data', async () => {
+    const res = await runCron(
+      new NextRequest('http://localhost/api/cron/snapshot', { headers: { authorization: 'Bearer cron' } })
+    )
+    const body = await res.json()
+    expect(res.status).toBe(200)
+    expect(body).toMatchObject({
+      ok: true,
+      waze_count: 246,
+      affected_areas: 13,
+      alerts_in_areas: 27,
+      severity: 2,
+      stations: 33,
+      polygons: 344,
+    })
+
+    expect(db.fake!.table('snapshots')).toHaveLength(1)
+    expect(db.fake!.table('snapshots')[0]).toMatchObject({ severity: 2, rule_version: 0 })
+    expect(db.fake!.table('polygon_snapshots')).toHaveLength(344)
+    expect(db.fake!.table('station_readings')).toHaveLength(33)
+    expect(db.fake!.table('storm_events')).toHaveLength(1)
+    expect(db.fake!.table('nowcasts').length).toBeGreaterThan(0)
+  })
+})
@@ -0,0 +1,127 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { NextRequest } from 'next/server'
+import { createFakeSupabase, type FakeSupabase } from './fakeSupabase'
+import { EXPORT_DATASETS, exportEncoder, exportFilename, parseExportQuery } from '../lib/export'
+import { GET } from '../app/api/export/route'
+import type { Ring } from '../lib/geometry'
+
+const db = vi.hoisted(() => ({ fake: null as FakeSupabase | null }))
+vi.mock('../lib/supabase', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/supabase')>()),
+  getSupabase: () => db.fake!.client,
+}))
+
+const FROM = '2026-02-02T00:00:00.000Z'
+const TO = '2026-02-02T06:00:00.000Z'
+const range = `from=${FROM}&to=${TO}`
+
+function readings(count: number) {
+  return Array.from({ length: count }, (_, i) => ({
+    name: `Station ${i}`,
+    read_at: new Date(Date.parse(FROM) + i * 1000).toISOString(),
+    kind: 'rain',
+    lat: -22.9,
+    lng: -43.2 + i / 1e4,
+    h01: i % 3,
+  }))
+}
+
+describe('parseExportQuery', () => {
+  const parse = (query: string) => parseExportQuery(new URLSearchParams(query), Date.parse(TO))
+
+  it('rejects an unknown dataset or format', () => {
+    expect(parse('dataset=users')).toEqual({ error: 'dataset must be one of snapshots, stations, polygons, alerts' })
+    expect(parse('dataset=stations&format=xlsx')).toEqual({ error: 'format must be one of csv, ndjson, geojson' })
+  })
+
+  it('rejects GeoJSON for a dataset without geometry', () => {
+    expect(parse('dataset=snapshots&format=geojson')).toEqual({ error: 'snapshots has no geometry; use csv or ndjson' })
+  })
+
+  it('defaults to the last day as CSV', () => {
+    expect(parse('dataset=stations')).toEqual({
+      dataset: 'stations',
+      format: 'csv',
+      from: '2026-02-01T06:00:00.000Z',
+      to: TO,
+      id: null,
+    })
+  })
+})
+
+describe('exportFilename', () => {
+  it('keeps only safe characters of the id', () => {
+    const q = { dataset: 'stations', format: 'csv' as const, from: FROM, to: TO }
+    expect(exportFilename({ ...q, id: 'São Cristóvão' })).toBe('stations-S_o_Crist_v_o-2026-02-02T0000-2026-02-02T0600.csv')
+    expect(exportFilename({ ...q, id: 'a"b\r\nSet-Cookie: x' })).toBe(
+      'stations-a_b__Set-Cookie__x-2026-02-02T0000-2026-02-02T0600.csv'
+    )
+    expect(exportFilename({ ...q, id: null })).toBe('stations-2026-02-02T0000-2026-02-02T0600.csv')
+  })
+})
+
+describe('exportEncoder', () => {
+  it('quotes CSV values holding commas, quotes or line breaks', () => {
+    const encoder = exportEncoder('csv', EXPORT_DATASETS.stations)
+    expect(encoder.start).toBe('name,read_at,kind,lat,lng,m05,m15,h01,h02,h03,h04,h24,h96,mes\n')
+    const line = encoder.row({ name: 'Rua "A", 1\nfundos', read_at: FROM, kind: 'a\rb', lat: -22.9, h01: null }, 0)
+    expect(line).toBe(`"Rua ""A"", 1\nfundos",${FROM},"a\rb",-22.9,,,,,,,,,,\n`)
+  })
+
+  it('writes JSON values as quoted JSON in CSV', () => {
+    const encoder = exportEncoder('csv', EXPORT_DATASETS.snapshots)
+    const line = encoder.row({ id: 1, sensor_totals: { sirene: { count: 2, active: 1 } } }, 0)
+    expect(line.endsWith(',"{""sirene"":{""count"":2,""active"":1}}"\n')).toBe(true)
+  })
+
+  it('adds polygon shapes as closed WKT rings', () => {
+    const ring: Ring = [[-43.2, -22.9], [-43.1, -22.9], [-43.1, -22.8]]
+    const encoder = exportEncoder('csv', EXPORT_DATASETS.polygons, new Map([['p1', [ring]]]))
+    expect(encoder.start.trimEnd().endsWith(',wkt')).toBe(true)
+    expect(encoder.row({ polygon_id: 'p1' }, 0).trimEnd().endsWith(
+      '"POLYGON((-43.2 -22.9, -43.1 -22.9, -43.1 -22.8, -43.2 -22.9))"'
+    )).toBe(true)
+  })
+})
+
+describe('GET /api/export', () => {
+  beforeEach(() => {
+    db.fake = createFakeSupabase({ station_readings: readings(2500) })
+  })
+
+  const get = (query: string) => GET(new NextRequest(`http://localhost/api/export?${query}`))
+
+  it('frames a GeoJSON FeatureCollection across pages', async () => {
+    const res = await get(`dataset=stations&format=geojson&${range}`)
+    expect(res.headers.get('Content-Type')).toBe('application/geo+json')
+    const body = JSON.parse(await res.text())
+    expect(body.type).toBe('FeatureCollection')
+    expect(body.features).toHaveLength(2500)
+    expect(body.features[1000]).toMatchObject({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [-43.1, -22.9] },
+      properties: { name: 'Station 1000' },
+    })
+  })
+
+  it('streams one CSV line per row across pages', async () => {
+    const text = await (await get(`dataset=stations&${range}`)).text()
+    const lines = text.trimEnd().split('\n')
+    expect(lines).toHaveLength(2501)
+    expect(lines[2500].startsWith('Station 2499,')).toBe(true)
+  })
+
+  it('answers 400 for a bad dataset or format', async () => {
+    expect((await get('dataset=nope')).status).toBe(400)
+    expect((await get('dataset=stations&format=xml')).status).toBe(400)
+  })
+
+  it('keeps a hostile id out of the header', async () => {
+    const res = await get(`dataset=stations&id=${encodeURIComponent('x"\r\nSet-Cookie: a=b')}&${range}`)
+    expect(res.status).toBe(200)
+    expect(res.headers.get('Content-Disposition')).toBe(
+      'attachment; filename="stations-x___Set-Cookie__a_b-2026-02-02T0000-2026-02-02T0600.csv"'
+    )
+    expect(res.headers.get('Set-Cookie')).toBeNull()
+  })
+})
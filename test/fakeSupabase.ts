@@ -0,0 +1,181 @@
+import type { SupabaseClient } from '@supabase/supabase-js'
+
+// In-memory stand-in for the parts of the supabase-js query builder the lib modules use.
+// Reads are capped at MAX_ROWS like PostgREST's default max-rows, so code that forgets to
+// page shows up in tests.
+
+export const MAX_ROWS = 1000
+
+type Row = Record<string, unknown>
+type Filter = (row: Row) => boolean
+
+export interface FakeSupabase {
+  client: SupabaseClient
+  tables: Map<string, Row[]>
+  // every executed operation, in order, e.g. "update nowcasts"
+  calls: string[]
+  table(name: string): Row[]
+  // makes the next operation on `table` of kind `op` fail with `message`
+  failNext(table: string, op: string, message: string): void
+}
+
+// `defaults` stands in for column defaults: per table, values new rows get unless they set them
+export function createFakeSupabase(
+  seed: Record<string, object[]> = {},
+  defaults: Record<string, () => Row> = {}
+): FakeSupabase {
+  const tables = new Map<string, Row[]>()
+  const calls: string[] = []
+  const failures: Array<{ table: string; op: string; message: string }> = []
+  const nextId = new Map<string, number>()
+
+  const table = (name: string) => {
+    if (!tables.has(name)) tables.set(name, [])
+    return tables.get(name)!
+  }
+  const newRow = (name: string, row: Row): Row => {
+    row = { ...defaults[name]?.(), ...row }
+    if (row.id !== undefined) return row
+    const id = nextId.get(name) ?? table(name).length + 1
+    nextId.set(name, id + 1)
+    return { id, ...row }
+  }
+  for (const [name, rows] of Object.entries(seed)) tables.set(name, rows.map((r) => newRow(name, { ...r })))
+
+  function from(name: string) {
+    let op = 'select'
+    let payload: Row | Row[] | null = null
+    let options: { onConflict?: string; ignoreDuplicates?: boolean } = {}
+    let returning = false
+    const filters: Filter[] = []
+    const orders: Array<{ column: string; ascending: boolean }> = []
+    let range: [number, number] | null = null
+    let limit: number | null = null
+    let single = false
+
+    const run = (): { data: unknown; error: { message: string } | null } => {
+      calls.push(`${op} ${name}`)
+      const failure = failures.findIndex((f) => f.table === name && f.op === op)
+      if (failure >= 0) {
+        const [{ message }] = failures.splice(failure, 1)
+        return { data: null, error: { message } }
+      }
+
+      const rows = table(name)
+      const matches = () => rows.filter((r) => filters.every((f) => f(r)))
+      let result: Row[] = []
+      if (op === 'select') {
+        result = matches()
+        for (const { column, ascending } of [...orders].reverse()) {
+          result = [...result].sort((a, b) => {
+            const x = a[column] as number | string
+            const y = b[column] as number | string
+            return (x < y ? -1 : x > y ? 1 : 0) * (ascending ? 1 : -1)
+          })
+        }
+        if (range) result = result.slice(range[0], range[1] + 1)
+        if (limit !== null) result = result.slice(0, limit)
+        result = result.slice(0, MAX_ROWS)
+      } else if (op === 'insert') {
+        const list = Array.isArray(payload) ? payload : [payload!]
+        result = list.map((r) => newRow(name, { ...r }))
+        rows.push(...result)
+      } else if (op === 'upsert') {
+        const keys = (options.onConflict ?? 'id').split(',')
+        for (const r of Array.isArray(payload) ? payload : [payload!]) {
+          const existing = rows.find((e) => keys.every((k) => e[k] === r[k]))
+          if (existing) {
+            if (options.ignoreDuplicates) continue
+            Object.assign(existing, r)
+            result.push(existing)
+          } else {
+            const row = newRow(name, { ...r })
+            rows.push(row)
+            result.push(row)
+          }
+        }
+      } else if (op === 'update') {
+        result = matches()
+        for (const r of result) Object.assign(r, payload)
+      } else if (op === 'delete') {
+        result = matches()
+        tables.set(name, rows.filter((r) => !result.includes(r)))
+      }
+
+      if (single) return { data: result[0] ?? null, error: null }
+      return { data: op === 'select' || returning ? result.map((r) => ({ ...r })) : null, error: null }
+    }
+
+    const builder = {
+      select() {
+        if (op !== 'select') returning = true
+        return builder
+      },
+      insert(rows: Row | Row[]) {
+        op = 'insert'
+        payload = rows
+        return builder
+      },
+      upsert(rows: Row | Row[], opts: typeof options = {}) {
+        op = 'upsert'
+        payload = rows
+        options = opts
+        return builder
+      },
+      update(values: Row) {
+        op = 'update'
+        payload = values
+        return builder
+      },
+      delete() {
+        op = 'delete'
+        return builder
+      },
+      eq: (c: string, v: unknown) => (filters.push((r) => r[c] === v), builder),
+      neq: (c: string, v: unknown) => (filters.push((r) => r[c] !== v), builder),
+      gt: (c: string, v: never) => (filters.push((r) => (r[c] as never) > v), builder),
+      gte: (c: string, v: never) => (filters.push((r) => (r[c] as never) >= v), builder),
+      lt: (c: string, v: never) => (filters.push((r) => (r[c] as never) < v), builder),
+      lte: (c: string, v: never) => (filters.push((r) => (r[c] as never) <= v), builder),
+      in: (c: string, v: unknown[]) => (filters.push((r) => v.includes(r[c])), builder),
+      is: (c: string, v: unknown) => (filters.push((r) => (r[c] ?? null) === v), builder),
+      not: (c: string, operator: string, v: unknown) => {
+        if (operator !== 'is') throw new Error(`fake supabase: not.${operator} is not supported`)
+        filters.push((r) => (r[c] ?? null) !== v)
+        return builder
+      },
+      order(column: string, opts: { ascending?: boolean } = {}) {
+        orders.push({ column, ascending: opts.ascending ?? true })
+        return builder
+      },
+      range(start: number, end: number) {
+        range = [start, end]
+        return builder
+      },
+      limit(n: number) {
+        limit = n
+        return builder
+      },
+      maybeSingle() {
+        single = true
+        return builder
+      },
+      single() {
+        single = true
+        return builder
+      },
+      then<T>(resolve: (value: ReturnType<typeof run>) => T, reject?: (reason: unknown) => T) {
+        return Promise.resolve().then(run).then(resolve, reject)
+      },
+    }
+    return builder
+  }
+
+  return {
+    client: { from } as unknown as SupabaseClient,
+    tables,
+    calls,
+    table,
+    failNext: (name, op, message) => failures.push({ table: name, op, message }),
+  }
+}
@@ -0,0 +1,24 @@
+import { readFileSync } from 'fs'
+import path from 'path'
+import { normalizePolygons, normalizeRain, normalizeWaze } from '../lib/validate'
+import type { Polygon, Station, WazeResponse } from '../lib/types'
+
+// Recorded upstream payloads in data/sample, run through the same validation as live data
+
+const SAMPLE_DIR = path.resolve(__dirname, '../data/sample')
+
+export function readSample(file: string): unknown {
+  return JSON.parse(readFileSync(path.join(SAMPLE_DIR, file), 'utf8'))
+}
+
+export function sampleStations(): Station[] {
+  return normalizeRain(readSample('chuvas.json')).data.objects
+}
+
+export function samplePolygons(): Polygon[] {
+  return normalizePolygons(readSample('polygons.json')).data
+}
+
+export function sampleWaze(): WazeResponse & { endTimeMillis: number } {
+  return normalizeWaze(readSample('waze.json')).data as WazeResponse & { endTimeMillis: number }
+}
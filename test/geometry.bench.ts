@@ -0,0 +1,99 @@
+import { bench, describe } from 'vitest'
+import { buildPolygonIndex, computePolygonCounts, isPointInGeometry, type Ring } from '../lib/geometry'
+import type { Polygon, Station, WazeAlert } from '../lib/types'
+
+// Synthetic city several times the size of the live feed: jagged polygons, some with a hole,
+// scattered over Rio's bounding box, and alert/station points across the same area.
+// Run with `npm run bench`.
+
+const POLYGONS = 5000
+const ALERTS = 20000
+const STATIONS = 500
+const VERTICES = 32
+const BOUNDS = { minLat: -23.1, maxLat: -22.75, minLng: -43.8, maxLng: -43.1 }
+
+// Deterministic so runs are comparable
+function random(seed: number) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function ring(rand: () => number, lat: number, lng: number, radius: number): Ring {
+  return Array.from({ length: VERTICES }, (_, i) => {
+    const angle = (2 * Math.PI * i) / VERTICES
+    const r = radius * (0.6 + 0.4 * rand())
+    return [lng + r * Math.cos(angle), lat + r * Math.sin(angle)] as [number, number]
+  })
+}
+
+const rand = random(17)
+const point = () => [
+  BOUNDS.minLat + rand() * (BOUNDS.maxLat - BOUNDS.minLat),
+  BOUNDS.minLng + rand() * (BOUNDS.maxLng - BOUNDS.minLng),
+]
+
+const polygons = Array.from({ length: POLYGONS }, (_, i) => {
+  const [lat, lng] = point()
+  const radius = 0.002 + rand() * 0.01
+  const geometry = [ring(rand, lat, lng, radius)]
+  if (i % 4 === 0) geometry.push(ring(rand, lat, lng, radius / 3))
+  return { _id: `p${i}`, geometry, status_code: i % 3 } as Polygon
+})
+const alerts = Array.from({ length: ALERTS }, (_, i) => {
+  const [lat, lng] = point()
+  return { uuid: `a${i}`, location: { x: lng, y: lat } } as WazeAlert
+})
+const stations = Array.from({ length: STATIONS }, (_, i) => {
+  const [lat, lng] = point()
+  return { name: `s${i}`, location: [lat, lng] } as Station
+})
+
+// What the joins did before the index: every point ray-cast against every polygon. Too slow
+// for the full set, so both sides of the comparison use a slice.
+const SLICE = 2000
+const sliced = alerts.slice(0, SLICE)
+
+function bruteForceCounts() {
+  const counts: Record<string, number> = {}
+  for (const a of sliced) {
+    const hit = polygons.find((p) => isPointInGeometry(a.location.y, a.location.x, p.geometry))
+    if (hit) counts[hit._id] = (counts[hit._id] ?? 0) + 1
+  }
+  return counts
+}
+
+describe(`${POLYGONS} polygons, ${ALERTS} alerts, ${STATIONS} stations`, () => {
+  const index = buildPolygonIndex(polygons)
+
+  bench('build index', () => {
+    buildPolygonIndex(polygons)
+  })
+
+  bench('counts with a prebuilt index', () => {
+    computePolygonCounts(polygons, alerts, stations, index)
+  })
+
+  bench('counts including the index build', () => {
+    computePolygonCounts(polygons, alerts, stations)
+  })
+})
+
+describe(`${POLYGONS} polygons, ${SLICE} alerts`, () => {
+  const index = buildPolygonIndex(polygons)
+
+  bench('indexed lookup', () => {
+    computePolygonCounts(polygons, sliced, [], index)
+  })
+
+  bench(
+    'brute-force scan',
+    () => {
+      bruteForceCounts()
+    },
+    { iterations: 3, time: 0 }
+  )
+})
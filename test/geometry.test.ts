@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildPolygonIndex,
+  computePolygonCounts,
+  findPolygon,
+  isPointInGeometry,
+  type Ring,
+} from '../lib/geometry'
+import { filterFloodAlerts } from '../lib/analytics'
+import { samplePolygons, sampleStations, sampleWaze } from './fixtures'
+import type { Polygon, Station, WazeAlert } from '../lib/types'
+
+// Axis-aligned square ring in [lng, lat] order
+function square(lng: number, lat: number, size: number): Ring {
+  return [
+    [lng, lat],
+    [lng + size, lat],
+    [lng + size, lat + size],
+    [lng, lat + size],
+  ]
+}
+
+function polygon(_id: string, geometry: Ring[]): Polygon {
+  return { _id, geometry, status_code: 0 } as Polygon
+}
+
+function alertAt(lat: number, lng: number): WazeAlert {
+  return { uuid: `${lat}:${lng}`, location: { x: lng, y: lat } } as WazeAlert
+}
+
+function stationAt(lat: number, lng: number): Station {
+  return { name: `${lat}:${lng}`, location: [lat, lng] } as Station
+}
+
+// 0.1° square with a 0.04° hole in the middle, plus a separate 0.02° island inside the hole
+const donut: Ring[] = [square(-43.3, -23, 0.1), square(-43.27, -22.97, 0.04), square(-43.26, -22.96, 0.02)]
+// two disjoint parts
+const multipart: Ring[] = [square(-43.1, -23, 0.02), square(-43.05, -23, 0.02)]
+
+describe('isPointInGeometry', () => {
+  it('excludes points inside a hole', () => {
+    expect(isPointInGeometry(-22.99, -43.29, donut)).toBe(true)
+    expect(isPointInGeometry(-22.965, -43.265, donut)).toBe(false)
+  })
+
+  it('includes an island inside a hole', () => {
+    expect(isPointInGeometry(-22.95, -43.25, donut)).toBe(true)
+  })
+
+  it('includes every part of a multipart polygon and nothing between them', () => {
+    expect(isPointInGeometry(-22.99, -43.09, multipart)).toBe(true)
+    expect(isPointInGeometry(-22.99, -43.04, multipart)).toBe(true)
+    expect(isPointInGeometry(-22.99, -43.065, multipart)).toBe(false)
+  })
+
+  it('is false for empty geometry', () => {
+    expect(isPointInGeometry(-22.99, -43.29, [])).toBe(false)
+  })
+})
+
+describe('findPolygon', () => {
+  const polygons = [polygon('donut', donut), polygon('parts', multipart), polygon('inner', [square(-43.27, -22.97, 0.04)])]
+  const index = buildPolygonIndex(polygons)
+
+  it('falls through a hole to the polygon filling it', () => {
+    expect(findPolygon(index, -22.965, -43.265)?._id).toBe('inner')
+    expect(findPolygon(index, -22.99, -43.29)?._id).toBe('donut')
+  })
+
+  it('finds the second part of a multipart polygon', () => {
+    expect(findPolygon(index, -22.99, -43.04)?._id).toBe('parts')
+    expect(findPolygon(index, -22.99, -43.065)).toBeNull()
+  })
+
+  it('works with coarse and fine cells alike', () => {
+    for (const cellDeg of [0.001, 1]) {
+      const other = buildPolygonIndex(polygons, cellDeg)
+      expect(findPolygon(other, -22.965, -43.265)?._id).toBe('inner')
+      expect(findPolygon(other, -22.99, -43.04)?._id).toBe('parts')
+    }
+  })
+
+  it('skips polygons without geometry', () => {
+    expect(buildPolygonIndex([polygon('empty', [])]).entries).toHaveLength(0)
+  })
+})
+
+describe('computePolygonCounts', () => {
+  it('counts alerts and stations per polygon, honoring holes and parts', () => {
+    const polygons = [polygon('donut', donut), polygon('parts', multipart)]
+    const counts = computePolygonCounts(
+      polygons,
+      [alertAt(-22.99, -43.29), alertAt(-22.965, -43.265), alertAt(-22.99, -43.04), alertAt(-22.99, -43.09)],
+      [stationAt(-22.95, -43.25), stationAt(-22.5, -43.5)]
+    )
+    expect(counts).toEqual({ donut: { alerts: 1, stations: 1 }, parts: { alerts: 2, stations: 0 } })
+  })
+
+  it('matches a brute-force scan on the sample', () => {
+    const polygons = samplePolygons()
+    const alerts = filterFloodAlerts(sampleWaze().alerts)
+    const stations = sampleStations()
+    const counts = computePolygonCounts(polygons, alerts, stations)
+
+    const expected: Record<string, { alerts: number; stations: number }> = {}
+    const bump = (lat: number, lng: number, key: 'alerts' | 'stations') => {
+      const hit = polygons.find((p) => isPointInGeometry(lat, lng, p.geometry))
+      if (!hit) return
+      expected[hit._id] ??= { alerts: 0, stations: 0 }
+      expected[hit._id][key]++
+    }
+    for (const a of alerts) bump(a.location.y, a.location.x, 'alerts')
+    for (const s of stations) bump(s.location[0], s.location[1], 'stations')
+
+    expect(counts).toEqual(expected)
+    expect(Object.keys(counts).length).toBeGreaterThan(0)
+  })
+})
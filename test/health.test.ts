@@ -0,0 +1,29 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { checkStationHealth } from '../lib/health'
+import { GET } from '../app/api/health/route'
+import type { Station } from '../lib/types'
+import { sampleStations } from './fixtures'
+
+describe('checkStationHealth', () => {
+  it('skips the window check for stations without data', () => {
+    const [first, ...rest] = sampleStations()
+    const bare = { ...first, data: undefined } as unknown as Station
+    const report = checkStationHealth([bare, ...rest])
+    expect(report.failing.find((f) => f.name === first.name)?.issues ?? []).not.toContain('inconsistent')
+  })
+})
+
+describe('GET /api/health', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('reports an unknown DATA_SOURCE as a down feed instead of throwing', async () => {
+    vi.stubEnv('DATA_SOURCE', 'bogus')
+    const res = await GET()
+    expect(res.status).toBe(503)
+    const body = await res.json()
+    expect(body.status).toBe('down')
+    expect(body.feeds.datasource).toEqual({ status: 'down', error: 'Error: Unknown DATA_SOURCE "bogus"' })
+  })
+})
@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { NextRequest } from 'next/server'
+import { createFakeSupabase, type FakeSupabase } from './fakeSupabase'
+import { BUCKETS, SCAN_PAGE_SIZE, scanBuckets } from '../lib/history'
+import { GET } from '../app/api/history/route'
+import type { SnapshotRow } from '../lib/types'
+
+const db = vi.hoisted(() => ({ fake: null as FakeSupabase | null }))
+vi.mock('../lib/supabase', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/supabase')>()),
+  getSupabase: () => db.fake!.client,
+}))
+
+const QUARTER_HOUR = 15 * 60 * 1000
+const START = Date.parse('2026-01-01T00:00:00.000Z')
+
+// One snapshot every 15 minutes, oldest first
+function snapshots(count: number): SnapshotRow[] {
+  return Array.from({ length: count }, (_, i) => ({
+    captured_at: new Date(START + i * QUARTER_HOUR).toISOString(),
+    waze_count: i,
+    affected_areas: 0,
+    alerts_in_areas: 0,
+    avg_rain: 0,
+    max_rain: 0,
+    severity: 0,
+    severity_raw: 0,
+    sensor_totals: null,
+  }))
+}
+
+function pager(rows: SnapshotRow[]) {
+  const reads: number[] = []
+  const fetchPage = async (offset: number, size: number) => {
+    reads.push(offset)
+    return rows.slice(offset, offset + Math.min(size, SCAN_PAGE_SIZE))
+  }
+  return { fetchPage, reads }
+}
+
+describe('scanBuckets', () => {
+  it('returns complete buckets and a cursor when more follow', async () => {
+    const { fetchPage } = pager(snapshots(96 * 5))
+    const page = await scanBuckets(fetchPage, BUCKETS.day, 3)
+    if ('error' in page) throw new Error(page.error)
+    expect(page.rows.map((r) => r.captured_at.slice(0, 10))).toEqual(['2026-01-01', '2026-01-02', '2026-01-03'])
+    expect(page.rows[2].waze_count).toBe(96 * 3 - 1)
+    expect(page.nextCursor).toBe(new Date(START + (96 * 3 - 1) * QUARTER_HOUR).toISOString())
+  })
+
+  it('returns everything without a cursor once the rows run out', async () => {
+    const { fetchPage } = pager(snapshots(96 * 2 + 10))
+    const page = await scanBuckets(fetchPage, BUCKETS.day, 5)
+    if ('error' in page) throw new Error(page.error)
+    expect(page.rows).toHaveLength(3)
+    expect(page.nextCursor).toBeNull()
+  })
+
+  it('leaves a bucket cut off by the scan cap for the next page', async () => {
+    // The cap stops the scan 40 rows into the third day
+    const rows = snapshots(96 * 10)
+    const { fetchPage } = pager(rows)
+    const page = await scanBuckets(fetchPage, BUCKETS.day, 5, 96 * 2 + 40)
+    if ('error' in page) throw new Error(page.error)
+    expect(page.rows).toHaveLength(2)
+    expect(page.rows[1].waze_count).toBe(96 * 2 - 1)
+    expect(page.nextCursor).toBe(rows[96 * 2 - 1].captured_at)
+  })
+
+  it('pages through the rows until the cap', async () => {
+    const { fetchPage, reads } = pager(snapshots(96 * 40))
+    await scanBuckets(fetchPage, BUCKETS.day, 1000, 2500)
+    expect(reads).toEqual([0, 1000, 2000])
+  })
+
+  it('refuses a bucket larger than the whole scan', async () => {
+    const { fetchPage } = pager(snapshots(500))
+    expect(await scanBuckets(fetchPage, BUCKETS.day, 5, 50)).toEqual({
+      error: 'a single bucket spans more than 50 snapshots; use a smaller bucket',
+    })
+  })
+})
+
+describe('GET /api/history', () => {
+  const request = (query: string) => new NextRequest(`http://localhost/api/history?${query}`)
+
+  beforeEach(() => {
+    vi.stubEnv('SUPABASE_TABLE', 'flood_snapshots')
+    db.fake = createFakeSupabase({ flood_snapshots: snapshots(1500) })
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('pages through every row at the largest limit', async () => {
+    const first = await GET(request('limit=1000'))
+    expect(await first.json()).toHaveLength(1000)
+    const cursor = first.headers.get('X-Next-Cursor')
+    expect(cursor).toBe(snapshots(1000)[999].captured_at)
+
+    const second = await GET(request(`limit=1000&cursor=${encodeURIComponent(cursor!)}`))
+    const rows = (await second.json()) as SnapshotRow[]
+    expect(rows).toHaveLength(500)
+    expect(rows[0].waze_count).toBe(1000)
+    expect(second.headers.get('X-Next-Cursor')).toBeNull()
+  })
+
+  it('sets no cursor when a full page is also the last one', async () => {
+    const res = await GET(request('limit=500&order=desc&cursor=' + encodeURIComponent(snapshots(501)[500].captured_at)))
+    expect(await res.json()).toHaveLength(500)
+    expect(res.headers.get('X-Next-Cursor')).toBeNull()
+  })
+})
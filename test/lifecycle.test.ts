@@ -0,0 +1,66 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { createFakeSupabase, type FakeSupabase } from './fakeSupabase'
+import { summarizeAlertDurations, trackAlertLifecycle } from '../lib/lifecycle'
+import type { AlertLifecycleRow, WazeAlert } from '../lib/types'
+
+const db = vi.hoisted(() => ({ fake: null as FakeSupabase | null }))
+vi.mock('../lib/supabase', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/supabase')>()),
+  getSupabase: () => db.fake!.client,
+}))
+
+const TABLE = 'waze_alert_lifecycle'
+
+function alert(uuid: string): WazeAlert {
+  return {
+    uuid,
+    street: `Rua ${uuid}`,
+    city: 'Rio de Janeiro',
+    location: { x: -43.2, y: -22.9 },
+    pubMillis: 1769990000000,
+  } as WazeAlert
+}
+
+const at = (minute: number) => new Date(Date.UTC(2026, 1, 2, 1, minute)).toISOString()
+const episodes = (uuid: string) => db.fake!.table(TABLE).filter((r) => r.uuid === uuid)
+
+describe('trackAlertLifecycle', () => {
+  beforeEach(() => {
+    db.fake = createFakeSupabase()
+  })
+
+  it('opens, extends and clears an episode', async () => {
+    expect(await trackAlertLifecycle([alert('a'), alert('b')], at(0))).toMatchObject({ new: 2, active: 0 })
+    expect(await trackAlertLifecycle([alert('a')], at(15))).toEqual({ error: null, new: 0, active: 1, cleared: 1 })
+    expect(episodes('a')).toMatchObject([{ first_seen_at: at(0), last_seen_at: at(15), cleared_at: null }])
+    expect(episodes('b')).toMatchObject([{ first_seen_at: at(0), last_seen_at: at(0), cleared_at: at(15) }])
+  })
+
+  it('starts a new episode when a cleared report comes back, keeping the earlier one', async () => {
+    await trackAlertLifecycle([alert('a')], at(0))
+    await trackAlertLifecycle([], at(15))
+    await trackAlertLifecycle([alert('a')], at(45))
+    await trackAlertLifecycle([alert('a')], at(60))
+
+    expect(episodes('a')).toMatchObject([
+      { first_seen_at: at(0), last_seen_at: at(0), cleared_at: at(15) },
+      { first_seen_at: at(45), last_seen_at: at(60), cleared_at: null },
+    ])
+    const stats = summarizeAlertDurations(episodes('a') as unknown as AlertLifecycleRow[], Date.parse(at(75)))
+    expect(stats.total_reports).toBe(2)
+    expect(stats.streets[0]).toMatchObject({ street: 'Rua a', reports: 2, active: 1, max_minutes: 30 })
+  })
+
+  it('reads every open episode past the page size', async () => {
+    const open = Array.from({ length: 1500 }, (_, i) => alert(`open-${i}`))
+    await trackAlertLifecycle(open, at(0))
+    expect(await trackAlertLifecycle(open, at(15))).toEqual({ error: null, new: 0, active: 1500, cleared: 0 })
+    expect(db.fake!.table(TABLE)).toHaveLength(1500)
+  })
+
+  it('reports a failed lookup without writing', async () => {
+    db.fake!.failNext(TABLE, 'select', 'timeout')
+    expect(await trackAlertLifecycle([alert('a')], at(0))).toEqual({ error: 'timeout' })
+    expect(db.fake!.table(TABLE)).toHaveLength(0)
+  })
+})
@@ -0,0 +1,246 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createFakeSupabase, type FakeSupabase } from './fakeSupabase'
+import { samplePolygons } from './fixtures'
+import {
+  buildNotifications,
+  dispatchNotifications,
+  matchesSubscription,
+  MAX_DELIVERY_ATTEMPTS,
+  STALE_PENDING_MS,
+} from '../lib/notifications'
+import {
+  createStubTransport,
+  createUnconfiguredTransport,
+  createWebhookTransport,
+  getTransports,
+  setTransports,
+  type Transport,
+} from '../lib/transports'
+import type { FloodNotification, NotificationSubscription } from '../lib/types'
+
+const db = vi.hoisted(() => ({ fake: null as FakeSupabase | null }))
+vi.mock('../lib/supabase', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/supabase')>()),
+  getSupabase: () => db.fake!.client,
+}))
+
+const polygons = samplePolygons()
+const T0 = Date.parse('2026-02-02T01:00:00.000Z')
+const MINUTE = 60 * 1000
+const metrics = { wazeFloodCount: 246, affectedAreaCount: 13, alertsInAreasCount: 27 }
+
+const input = {
+  snapshotId: 7,
+  capturedAt: '2026-02-02T01:00:00.000Z',
+  eventId: 3,
+  severity: 2,
+  metrics,
+  polygons,
+  // fewer Waze reports than before, so there is no convergence on top of the escalation
+  previous: { severity: 1, metrics: { ...metrics, wazeFloodCount: 250 } },
+}
+
+function escalation(severity: number = 2): FloodNotification[] {
+  return buildNotifications({ ...input, severity })
+}
+
+function subscription(overrides: Partial<NotificationSubscription> = {}): NotificationSubscription {
+  return {
+    id: 1,
+    name: 'ops',
+    channel: 'webhook',
+    target: 'https://example.test/hook',
+    min_severity: 2,
+    polygon_ids: [],
+    neighborhoods: [],
+    notify_convergence: true,
+    active: true,
+    ...overrides,
+  }
+}
+
+describe('buildNotifications', () => {
+  it('announces an escalation once per storm event', () => {
+    const [n] = escalation()
+    expect(n.kind).toBe('severity')
+    expect(n.title).toBe('Flood severity escalated to Alert')
+    expect(n.dedupe_key).toBe('severity:2:event:3')
+    expect(n.polygon_ids).toHaveLength(13)
+    expect(n.neighborhoods).toContain('Botafogo')
+  })
+
+  it('stays quiet without a previous snapshot or an escalation', () => {
+    expect(buildNotifications({ ...input, previous: null })).toEqual([])
+    expect(escalation(1)).toEqual([])
+  })
+})
+
+describe('matchesSubscription', () => {
+  const [n] = escalation()
+  const convergence: FloodNotification = { ...n, kind: 'convergence', severity: 0 }
+
+  it('applies the minimum severity to escalations only', () => {
+    expect(matchesSubscription(subscription({ min_severity: 2 }), n)).toBe(true)
+    expect(matchesSubscription(subscription({ min_severity: 3 }), n)).toBe(false)
+    expect(matchesSubscription(subscription({ min_severity: 3 }), convergence)).toBe(true)
+  })
+
+  it('honors the convergence opt-out', () => {
+    expect(matchesSubscription(subscription({ notify_convergence: false }), convergence)).toBe(false)
+  })
+
+  it('requires one of the watched polygons to be affected', () => {
+    expect(matchesSubscription(subscription({ polygon_ids: ['697ffa783f4af3e4963ab054'] }), n)).toBe(true)
+    expect(matchesSubscription(subscription({ polygon_ids: ['697ffa783f4af3e4963ab051'] }), n)).toBe(false)
+  })
+
+  it('requires one of the watched neighborhoods to be affected', () => {
+    expect(matchesSubscription(subscription({ neighborhoods: ['Tijuca', 'Lagoa'] }), n)).toBe(true)
+    expect(matchesSubscription(subscription({ neighborhoods: ['Tijuca'] }), n)).toBe(false)
+  })
+})
+
+describe('dispatchNotifications', () => {
+  let stub: ReturnType<typeof createStubTransport>
+
+  beforeEach(() => {
+    db.fake = createFakeSupabase({
+      notification_subscriptions: [
+        subscription({ id: 1 }),
+        subscription({ id: 2, channel: 'email', target: 'ops@example.test', neighborhoods: ['Tijuca'] }),
+        subscription({ id: 3, target: 'https://example.test/off', active: false }),
+      ],
+    })
+    stub = createStubTransport()
+    setTransports({ webhook: stub, email: stub })
+  })
+
+  afterEach(() => setTransports(null))
+
+  it('delivers to matching active subscriptions and records the delivery', async () => {
+    const result = await dispatchNotifications(escalation())
+    expect(result).toEqual({ sent: 1, failed: 0, duplicate: 0, retried: 0, error: null })
+    expect(stub.sent.map((s) => s.to)).toEqual(['https://example.test/hook'])
+    expect(db.fake!.table('notification_deliveries')).toMatchObject([
+      { subscription_id: 1, dedupe_key: 'severity:2:event:3', status: 'sent', error: null },
+    ])
+  })
+
+  it('sends a repeated dedupe key only once', async () => {
+    await dispatchNotifications(escalation())
+    const again = await dispatchNotifications(escalation())
+    expect(again).toEqual({ sent: 0, failed: 0, duplicate: 1, retried: 0, error: null })
+    expect(stub.sent).toHaveLength(1)
+    expect(db.fake!.table('notification_deliveries')).toHaveLength(1)
+  })
+
+  // What the cron builds on each tick: the escalation once, then nothing while severity holds
+  const tick = (previousSeverity: number) =>
+    buildNotifications({ ...input, previous: { ...input.previous, severity: previousSeverity } })
+  const failing: Transport = createUnconfiguredTransport('endpoint down')
+
+  it('resends a failed delivery on the next tick, which builds nothing new', async () => {
+    setTransports({ webhook: failing, email: failing })
+    const first = await dispatchNotifications(tick(1), T0)
+    expect(first).toEqual({ sent: 0, failed: 1, duplicate: 0, retried: 0, error: null })
+    expect(db.fake!.table('notification_deliveries')).toMatchObject([
+      { status: 'failed', error: 'Error: endpoint down', attempts: 1 },
+    ])
+
+    setTransports({ webhook: stub, email: stub })
+    expect(tick(2)).toEqual([])
+    const second = await dispatchNotifications(tick(2), T0 + 15 * MINUTE)
+    expect(second).toEqual({ sent: 1, failed: 0, duplicate: 0, retried: 1, error: null })
+    expect(db.fake!.table('notification_deliveries')).toMatchObject([{ status: 'sent', error: null, attempts: 2 }])
+    expect(stub.sent.map((s) => s.notification.dedupe_key)).toEqual(['severity:2:event:3'])
+  })
+
+  it('gives up after the last attempt', async () => {
+    setTransports({ webhook: failing, email: failing })
+    await dispatchNotifications(tick(1), T0)
+    for (let i = 1; i < MAX_DELIVERY_ATTEMPTS + 2; i++) {
+      await dispatchNotifications(tick(2), T0 + i * 15 * MINUTE)
+    }
+    expect(db.fake!.table('notification_deliveries')).toMatchObject([
+      { status: 'failed', attempts: MAX_DELIVERY_ATTEMPTS },
+    ])
+  })
+
+  it('takes back a pending delivery abandoned by a run that never finished', async () => {
+    const [n] = tick(1)
+    db.fake!.table('notification_deliveries').push({
+      id: 1,
+      subscription_id: 1,
+      dedupe_key: n.dedupe_key,
+      kind: n.kind,
+      payload: n,
+      status: 'pending',
+      error: null,
+      attempts: 1,
+      claimed_at: new Date(T0).toISOString(),
+      delivered_at: null,
+    })
+
+    // Still in flight as far as a run right after it can tell
+    expect(await dispatchNotifications([], T0 + MINUTE)).toMatchObject({ sent: 0, retried: 0 })
+    expect(await dispatchNotifications([], T0 + STALE_PENDING_MS + MINUTE)).toMatchObject({ sent: 1, retried: 1 })
+    expect(db.fake!.table('notification_deliveries')).toMatchObject([{ status: 'sent', attempts: 2 }])
+  })
+
+  it('does not retry deliveries of a deactivated subscription', async () => {
+    setTransports({ webhook: failing, email: failing })
+    await dispatchNotifications(tick(1), T0)
+    db.fake!.table('notification_subscriptions')[0].active = false
+
+    setTransports({ webhook: stub, email: stub })
+    expect(await dispatchNotifications([], T0 + 15 * MINUTE)).toMatchObject({ sent: 0, retried: 0 })
+    expect(stub.sent).toHaveLength(0)
+  })
+
+  it('stops when subscriptions cannot be loaded', async () => {
+    db.fake!.failNext('notification_subscriptions', 'select', 'boom')
+    expect(await dispatchNotifications(escalation())).toEqual({ sent: 0, failed: 0, duplicate: 0, retried: 0, error: 'boom' })
+    expect(stub.sent).toHaveLength(0)
+  })
+})
+
+describe('transports', () => {
+  afterEach(() => {
+    setTransports(null)
+    vi.unstubAllEnvs()
+  })
+
+  it('fails email instead of stubbing it when SMTP_URL is missing', async () => {
+    vi.stubEnv('NOTIFY_TRANSPORT', '')
+    vi.stubEnv('SMTP_URL', '')
+    setTransports(null)
+    await expect(getTransports().email.send(subscription(), escalation()[0])).rejects.toThrow(
+      'SMTP_URL is not configured'
+    )
+  })
+
+  it('uses the stub only when asked to', async () => {
+    vi.stubEnv('NOTIFY_TRANSPORT', 'stub')
+    setTransports(null)
+    const { email } = getTransports()
+    await email.send(subscription({ channel: 'email', target: 'ops@example.test' }), escalation()[0])
+    expect((email as ReturnType<typeof createStubTransport>).sent).toHaveLength(1)
+  })
+
+  it('gives up on a webhook that does not answer', async () => {
+    const hanging = ((_url: string, init: RequestInit) =>
+      new Promise((_resolve, reject) => {
+        init.signal!.addEventListener('abort', () => reject(init.signal!.reason))
+      })) as typeof fetch
+    await expect(createWebhookTransport(hanging, 20).send(subscription(), escalation()[0])).rejects.toThrow(
+      'Webhook timed out after 20 ms'
+    )
+  })
+
+  it('fails on a non-2xx webhook response', async () => {
+    const refusing = (async () => new Response('nope', { status: 500 })) as typeof fetch
+    await expect(createWebhookTransport(refusing).send(subscription(), escalation()[0])).rejects.toThrow(
+      'Webhook responded 500'
+    )
+  })
+})
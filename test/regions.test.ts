@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import { filterFloodAlerts } from '../lib/analytics'
+import { aggregateRegions, regionAssigner } from '../lib/regions'
+import { DEFAULT_RULES } from '../lib/rules'
+import type { SeverityRules } from '../lib/rules'
+import { samplePolygons, sampleStations, sampleWaze } from './fixtures'
+
+const polygons = samplePolygons()
+const stations = sampleStations()
+const alerts = filterFloodAlerts(sampleWaze().alerts)
+const assigner = regionAssigner(polygons)
+
+describe('aggregateRegions', () => {
+  it('rates regions with the default rules unless given others', () => {
+    const regions = aggregateRegions(assigner, polygons, alerts, stations)
+    const botafogo = regions.find((r) => r.id === 'Botafogo')!
+    expect(botafogo.affected).toBeGreaterThan(0)
+    expect(botafogo.severity).toBe(1)
+  })
+
+  it('follows the rule set it is given, like the city-wide level', () => {
+    const rules: SeverityRules = {
+      conditions: [
+        { id: 'wet-gauge', level: 2, when: [{ metric: 'max_station_h01', op: '>=', value: 2 }] },
+        ...DEFAULT_RULES.conditions,
+      ],
+      hysteresis: { downgradeAfter: 1 },
+    }
+    // Urca's gauge has 2.2 mm in the last hour
+    const urca = stations.find((s) => s.name === 'Urca')!
+    const id = assigner.locate(urca.location[0], urca.location[1])!
+    const severity = (r: SeverityRules) =>
+      aggregateRegions(assigner, polygons, alerts, stations, {}, r).find((region) => region.id === id)!.severity
+
+    expect(severity(DEFAULT_RULES)).toBeLessThan(2)
+    expect(severity(rules)).toBe(2)
+  })
+})
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest'
+import { computeFloodMetrics, filterFloodAlerts } from '../lib/analytics'
+import { DEFAULT_RULES, matchRules } from '../lib/rules'
+import type { Polygon } from '../lib/types'
+import { samplePolygons, sampleStations, sampleWaze } from './fixtures'
+
+const polygons = samplePolygons()
+const stations = sampleStations()
+const floodAlerts = filterFloodAlerts(sampleWaze().alerts)
+
+function level(p: Polygon[], alerts = floodAlerts) {
+  return matchRules(DEFAULT_RULES, { polygons: p, stations, metrics: computeFloodMetrics(alerts, p) })
+}
+
+describe('DEFAULT_RULES', () => {
+  it('rates the sample as Alert', () => {
+    expect(level(polygons)).toEqual({ level: 2, condition: 'alerts-in-areas' })
+  })
+
+  it('is Critical as soon as one polygon reaches status 3', () => {
+    const critical = polygons.map((p, i) => (i === 0 ? { ...p, status_code: 3 } : p))
+    expect(level(critical)).toEqual({ level: 3, condition: 'critical-polygon' })
+  })
+
+  it('falls back to Attention on Waze volume alone', () => {
+    const normal = polygons.map((p) => ({ ...p, status_code: 0 }))
+    expect(level(normal).level).toBe(1)
+    expect(level(normal, floodAlerts.slice(0, 10))).toEqual({ level: 0, condition: null })
+  })
+})
@@ -0,0 +1,121 @@
+import { readFileSync } from 'fs'
+import path from 'path'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { normalizePolygons, normalizeRain, normalizeWaze } from '../lib/validate'
+import { clearUpstreamCache, getUpstream } from '../lib/upstream'
+import { readSample } from './fixtures'
+import type { Polygon, RainResponse, WazeResponse } from '../lib/types'
+
+// data/malformed mixes sample records with broken ones; data/malformed/error-page is an HTML
+// error page served where the JSON is expected
+const MALFORMED_DIR = path.resolve(__dirname, '../data/malformed')
+
+const malformed = (file: string) => JSON.parse(readFileSync(path.join(MALFORMED_DIR, file), 'utf8'))
+
+describe('normalizeRain', () => {
+  const { data, rejected } = normalizeRain(malformed('chuvas.json'))
+
+  it('drops stations without a name, location or parseable read_at', () => {
+    expect(data.objects.map((s) => s.name)).toEqual(['Vidigal', 'Urca', 'Rocinha'])
+    expect(rejected).toBe(6)
+  })
+
+  it('parses read_at to UTC', () => {
+    expect(data.objects[0].read_at).toBe('2026-02-02T01:05:00.000Z')
+  })
+
+  it('coerces missing, null, string and negative readings', () => {
+    expect(data.objects[1].data).toMatchObject({ h01: 3.4, m15: 0, h96: 0 })
+    expect(Object.values(data.objects[2].data)).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 0])
+  })
+
+  it('throws when the objects array is missing', () => {
+    expect(() => normalizeRain({})).toThrow('Rain payload is missing the objects array')
+    expect(() => normalizeRain({ objects: 'none' })).toThrow('Rain payload is missing the objects array')
+    expect(() => normalizeRain('<html></html>')).toThrow('Rain payload is missing the objects array')
+  })
+
+  it('keeps every station of the sample', () => {
+    expect(normalizeRain(readSample('chuvas.json')).rejected).toBe(0)
+  })
+})
+
+describe('normalizePolygons', () => {
+  const { data, rejected } = normalizePolygons(malformed('polygons.json'))
+
+  it('drops polygons without an _id or a ring of three valid points', () => {
+    expect(data.map((p) => p._id)).toEqual(['697ffa783f4af3e4963ab051', '697ffa783f4af3e4963ab056'])
+    expect(rejected).toBe(6)
+  })
+
+  it('skips empty rings and clamps status fields', () => {
+    const [, polygon] = data
+    expect(polygon.geometry).toHaveLength(1)
+    expect(polygon.status_code).toBe(2)
+    expect(polygon.alagamento_status).toBe(0)
+  })
+
+  it('throws when the payload is not an array', () => {
+    expect(() => normalizePolygons({ error: 'timeout' })).toThrow('Polygons payload is not an array')
+  })
+})
+
+describe('normalizeWaze', () => {
+  const { data, rejected } = normalizeWaze(malformed('waze.json'))
+
+  it('drops alerts without a uuid, location or publish time', () => {
+    expect(data.alerts).toHaveLength(2)
+    expect(rejected).toBe(4)
+  })
+
+  it('coerces a numeric pubMillis string', () => {
+    expect(typeof data.alerts[1].pubMillis).toBe('number')
+  })
+
+  it('accepts a feed without alerts and rejects a wrong shape', () => {
+    expect(normalizeWaze({ endTimeMillis: 1 })).toMatchObject({ data: { alerts: [] }, rejected: 0 })
+    expect(() => normalizeWaze(null)).toThrow('Waze payload is not an object')
+    expect(() => normalizeWaze({ alerts: {} })).toThrow('Waze alerts is not an array')
+  })
+})
+
+describe('getUpstream with malformed fixtures', () => {
+  afterEach(() => {
+    clearUpstreamCache()
+    vi.unstubAllEnvs()
+    vi.useRealTimers()
+  })
+
+  function useFixtures(dir: string) {
+    vi.stubEnv('DATA_SOURCE', 'fixtures')
+    vi.stubEnv('DATA_FIXTURE_DIR', dir)
+  }
+
+  it('reports rejected counts per source', async () => {
+    useFixtures(MALFORMED_DIR)
+    const [rain, polygons, waze] = await Promise.all([
+      getUpstream<RainResponse>('rain'),
+      getUpstream<Polygon[]>('polygons'),
+      getUpstream<WazeResponse>('waze'),
+    ])
+    expect([rain.rejected, polygons.rejected, waze.rejected]).toEqual([6, 6, 4])
+    expect(rain.data.objects).toHaveLength(3)
+  })
+
+  it('fails on an HTML error page when nothing is cached', async () => {
+    useFixtures(path.join(MALFORMED_DIR, 'error-page'))
+    await expect(getUpstream('rain')).rejects.toThrow(SyntaxError)
+  })
+
+  it('serves the last good payload as stale after an HTML error page', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    useFixtures(MALFORMED_DIR)
+    await getUpstream('polygons')
+
+    vi.setSystemTime(Date.now() + 5 * 60 * 1000)
+    useFixtures(path.join(MALFORMED_DIR, 'error-page'))
+    const result = await getUpstream<Polygon[]>('polygons')
+    expect(result).toMatchObject({ stale: true, origin: 'stale', rejected: 6 })
+    expect(result.data).toHaveLength(2)
+  })
+})
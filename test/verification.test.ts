@@ -0,0 +1,121 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { NextRequest } from 'next/server'
+import { createFakeSupabase, type FakeSupabase } from './fakeSupabase'
+import { loadRecentStationReadings, scoreNowcasts } from '../lib/verification'
+import { GET } from '../app/api/nowcast/scores/route'
+import type { NowcastRow, Polygon, Station } from '../lib/types'
+
+const db = vi.hoisted(() => ({ fake: null as FakeSupabase | null }))
+vi.mock('../lib/supabase', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/supabase')>()),
+  getSupabase: () => db.fake!.client,
+}))
+
+const NOW = Date.UTC(2026, 1, 2, 1, 0)
+const at = (minute: number) => new Date(NOW + minute * 60 * 1000).toISOString()
+
+function nowcast(key: string, targetMinute: number, extra: Partial<NowcastRow> = {}): NowcastRow {
+  return {
+    snapshot_id: 1,
+    issued_at: at(targetMinute - 15),
+    target_at: at(targetMinute),
+    horizon_min: 15,
+    scope: 'station',
+    key,
+    projected: 1,
+    confidence: 0.5,
+    escalation: false,
+    status_code: null,
+    observed: null,
+    escalated: null,
+    scored_at: null,
+    ...extra,
+  }
+}
+
+const station = (name: string, m15: number) => ({ name, data: { m15 } }) as Station
+
+describe('scoreNowcasts', () => {
+  beforeEach(() => {
+    db.fake = createFakeSupabase()
+  })
+
+  it('scores every due nowcast in one upsert, past the page size', async () => {
+    const due = Array.from({ length: 1200 }, (_, i) => nowcast(`s${i}`, 0))
+    db.fake = createFakeSupabase({ nowcasts: [...due, nowcast('s0', 60)] })
+    const stations = due.map((row, i) => station(row.key, i % 2))
+
+    expect(await scoreNowcasts(stations, [], NOW)).toEqual({ scored: 1200, error: null })
+    expect(db.fake.calls.filter((c) => c === 'upsert nowcasts')).toHaveLength(1)
+    expect(db.fake.calls).not.toContain('update nowcasts')
+
+    const rows = db.fake.table('nowcasts')
+    expect(rows).toHaveLength(1201)
+    expect(rows.slice(0, 2)).toMatchObject([
+      { key: 's0', observed: 0, scored_at: at(0), projected: 1 },
+      { key: 's1', observed: 1, scored_at: at(0), projected: 1 },
+    ])
+    expect(rows[1200]).toMatchObject({ target_at: at(60), scored_at: null })
+  })
+
+  it('flags polygon escalations against the current status', async () => {
+    db.fake = createFakeSupabase({
+      nowcasts: [nowcast('p1', 0, { scope: 'polygon', status_code: 1 })],
+    })
+    const polygons = [{ _id: 'p1', status_code: 2, acumulados: [] }] as unknown as Polygon[]
+    await scoreNowcasts([], polygons, NOW)
+    expect(db.fake.table('nowcasts')[0]).toMatchObject({ escalated: true, scored_at: at(0) })
+  })
+
+  it('reports a failed write without counting rows as scored', async () => {
+    db.fake = createFakeSupabase({ nowcasts: [nowcast('s0', 0)] })
+    db.fake.failNext('nowcasts', 'upsert', 'timeout')
+    expect(await scoreNowcasts([station('s0', 1)], [], NOW)).toEqual({ scored: 0, error: 'timeout' })
+    expect(db.fake.table('nowcasts')[0]).toMatchObject({ scored_at: null })
+  })
+})
+
+describe('loadRecentStationReadings', () => {
+  it('reads every reading in the window past the page size', async () => {
+    const readings = Array.from({ length: 1500 }, (_, i) => ({
+      name: `s${i % 300}`,
+      read_at: at(-15 * Math.floor(i / 300)),
+      m15: 0.2,
+    }))
+    db.fake = createFakeSupabase({ station_readings: [...readings, { name: 's0', read_at: at(-120), m15: 5 }] })
+
+    const byName = await loadRecentStationReadings(NOW)
+    expect(Object.keys(byName)).toHaveLength(300)
+    expect(byName.s0.map((r) => r.read_at)).toEqual([at(-60), at(-45), at(-30), at(-15), at(0)])
+  })
+
+  it('throws when the query fails', async () => {
+    db.fake = createFakeSupabase()
+    db.fake.failNext('station_readings', 'select', 'timeout')
+    await expect(loadRecentStationReadings(NOW)).rejects.toThrow('timeout')
+  })
+})
+
+describe('GET /api/nowcast/scores', () => {
+  const request = () => new NextRequest(`http://localhost/api/nowcast/scores?from=${at(-120)}`)
+  const scoredRows = (count: number) =>
+    Array.from({ length: count }, (_, i) =>
+      nowcast(`s${i}`, 0, { observed: i % 2 === 0 ? 1 : 2, scored_at: at(0) })
+    )
+
+  it('summarizes every scored nowcast past the page size', async () => {
+    db.fake = createFakeSupabase({ nowcasts: [...scoredRows(2500), nowcast('pending', 0)] })
+    const res = await GET(request())
+    expect(res.status).toBe(200)
+    const body = await res.json()
+    expect(body.scored).toBe(2500)
+    expect(body.scopes[1].horizons[0]).toMatchObject({ horizon: 15, count: 2500, mae: 0.5, bias: -0.5 })
+  })
+
+  it('refuses a range holding more than it reads', async () => {
+    db.fake = createFakeSupabase({ nowcasts: scoredRows(20001) })
+    const res = await GET(request())
+    expect(res.status).toBe(413)
+    expect(await res.json()).toEqual({ error: 'More than 20000 scored nowcasts in range; narrow from/to' })
+  })
+})